@@ -0,0 +1,244 @@
+import {
+  DynamoDBClient,
+  ScanCommand,
+  UpdateItemCommand,
+  PutItemCommand,
+  DeleteItemCommand,
+} from "@aws-sdk/client-dynamodb";
+import { RECORD_TYPES, videoRecordId, queryJobsByOriginalKey } from "./lib/jobsTable.js";
+import { outputBaseName } from "./lib/mediaFormats.js";
+import { VIDEO_STATES, stateTimestampAttribute } from "./lib/videoLifecycle.js";
+
+const dynamodb = new DynamoDBClient();
+
+const JOBS_TABLE = process.env.JOBS_TABLE || "transcription-jobs-dev";
+const PAGE_SIZE = 100;
+// Stop early enough to return the position for the next invocation
+const MIN_REMAINING_MS = 30000;
+// Statuses onUploadHandler recorded on separate rejected_* items before parent records existed
+const REJECTED_STATUSES = ["UNSUPPORTED_FORMAT", "INVALID_CONFIG"];
+const EPOCH = new Date(0).toISOString();
+// Statuses of parent records written before the lifecycle states, and the state each maps to
+const LEGACY_VIDEO_STATES = {
+  UNSUPPORTED_FORMAT: VIDEO_STATES.FAILED,
+  INVALID_CONFIG: VIDEO_STATES.FAILED,
+  IN_PROGRESS: VIDEO_STATES.TRANSCRIBING,
+  COMPLETED: VIDEO_STATES.DONE,
+};
+
+/**
+ * Set recordType, and createdAt when missing, so the item is picked up by the indexes
+ */
+async function tagJobItem(item, dryRun) {
+  const setExpressions = ["recordType = :recordType"];
+  const values = { ":recordType": { S: RECORD_TYPES.JOB } };
+  if (!item.createdAt) {
+    setExpressions.push("createdAt = :createdAt");
+    values[":createdAt"] = { S: item.updatedAt?.S || EPOCH };
+  }
+
+  if (dryRun) return;
+  await dynamodb.send(new UpdateItemCommand({
+    TableName: JOBS_TABLE,
+    Key: { jobId: item.jobId },
+    UpdateExpression: `SET ${setExpressions.join(", ")}`,
+    ExpressionAttributeValues: values,
+  }));
+}
+
+/**
+ * Create a parent record unless the upload already has one
+ * Returns false when it exists
+ */
+async function putVideoRecordIfMissing(item, dryRun) {
+  if (dryRun) return true;
+  try {
+    await dynamodb.send(new PutItemCommand({
+      TableName: JOBS_TABLE,
+      Item: item,
+      ConditionExpression: "attribute_not_exists(jobId)",
+    }));
+    return true;
+  } catch (error) {
+    if (error.name === "ConditionalCheckFailedException") return false;
+    throw error;
+  }
+}
+
+/**
+ * Move a legacy rejected_* item, or a parent record that still carries a rejection status,
+ * onto a FAILED parent record with the reason in rejection
+ */
+async function migrateRejection(item, dryRun) {
+  const originalKey = item.originalKey.S;
+  const createdAt = item.createdAt?.S || EPOCH;
+  const created = await putVideoRecordIfMissing({
+    jobId: { S: videoRecordId(originalKey) },
+    recordType: { S: RECORD_TYPES.VIDEO },
+    originalKey: { S: originalKey },
+    status: { S: VIDEO_STATES.FAILED },
+    rejection: item.status,
+    createdAt: { S: createdAt },
+    updatedAt: { S: createdAt },
+    [stateTimestampAttribute(VIDEO_STATES.FAILED)]: { S: createdAt },
+    ...(item.inputBucket && { inputBucket: item.inputBucket }),
+    ...(item.error && { lastError: item.error, lastErrorAt: { S: createdAt } }),
+  }, dryRun);
+
+  if (!dryRun) {
+    await dynamodb.send(new DeleteItemCommand({
+      TableName: JOBS_TABLE,
+      Key: { jobId: item.jobId },
+    }));
+  }
+  return created;
+}
+
+/**
+ * Move a parent record with a pre-lifecycle status onto the matching lifecycle state
+ */
+async function upgradeVideoRecord(item, dryRun) {
+  const status = item.status.S;
+  const state = LEGACY_VIDEO_STATES[status];
+  const timestamp = item.updatedAt?.S || item.createdAt?.S || EPOCH;
+  const setExpressions = ["#status = :state", `${stateTimestampAttribute(state)} = :timestamp`];
+  const values = { ":state": { S: state }, ":timestamp": { S: timestamp }, ":legacy": { S: status } };
+
+  if (REJECTED_STATUSES.includes(status)) {
+    setExpressions.push("rejection = :legacy");
+    if (item.error) {
+      setExpressions.push("lastError = :lastError", "lastErrorAt = :timestamp");
+      values[":lastError"] = item.error;
+    }
+  }
+
+  if (dryRun) return;
+  await dynamodb.send(new UpdateItemCommand({
+    TableName: JOBS_TABLE,
+    Key: { jobId: item.jobId },
+    UpdateExpression: `SET ${setExpressions.join(", ")}${item.error ? " REMOVE #error" : ""}`,
+    ConditionExpression: "#status = :legacy",
+    ExpressionAttributeNames: { "#status": "status", ...(item.error && { "#error": "error" }) },
+    ExpressionAttributeValues: values,
+  }));
+}
+
+/**
+ * Lifecycle state of an upload derived from its newest job per chunk and language
+ * Jobs do not tell how far storing and merging got, so unfinished uploads are TRANSCRIBING
+ */
+function deriveVideoState(jobs) {
+  const latest = new Map();
+  for (const job of jobs) {
+    const slot = `${job.chunkIndex?.N}:${job.language?.S}`;
+    if (!latest.has(slot) || (job.createdAt?.S || "") > (latest.get(slot).createdAt?.S || "")) {
+      latest.set(slot, job);
+    }
+  }
+
+  const statuses = [...latest.values()].map((job) => job.status?.S);
+  if (statuses.includes("FAILED")) return VIDEO_STATES.FAILED;
+  if (statuses.every((status) => status === "COMPLETED")) return VIDEO_STATES.DONE;
+  return VIDEO_STATES.TRANSCRIBING;
+}
+
+/**
+ * Create the parent record of an upload from its job items
+ */
+async function backfillVideoRecord(originalKey, dryRun) {
+  const jobs = await queryJobsByOriginalKey(dynamodb, JOBS_TABLE, originalKey);
+  if (jobs.length === 0) return false;
+
+  const createdAt = jobs.map((job) => job.createdAt?.S).filter(Boolean).sort();
+  const totalChunks = Math.max(...jobs.map((job) => Number(job.totalChunks?.N || 1)));
+  const source = jobs[jobs.length - 1];
+  const state = deriveVideoState(jobs);
+  const updatedAt = new Date().toISOString();
+
+  return putVideoRecordIfMissing({
+    jobId: { S: videoRecordId(originalKey) },
+    recordType: { S: RECORD_TYPES.VIDEO },
+    originalKey: { S: originalKey },
+    status: { S: state },
+    createdAt: { S: createdAt[0] || EPOCH },
+    updatedAt: { S: updatedAt },
+    [stateTimestampAttribute(state)]: { S: updatedAt },
+    totalChunks: { N: String(totalChunks) },
+    outputPrefix: source.outputPrefix || { S: outputBaseName(originalKey) },
+    ...(source.inputBucket && { inputBucket: source.inputBucket }),
+    backfilled: { BOOL: true },
+  }, dryRun);
+}
+
+/**
+ * Admin handler: migrate existing items to the indexed data model
+ *
+ * Tags job items with recordType (and createdAt when missing), moves legacy rejected_* items
+ * onto parent records, moves parent records onto the lifecycle states (see videoLifecycle.js)
+ * and creates the missing parent record of every upload. Safe to run more
+ * than once. Invoke with { dryRun?, startKey?, segment?, totalSegments? }; when the time runs
+ * out the result carries nextStartKey to continue from.
+ */
+export const handler = async (event = {}, context) => {
+  console.log("backfillJobs event:", JSON.stringify(event, null, 2));
+
+  try {
+    const { dryRun = false, segment, totalSegments } = event;
+    const counts = { scanned: 0, jobsTagged: 0, rejectionsMigrated: 0, videoRecordsCreated: 0, videoRecordsUpgraded: 0 };
+    const originalKeys = new Set();
+    let exclusiveStartKey = event.startKey || undefined;
+
+    do {
+      const response = await dynamodb.send(new ScanCommand({
+        TableName: JOBS_TABLE,
+        Limit: PAGE_SIZE,
+        ExclusiveStartKey: exclusiveStartKey,
+        ...(totalSegments && { Segment: segment, TotalSegments: totalSegments }),
+      }));
+
+      for (const item of response.Items || []) {
+        counts.scanned++;
+        if (item.recordType?.S === RECORD_TYPES.VIDEO) {
+          if (LEGACY_VIDEO_STATES[item.status?.S]) {
+            await upgradeVideoRecord(item, dryRun);
+            counts.videoRecordsUpgraded++;
+          }
+          continue;
+        }
+
+        if (REJECTED_STATUSES.includes(item.status?.S) && item.originalKey) {
+          if (await migrateRejection(item, dryRun)) counts.videoRecordsCreated++;
+          counts.rejectionsMigrated++;
+          continue;
+        }
+
+        if (!item.recordType || !item.createdAt) {
+          await tagJobItem(item, dryRun);
+          counts.jobsTagged++;
+        }
+        if (item.originalKey?.S) originalKeys.add(item.originalKey.S);
+      }
+
+      // Built from the originalKey index, which also covers items that are not tagged yet
+      for (const originalKey of originalKeys) {
+        if (await backfillVideoRecord(originalKey, dryRun)) counts.videoRecordsCreated++;
+      }
+      originalKeys.clear();
+
+      exclusiveStartKey = response.LastEvaluatedKey;
+    } while (exclusiveStartKey && (!context?.getRemainingTimeInMillis || context.getRemainingTimeInMillis() > MIN_REMAINING_MS));
+
+    console.log(`Backfill ${dryRun ? "dry run " : ""}${exclusiveStartKey ? "paused" : "finished"}:`, JSON.stringify(counts));
+
+    // Return object directly for Step Functions compatibility
+    return {
+      message: exclusiveStartKey ? "Backfill paused - invoke again with nextStartKey" : "Backfill complete",
+      dryRun,
+      ...counts,
+      nextStartKey: exclusiveStartKey || null,
+    };
+  } catch (error) {
+    console.error("Error in backfillJobs:", error);
+    throw error;
+  }
+};
@@ -0,0 +1,128 @@
+import { S3Client, GetObjectCommand, PutObjectCommand, HeadObjectCommand } from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import { createReadStream, statSync, unlinkSync, existsSync } from "fs";
+import { join } from "path";
+import { runFFmpeg } from "./lib/ffmpeg.js";
+import { extractS3Info } from "./lib/s3Event.js";
+import { MEDIA_FORMATS, formatFromKey, stripExtension } from "./lib/mediaFormats.js";
+
+const s3 = new S3Client();
+
+const TMP_DIR = "/tmp";
+const EXTRACT_AUDIO = (process.env.EXTRACT_AUDIO || "true") === "true";
+const AUDIO_FORMAT = process.env.AUDIO_FORMAT || "flac";
+const AUDIO_PREFIX = "audio/";
+
+/**
+ * ffmpeg encoder settings per audio format
+ * All formats are mono 16 kHz, which is what Transcribe works with best for speech
+ */
+const AUDIO_ENCODERS = {
+  flac: { extension: "flac", contentType: "audio/flac", args: ["-c:a", "flac"] },
+  mp3: { extension: "mp3", contentType: "audio/mpeg", args: ["-c:a", "libmp3lame", "-b:a", "32k"] },
+  ogg: { extension: "ogg", contentType: "audio/ogg", args: ["-c:a", "libopus", "-b:a", "24k"] },
+};
+
+/**
+ * Build the key of the extracted audio, e.g. talks/intro.mp4 -> audio/talks/intro.flac
+ */
+function buildAudioKey(key, extension) {
+  return `${AUDIO_PREFIX}${stripExtension(key)}.${extension}`;
+}
+
+/**
+ * Extract a mono low-bitrate audio track with ffmpeg
+ * ffmpeg reads the video over a presigned URL, so only the audio ever lands in /tmp
+ * A video without audio fails with NoAudioStream, and unreadable media with CorruptMedia
+ */
+async function extractAudio(bucket, key, outputPath, encoder) {
+  const inputUrl = await getSignedUrl(s3, new GetObjectCommand({ Bucket: bucket, Key: key }), {
+    expiresIn: 3600,
+  });
+
+  const args = [
+    "-y",
+    "-i", inputUrl,
+    "-vn", "-ac", "1", "-ar", "16000",
+    ...encoder.args,
+    outputPath,
+  ];
+
+  console.log(`Extracting audio from ${bucket}/${key}`);
+  await runFFmpeg(args, { label: "audio extraction" });
+}
+
+/**
+ * Upload the extracted audio to S3
+ */
+async function uploadAudio(bucket, key, localPath, contentType) {
+  const command = new PutObjectCommand({
+    Bucket: bucket,
+    Key: key,
+    Body: createReadStream(localPath),
+    ContentLength: statSync(localPath).size,
+    ContentType: contentType,
+  });
+
+  await s3.send(command);
+}
+
+export const handler = async (event) => {
+  console.log("extractAudio event:", JSON.stringify(event, null, 2));
+
+  const { bucket, key } = extractS3Info(event);
+
+  // Audio files are transcribed as they are; files that are not recognised as video are
+  // passed through as well so onUploadHandler can identify or reject them
+  const uploadFormat = formatFromKey(key);
+  const isVideo = Boolean(uploadFormat && MEDIA_FORMATS[uploadFormat].hasVideo);
+
+  if (!EXTRACT_AUDIO || !isVideo) {
+    console.log(EXTRACT_AUDIO
+      ? `${key} is not a recognised video - skipping audio extraction`
+      : "Audio extraction disabled - transcribing the original upload");
+    return {
+      message: "Audio extraction skipped",
+      bucket,
+      key,
+      originalKey: key,
+    };
+  }
+
+  const encoder = AUDIO_ENCODERS[AUDIO_FORMAT];
+  if (!encoder) {
+    throw new Error(`Unsupported AUDIO_FORMAT: ${AUDIO_FORMAT}`);
+  }
+
+  const outputPath = join(TMP_DIR, `audio_${Date.now()}.${encoder.extension}`);
+  const audioKey = buildAudioKey(key, encoder.extension);
+
+  try {
+    await extractAudio(bucket, key, outputPath, encoder);
+
+    const audioSizeMB = statSync(outputPath).size / (1024 * 1024);
+    console.log(`Extracted ${audioSizeMB.toFixed(2)} MB of ${AUDIO_FORMAT} audio, uploading to ${audioKey}`);
+
+    await uploadAudio(bucket, audioKey, outputPath, encoder.contentType);
+
+    const { ContentLength } = await s3.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+
+    // Return object directly for Step Functions compatibility
+    return {
+      message: "Audio extracted",
+      bucket,
+      key: audioKey,
+      originalKey: key,
+      audioFormat: AUDIO_FORMAT,
+      audioSizeMB: parseFloat(audioSizeMB.toFixed(2)),
+      originalSizeMB: parseFloat((ContentLength / (1024 * 1024)).toFixed(2)),
+    };
+  } catch (error) {
+    console.error("Error in extractAudio:", error);
+    throw error;
+  } finally {
+    if (existsSync(outputPath)) {
+      unlinkSync(outputPath);
+    }
+  }
+};
@@ -0,0 +1,352 @@
+import { S3Client, GetObjectCommand } from "@aws-sdk/client-s3";
+import { DynamoDBClient, GetItemCommand } from "@aws-sdk/client-dynamodb";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import { outputBaseName } from "./lib/mediaFormats.js";
+import { RECORD_TYPES, queryVideoRecords } from "./lib/jobsTable.js";
+import { VIDEO_STATES, stateTimestampAttribute, chunkCount } from "./lib/videoLifecycle.js";
+
+const s3 = new S3Client();
+const dynamodb = new DynamoDBClient();
+
+const OUTPUT_BUCKET = process.env.OUTPUT_BUCKET;
+const JOBS_TABLE = process.env.JOBS_TABLE || "transcription-jobs-dev";
+// Lifetime of the presigned output links
+const LINK_EXPIRY_SECONDS = parseInt(process.env.LINK_EXPIRY_SECONDS || "3600", 10);
+// Statuses onUploadHandler recorded for refused uploads before rejections moved onto the
+// FAILED parent record
+const REJECTED_STATUSES = ["UNSUPPORTED_FORMAT", "INVALID_CONFIG"];
+
+/**
+ * Build an API Gateway / function URL response
+ */
+function response(statusCode, body) {
+  return {
+    statusCode,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  };
+}
+
+/**
+ * Read method, path and query from an API Gateway REST (v1), HTTP API (v2) or function URL event
+ */
+function parseRequest(event) {
+  return {
+    method: event.requestContext?.http?.method || event.httpMethod || "GET",
+    path: (event.rawPath || event.path || "/").replace(/\/+$/, "") || "/",
+    query: event.queryStringParameters || {},
+  };
+}
+
+/**
+ * Media description onUploadHandler.js recorded from the ProbeMedia step, or null without one
+ */
+function readMedia(item) {
+  const number = (attribute) => (item[attribute] ? Number(item[attribute].N) : null);
+  if (!item.durationSeconds && !item.container) return null;
+
+  return {
+    durationSeconds: number("durationSeconds"),
+    container: item.container?.S || null,
+    audioCodec: item.audioCodec?.S || null,
+    sampleRate: number("sampleRate"),
+    channels: number("channels"),
+    loudnessLufs: number("loudnessLufs"),
+    loudnessRangeLu: number("loudnessRangeLu"),
+    truePeakDbfs: number("truePeakDbfs"),
+    routedBy: item.routedBy?.S || null,
+    plannedChunks: number("plannedChunks"),
+  };
+}
+
+/**
+ * Lifecycle state, per-state timestamps, chunk counters and last error of a parent record
+ */
+function readLifecycle(item) {
+  const timestamps = {};
+  for (const state of Object.values(VIDEO_STATES)) {
+    const attribute = stateTimestampAttribute(state);
+    if (item[attribute]) timestamps[attribute] = item[attribute].S;
+  }
+
+  return {
+    state: item.status?.S || null,
+    timestamps,
+    totalChunks: item.totalChunks ? Number(item.totalChunks.N) : null,
+    chunksTranscribed: chunkCount(item, "chunksTranscribed"),
+    chunksStored: chunkCount(item, "chunksStored"),
+    lastError: item.lastError?.S || null,
+    lastErrorAt: item.lastErrorAt?.S || null,
+    incomplete: item.incomplete?.BOOL || false,
+    missingChunks: (item.missingChunks?.L || []).map((value) => Number(value.N)),
+    media: readMedia(item),
+  };
+}
+
+/**
+ * Convert a job item written by startTranscribe.js (or a parent record written by
+ * onUploadHandler.js) into a plain object
+ */
+function readJobItem(item) {
+  const isVideo = item.recordType?.S === RECORD_TYPES.VIDEO;
+  return {
+    jobId: item.jobId.S,
+    recordType: item.recordType?.S || RECORD_TYPES.JOB,
+    originalKey: item.originalKey?.S || null,
+    chunkIndex: item.chunkIndex ? Number(item.chunkIndex.N) : 0,
+    totalChunks: item.totalChunks ? Number(item.totalChunks.N) : 1,
+    language: item.language?.S || null,
+    languageCode: item.detectedLanguageCode?.S || item.languageCode?.S || null,
+    identifyLanguage: item.identifyLanguage?.BOOL || false,
+    status: item.status?.S || "UNKNOWN",
+    error: item.error?.S || item.lastError?.S || null,
+    rejection: item.rejection?.S || null,
+    createdAt: item.createdAt?.S || null,
+    updatedAt: item.updatedAt?.S || null,
+    outputPrefix: item.outputPrefix?.S || null,
+    chunkStartTime: item.chunkStartTime ? Number(item.chunkStartTime.N) : null,
+    chunkDuration: item.chunkDuration ? Number(item.chunkDuration.N) : null,
+    ...(isVideo && { lifecycle: readLifecycle(item) }),
+  };
+}
+
+/**
+ * Get a single job item
+ */
+async function getJob(jobId) {
+  const result = await dynamodb.send(new GetItemCommand({
+    TableName: JOBS_TABLE,
+    Key: { jobId: { S: jobId } },
+  }));
+  return result.Item ? readJobItem(result.Item) : null;
+}
+
+/**
+ * Get every record of an upload, the parent record included
+ */
+async function getJobsForVideo(originalKey) {
+  return (await queryVideoRecords(dynamodb, JOBS_TABLE, originalKey)).map(readJobItem);
+}
+
+/**
+ * Keep the newest job per chunk and language, so a re-processed upload reports its latest run
+ */
+function latestJobs(jobs) {
+  const latest = new Map();
+  for (const job of jobs) {
+    const slot = `${job.chunkIndex}:${job.language}`;
+    const existing = latest.get(slot);
+    if (!existing || (job.createdAt || "") > (existing.createdAt || "")) {
+      latest.set(slot, job);
+    }
+  }
+  return [...latest.values()];
+}
+
+/**
+ * Read the output manifest of an upload, or null while it has not been written
+ */
+async function readManifest(outputPrefix) {
+  try {
+    const result = await s3.send(new GetObjectCommand({
+      Bucket: OUTPUT_BUCKET,
+      Key: `${outputPrefix}/manifest.json`,
+    }));
+    return JSON.parse(await result.Body.transformToString("utf-8"));
+  } catch (error) {
+    if (error.name === "NoSuchKey" || error.$metadata?.httpStatusCode === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Presign every file of a { name: key } map
+ */
+async function presignAll(keys) {
+  if (!keys) return null;
+  const links = {};
+  for (const [name, key] of Object.entries(keys)) {
+    if (!key) continue;
+    links[name] = await getSignedUrl(s3, new GetObjectCommand({ Bucket: OUTPUT_BUCKET, Key: key }), {
+      expiresIn: LINK_EXPIRY_SECONDS,
+    });
+  }
+  return links;
+}
+
+/**
+ * Presigned links to the subtitles and transcripts listed in the manifest
+ */
+async function buildOutputs(manifest) {
+  const outputs = [];
+  for (const entry of manifest?.languages || []) {
+    outputs.push({
+      language: entry.language,
+      languageCode: entry.languageCode,
+      subtitles: await presignAll(entry.files),
+      transcripts: await presignAll(entry.transcripts),
+    });
+  }
+  return outputs;
+}
+
+/**
+ * Aggregate the job items of one upload into a per-video status with per-chunk progress
+ */
+async function buildVideoStatus(originalKey, records) {
+  const video = records.find((record) => record.recordType === RECORD_TYPES.VIDEO) || null;
+  const items = records.filter((record) => record.recordType !== RECORD_TYPES.VIDEO);
+
+  // Rejections are kept on the parent record; items written before it existed are separate
+  const rejection = [video, ...items]
+    .filter((record) => record && (record.rejection || REJECTED_STATUSES.includes(record.status)))
+    .sort((a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""))[0];
+  const jobs = latestJobs(items.filter((job) => !REJECTED_STATUSES.includes(job.status)));
+
+  // A rejection newer than every transcription job is the outcome of the latest upload
+  if (rejection && !jobs.some((job) => (job.createdAt || "") > rejection.createdAt)) {
+    return {
+      originalKey,
+      status: "FAILED",
+      state: video?.lifecycle.state || null,
+      reason: rejection.rejection || rejection.status,
+      error: rejection.error,
+      updatedAt: rejection.createdAt,
+      lifecycle: video?.lifecycle || null,
+      progress: { completedChunks: 0, totalChunks: 0, percent: 0 },
+      chunks: [],
+      outputs: [],
+    };
+  }
+
+  const totalChunks = Math.max(1, ...jobs.map((job) => job.totalChunks));
+  const chunkIndexes = totalChunks > 1
+    ? Array.from({ length: totalChunks }, (_, i) => i + 1)
+    : [...new Set(jobs.map((job) => job.chunkIndex))];
+
+  const chunks = chunkIndexes.map((chunkIndex) => {
+    const chunkJobs = jobs.filter((job) => job.chunkIndex === chunkIndex);
+    let status = "PENDING";
+    if (chunkJobs.some((job) => job.status === "FAILED")) {
+      status = "FAILED";
+    } else if (chunkJobs.length > 0 && chunkJobs.every((job) => job.status === "COMPLETED")) {
+      status = "COMPLETED";
+    } else if (chunkJobs.length > 0) {
+      status = "IN_PROGRESS";
+    }
+
+    return {
+      chunkIndex,
+      status,
+      startTime: chunkJobs[0]?.chunkStartTime ?? null,
+      duration: chunkJobs[0]?.chunkDuration ?? null,
+      jobs: chunkJobs.map(({ jobId, language, languageCode, status: jobStatus, error }) => ({
+        jobId,
+        language,
+        languageCode,
+        status: jobStatus,
+        error,
+      })),
+    };
+  });
+
+  const completedChunks = chunks.filter((chunk) => chunk.status === "COMPLETED").length;
+  const failedJobs = jobs.filter((job) => job.status === "FAILED");
+  const createdAt = [video, ...jobs].map((record) => record?.createdAt).filter(Boolean).sort();
+  const outputPrefix = video?.outputPrefix
+    || jobs.find((job) => job.outputPrefix)?.outputPrefix
+    || outputBaseName(originalKey);
+
+  // The top-level manifest is written last, once subtitles are stored (and merged for split
+  // videos); one older than the latest job belongs to a previous run of the same upload.
+  // A partial merge writes it although some chunks failed.
+  const partial = video?.lifecycle.state === VIDEO_STATES.DONE && video.lifecycle.incomplete;
+  const manifest = (chunks.length > 0 && completedChunks === chunks.length) || partial
+    ? await readManifest(outputPrefix)
+    : null;
+  const outputsReady = Boolean(manifest) && (manifest.updatedAt || "") >= (createdAt[createdAt.length - 1] || "");
+
+  // The parent record also fails on errors outside Transcribe, e.g. while splitting or merging
+  let status = "IN_PROGRESS";
+  if (partial && outputsReady) {
+    status = "PARTIAL";
+  } else if (failedJobs.length > 0 || video?.lifecycle.state === VIDEO_STATES.FAILED) {
+    status = "FAILED";
+  } else if (outputsReady) {
+    status = "COMPLETED";
+  }
+
+  return {
+    originalKey,
+    status,
+    state: video?.lifecycle.state || null,
+    error: failedJobs.map((job) => `${job.jobId}: ${job.error || "transcription failed"}`).join("; ")
+      || video?.lifecycle.lastError
+      || null,
+    createdAt: createdAt[0] || null,
+    updatedAt: jobs.map((job) => job.updatedAt || job.createdAt).filter(Boolean).sort().pop() || null,
+    outputPrefix,
+    progress: {
+      completedChunks,
+      totalChunks: chunks.length,
+      percent: chunks.length ? Math.round((completedChunks / chunks.length) * 100) : 0,
+    },
+    media: video?.lifecycle.media || null,
+    lifecycle: video?.lifecycle || null,
+    chunks,
+    missingChunks: partial ? video.lifecycle.missingChunks : [],
+    outputs: status === "COMPLETED" || status === "PARTIAL" ? await buildOutputs(manifest) : [],
+    linksExpireInSeconds: LINK_EXPIRY_SECONDS,
+  };
+}
+
+/**
+ * Job status API, for API Gateway or a Lambda function URL
+ *
+ * GET /jobs?originalKey=<upload key>  aggregated status of an upload
+ * GET /jobs/{id}                      one Transcribe job, with the status of its upload
+ */
+export const handler = async (event) => {
+  console.log("getJobStatus event:", JSON.stringify(event, null, 2));
+
+  try {
+    const { method, path, query } = parseRequest(event);
+
+    if (method !== "GET") {
+      return response(405, { message: `Method ${method} not allowed` });
+    }
+
+    const jobMatch = path.match(/\/jobs\/([^/]+)$/);
+    if (jobMatch) {
+      const jobId = decodeURIComponent(jobMatch[1]);
+      const job = await getJob(jobId);
+      if (!job) {
+        return response(404, { message: `Job ${jobId} not found` });
+      }
+
+      const video = job.originalKey
+        ? await buildVideoStatus(job.originalKey, await getJobsForVideo(job.originalKey))
+        : null;
+      return response(200, { job, video });
+    }
+
+    if (path.endsWith("/jobs")) {
+      if (!query.originalKey) {
+        return response(400, { message: "Missing required query parameter: originalKey" });
+      }
+
+      const jobs = await getJobsForVideo(query.originalKey);
+      if (jobs.length === 0) {
+        return response(404, { message: `No jobs found for ${query.originalKey}` });
+      }
+      return response(200, await buildVideoStatus(query.originalKey, jobs));
+    }
+
+    return response(404, { message: `Route ${path} not found` });
+  } catch (error) {
+    console.error("Error in getJobStatus:", error);
+    return response(500, { message: "Internal error", error: error.message });
+  }
+};
@@ -0,0 +1,367 @@
+import { accessSync, constants } from "fs";
+import { join, delimiter } from "path";
+import { spawn } from "child_process";
+
+// Default time limits; a run that hangs on a stalled stream is killed rather than left to
+// run into the Lambda timeout
+const FFMPEG_TIMEOUT_SECONDS = parseFloat(process.env.FFMPEG_TIMEOUT_SECONDS || "840");
+const FFPROBE_TIMEOUT_SECONDS = parseFloat(process.env.FFPROBE_TIMEOUT_SECONDS || "60");
+// How often a long ffmpeg run logs how far it got
+const PROGRESS_LOG_INTERVAL_MS = 30000;
+// Upper bound on the output kept in memory (silencedetect writes a line per pause)
+const MAX_OUTPUT_BYTES = 50 * 1024 * 1024;
+const STDERR_TAIL_LINES = 5;
+
+/**
+ * Error types of failed ffmpeg and ffprobe runs, as Step Functions sees them
+ */
+export const MEDIA_ERRORS = {
+  CORRUPT_MEDIA: "CorruptMedia",
+  NO_AUDIO_STREAM: "NoAudioStream",
+  UNSUPPORTED_CODEC: "UnsupportedCodec",
+  TOOL_NOT_FOUND: "MediaToolNotFound",
+  TIMEOUT: "MediaToolTimeout",
+  FAILED: "MediaToolFailed",
+};
+
+// Failures caused by the upload itself: running the tool again cannot fix them
+const REJECTIONS = {
+  [MEDIA_ERRORS.CORRUPT_MEDIA]: "CORRUPT_MEDIA",
+  [MEDIA_ERRORS.NO_AUDIO_STREAM]: "NO_AUDIO_STREAM",
+  [MEDIA_ERRORS.UNSUPPORTED_CODEC]: "UNSUPPORTED_CODEC",
+};
+
+// stderr patterns of the failures above, checked in order against a failed run
+const FAILURE_PATTERNS = [
+  {
+    type: MEDIA_ERRORS.NO_AUDIO_STREAM,
+    pattern: /does not contain any stream|matches no streams/i,
+  },
+  {
+    type: MEDIA_ERRORS.UNSUPPORTED_CODEC,
+    pattern: /Decoder \([^)]*\) not found|Unknown decoder|codec not currently supported|Could not find tag for codec|Unsupported codec/i,
+  },
+  {
+    type: MEDIA_ERRORS.CORRUPT_MEDIA,
+    pattern: /Invalid data found when processing input|moov atom not found|EBML header parsing failed|could not find codec parameters|Invalid NAL unit|corrupt (?:input|decoded frame)/i,
+  },
+];
+
+/**
+ * Thrown when ffmpeg or ffprobe fails; the name is one of MEDIA_ERRORS
+ * rejection is set for failures caused by the upload, e.g. "NO_AUDIO_STREAM"
+ */
+export class MediaToolError extends Error {
+  constructor(type, message, { tool = null, exitCode = null } = {}) {
+    super(message);
+    this.name = type;
+    this.tool = tool;
+    this.exitCode = exitCode;
+    this.rejection = REJECTIONS[type] || null;
+  }
+}
+
+/**
+ * Whether an error means the upload cannot be processed, rather than that the run failed
+ */
+export function isMediaRejection(error) {
+  return Boolean(error instanceof MediaToolError && error.rejection);
+}
+
+/**
+ * Drop the query string of presigned URLs, so signatures do not end up in logs or errors
+ */
+function redactUrls(text) {
+  return String(text).replace(/(https?:\/\/[^\s?"']+)\?[^\s"':]*/g, "$1");
+}
+
+/**
+ * Last lines of a tool's stderr, for error messages
+ */
+function stderrTail(stderr) {
+  return redactUrls(stderr.trim().split("\n").slice(-STDERR_TAIL_LINES).join(" | "));
+}
+
+/**
+ * Turn a failed run into a MediaToolError, typed by what stderr says went wrong
+ */
+function classifyFailure(tool, exitCode, stderr) {
+  const known = FAILURE_PATTERNS.find(({ pattern }) => pattern.test(stderr));
+  const detail = stderrTail(stderr) || "(no output)";
+  return new MediaToolError(
+    known ? known.type : MEDIA_ERRORS.FAILED,
+    `${tool} exited with code ${exitCode}: ${detail}`,
+    { tool, exitCode }
+  );
+}
+
+const binaryPaths = new Map();
+
+/**
+ * Find an executable shipped with ffmpeg
+ * Lambda Layers typically place binaries in /opt/bin; PATH is searched last. Throws a
+ * MediaToolError when the binary is nowhere to be found, rather than failing later with ENOENT.
+ */
+function findBinaryPath(name) {
+  if (binaryPaths.has(name)) {
+    return binaryPaths.get(name);
+  }
+
+  // Common paths where the binary might be located, then every directory on PATH
+  const possiblePaths = [
+    `/opt/bin/${name}`,  // Lambda Layer path
+    `/var/task/bin/${name}`,  // If bundled in function
+    `/usr/local/bin/${name}`,  // System path
+    ...(process.env.PATH || "").split(delimiter).filter(Boolean).map((dir) => join(dir, name)),
+  ];
+
+  for (const path of possiblePaths) {
+    try {
+      accessSync(path, constants.X_OK);
+      binaryPaths.set(name, path);
+      return path;
+    } catch (error) {
+      // Continue to next path
+      continue;
+    }
+  }
+
+  throw new MediaToolError(
+    MEDIA_ERRORS.TOOL_NOT_FOUND,
+    `${name} not found in /opt/bin, /var/task/bin, /usr/local/bin or on PATH - attach the ffmpeg layer (see FFMPEG_SETUP.md)`,
+    { tool: name }
+  );
+}
+
+/**
+ * Find ffmpeg executable path
+ */
+export function findFFmpegPath() {
+  return findBinaryPath("ffmpeg");
+}
+
+/**
+ * Find ffprobe executable path
+ */
+export function findFFprobePath() {
+  return findBinaryPath("ffprobe");
+}
+
+/**
+ * Run a binary with an argument array (no shell) and collect its output
+ * onStdout receives stdout as it arrives instead of it being collected
+ */
+function runTool(tool, args, { timeoutMs, onStdout = null }) {
+  const path = findBinaryPath(tool);
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(path, args, { stdio: ["ignore", "pipe", "pipe"] });
+    let stdout = "";
+    let stderr = "";
+    let timedOut = false;
+    let overflowed = false;
+
+    const collect = (current, chunk) => {
+      if (current.length + chunk.length > MAX_OUTPUT_BYTES) {
+        overflowed = true;
+        child.kill("SIGKILL");
+        return current;
+      }
+      return current + chunk;
+    };
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill("SIGKILL");
+    }, timeoutMs);
+
+    child.stdout.setEncoding("utf-8");
+    child.stderr.setEncoding("utf-8");
+    child.stdout.on("data", (chunk) => {
+      if (onStdout) onStdout(chunk);
+      else stdout = collect(stdout, chunk);
+    });
+    child.stderr.on("data", (chunk) => {
+      stderr = collect(stderr, chunk);
+    });
+
+    child.on("error", (error) => {
+      clearTimeout(timer);
+      reject(new MediaToolError(MEDIA_ERRORS.FAILED, `Could not run ${tool}: ${error.message}`, { tool }));
+    });
+
+    child.on("close", (exitCode) => {
+      clearTimeout(timer);
+      if (timedOut) {
+        reject(new MediaToolError(
+          MEDIA_ERRORS.TIMEOUT,
+          `${tool} did not finish within ${Math.round(timeoutMs / 1000)}s: ${stderrTail(stderr) || "(no output)"}`,
+          { tool }
+        ));
+      } else if (overflowed) {
+        reject(new MediaToolError(MEDIA_ERRORS.FAILED, `${tool} wrote more than ${MAX_OUTPUT_BYTES} bytes of output`, { tool }));
+      } else if (exitCode !== 0) {
+        reject(classifyFailure(tool, exitCode, stderr));
+      } else {
+        resolve({ stdout, stderr });
+      }
+    });
+  });
+}
+
+/**
+ * Parse ffmpeg's -progress output, calling onUpdate with each completed block
+ * A block is a set of key=value lines ending with progress=continue or progress=end
+ */
+function progressParser(onUpdate) {
+  let buffer = "";
+  let block = {};
+
+  return (chunk) => {
+    buffer += chunk;
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      const separator = line.indexOf("=");
+      if (separator < 0) continue;
+      const name = line.slice(0, separator).trim();
+      block[name] = line.slice(separator + 1).trim();
+
+      if (name === "progress") {
+        const outTimeUs = parseInt(block.out_time_us ?? block.out_time_ms, 10);
+        onUpdate({
+          seconds: Number.isFinite(outTimeUs) ? outTimeUs / 1e6 : null,
+          speed: block.speed && block.speed !== "N/A" ? block.speed : null,
+          done: block.progress === "end",
+        });
+        block = {};
+      }
+    }
+  };
+}
+
+/**
+ * Run ffmpeg with an argument array
+ *
+ * Progress is logged every PROGRESS_LOG_INTERVAL_MS, as a percentage when duration (seconds) is
+ * known. A failed run throws a MediaToolError typed from its stderr, e.g. CorruptMedia.
+ * Returns { stderr }, which is where ffmpeg writes filter output such as silencedetect's.
+ */
+export async function runFFmpeg(args, { label = "ffmpeg", duration = null, timeoutMs = FFMPEG_TIMEOUT_SECONDS * 1000 } = {}) {
+  const fullArgs = ["-hide_banner", "-nostdin", "-nostats", "-progress", "pipe:1", ...args];
+  console.log(`Executing: ffmpeg ${redactUrls(fullArgs.join(" "))}`);
+
+  let lastLog = Date.now();
+  const onStdout = progressParser(({ seconds, speed, done }) => {
+    if (done || seconds === null || Date.now() - lastLog < PROGRESS_LOG_INTERVAL_MS) return;
+    lastLog = Date.now();
+    const percent = duration ? ` (${Math.min(100, (seconds / duration) * 100).toFixed(0)}%)` : "";
+    console.log(`${label}: ${seconds.toFixed(0)}s processed${percent}${speed ? ` at ${speed}` : ""}`);
+  });
+
+  const { stderr } = await runTool("ffmpeg", fullArgs, { timeoutMs, onStdout });
+  return { stderr };
+}
+
+/**
+ * Run ffprobe with an argument array
+ * Returns { stdout }; a failed run throws a MediaToolError typed from its stderr
+ */
+export async function runFFprobe(args, { timeoutMs = FFPROBE_TIMEOUT_SECONDS * 1000 } = {}) {
+  const { stdout } = await runTool("ffprobe", ["-hide_banner", ...args], { timeoutMs });
+  return { stdout };
+}
+
+/**
+ * Describe a media file or URL with ffprobe
+ * ffprobe only reads the container headers (with ranged reads for a trailing index), not the media
+ * Returns { formatName, duration, streams, audioStreams }; duration is null when the container
+ * does not record it
+ */
+export async function probeMedia(input, options = {}) {
+  const { stdout } = await runFFprobe([
+    "-v", "error",
+    "-show_entries", "format=format_name,duration:stream=index,codec_type,codec_name,channels,sample_rate",
+    "-of", "json",
+    input,
+  ], options);
+
+  let parsed;
+  try {
+    parsed = JSON.parse(stdout);
+  } catch (error) {
+    throw new MediaToolError(MEDIA_ERRORS.FAILED, `ffprobe output is not JSON: ${stdout.substring(0, 200)}`, { tool: "ffprobe" });
+  }
+
+  const streams = (parsed.streams || []).map((stream) => ({
+    index: stream.index,
+    type: stream.codec_type || null,
+    codec: stream.codec_name || null,
+    channels: stream.channels ?? null,
+    sampleRate: stream.sample_rate ? Number(stream.sample_rate) : null,
+  }));
+  const duration = parseFloat(parsed.format?.duration);
+
+  return {
+    formatName: parsed.format?.format_name || null,
+    duration: Number.isFinite(duration) && duration > 0 ? duration : null,
+    streams,
+    audioStreams: streams.filter((stream) => stream.type === "audio"),
+  };
+}
+
+/**
+ * Check that probed media has an audio stream that can be decoded
+ * Throws CorruptMedia for media without streams, NoAudioStream when there is no audio and
+ * UnsupportedCodec when no audio stream has a known codec
+ */
+export function assertAudioStream(probe, name) {
+  if (probe.streams.length === 0) {
+    throw new MediaToolError(MEDIA_ERRORS.CORRUPT_MEDIA, `${name} contains no readable media streams`, { tool: "ffprobe" });
+  }
+  if (probe.audioStreams.length === 0) {
+    const types = [...new Set(probe.streams.map((stream) => stream.type || "unknown"))].join(", ");
+    throw new MediaToolError(MEDIA_ERRORS.NO_AUDIO_STREAM, `${name} has no audio stream (only ${types}) - there is nothing to transcribe`, { tool: "ffprobe" });
+  }
+  if (!probe.audioStreams.some((stream) => stream.codec && stream.codec !== "none")) {
+    throw new MediaToolError(MEDIA_ERRORS.UNSUPPORTED_CODEC, `${name} has audio in a codec ffmpeg cannot decode`, { tool: "ffprobe" });
+  }
+}
+
+/**
+ * Parse the summary of ffmpeg's ebur128 filter
+ * Values ffmpeg reports as -inf (digital silence) are returned as null
+ */
+function parseLoudnessSummary(stderr) {
+  const summary = stderr.slice(stderr.lastIndexOf("Summary:"));
+  const read = (pattern) => {
+    const match = summary.match(pattern);
+    const value = match ? parseFloat(match[1]) : NaN;
+    return Number.isFinite(value) ? value : null;
+  };
+
+  return {
+    integratedLufs: read(/I:\s*(-?[\d.]+|-inf)\s*LUFS/),
+    loudnessRangeLu: read(/LRA:\s*(-?[\d.]+)\s*LU\b/),
+    truePeakDbfs: read(/Peak:\s*(-?[\d.]+|-inf)\s*dBFS/),
+  };
+}
+
+/**
+ * Measure the loudness of the first audio stream with the EBU R128 filter
+ * Unlike probeMedia this decodes all of the audio, so it takes time in proportion to the duration
+ * Returns { integratedLufs, loudnessRangeLu, truePeakDbfs }
+ */
+export async function measureLoudness(input, { duration = null, timeoutMs } = {}) {
+  const { stderr } = await runFFmpeg([
+    "-i", input,
+    "-vn", "-af", "ebur128=peak=true:framelog=verbose",
+    "-f", "null", "-",
+  ], { label: "loudness", duration, timeoutMs });
+
+  if (!stderr.includes("Summary:")) {
+    throw new MediaToolError(MEDIA_ERRORS.FAILED, "ffmpeg did not report a loudness summary", { tool: "ffmpeg" });
+  }
+  return parseLoudnessSummary(stderr);
+}
@@ -0,0 +1,371 @@
+import { GetObjectCommand, GetObjectTaggingCommand } from "@aws-sdk/client-s3";
+import { resolveLanguages, AUTO_LANGUAGE } from "./languages.js";
+import { resolveFormats } from "./subtitles.js";
+import { resolveVocabulary, VOCABULARY_FILTER_METHODS } from "./vocabulary.js";
+import { resolveSubtitleStyle, SUBTITLE_PRESETS } from "./subtitleStyle.js";
+import { outputBaseName } from "./mediaFormats.js";
+
+const DEFAULT_LANGUAGES = process.env.DEFAULT_LANGUAGES || "english";
+const DEFAULT_FORMATS = process.env.DEFAULT_FORMATS || "srt";
+const DEFAULT_MAX_SPEAKERS = parseInt(process.env.DEFAULT_MAX_SPEAKERS || "0", 10);
+const DEFAULT_SUBTITLE_PRESET = process.env.DEFAULT_SUBTITLE_PRESET || "raw";
+const DEFAULT_PARTIAL_MERGE = process.env.DEFAULT_PARTIAL_MERGE === "true";
+const GAP_MARKER_TEXT = "[transcription unavailable]";
+// An empty DEFAULT_GAP_MARKER leaves the gaps of a partial merge without a cue
+const DEFAULT_GAP_MARKER = (process.env.DEFAULT_GAP_MARKER ?? GAP_MARKER_TEXT).trim();
+// Range Transcribe accepts for MaxSpeakerLabels
+const MIN_SPEAKERS = 2;
+const MAX_SPEAKERS = 30;
+const SIDECAR_SUFFIX = ".transcribe.json";
+
+/**
+ * Schema of the per-upload configuration, in the field names of the sidecar JSON
+ * Object metadata and tags use the kebab-case names in KEY_VALUE_FIELDS instead
+ */
+const JOB_CONFIG_SCHEMA = {
+  languages: { type: ["string", "array"] },
+  identifyLanguage: { type: ["boolean"] },
+  languageOptions: { type: ["string", "array"] },
+  formats: { type: ["string", "array"] },
+  subtitles: {
+    type: ["string", "object"],
+    properties: {
+      preset: { type: ["string"], enum: Object.keys(SUBTITLE_PRESETS) },
+      maxCharsPerLine: { type: ["number"], integer: true, minimum: 10, maximum: 80 },
+      maxLines: { type: ["number"], integer: true, minimum: 1, maximum: 4 },
+      minDurationSeconds: { type: ["number"], minimum: 0, maximum: 10 },
+      maxDurationSeconds: { type: ["number"], minimum: 1, maximum: 30 },
+      maxCharsPerSecond: { type: ["number"], minimum: 5, maximum: 50 },
+    },
+  },
+  segmentLengthSeconds: { type: ["number"], minimum: 30, maximum: 3600 },
+  diarization: {
+    type: ["boolean", "object"],
+    properties: {
+      maxSpeakers: { type: ["number"], integer: true, minimum: MIN_SPEAKERS, maximum: MAX_SPEAKERS },
+      speakerNames: { type: ["string", "array", "object"] },
+    },
+  },
+  vocabulary: { type: ["string", "object"] },
+  vocabularyFilter: { type: ["string", "object"] },
+  vocabularyFilterMethod: { type: ["string"], enum: VOCABULARY_FILTER_METHODS },
+  outputPrefix: { type: ["string"], pattern: /^(?!\/)(?!.*\.\.)[\w!\-.*'()/ ]{1,512}$/ },
+  callbackUrl: { type: ["string"], pattern: /^https:\/\/[^\s/]+\S*$/ },
+  partialMerge: { type: ["boolean"] },
+  gapMarker: { type: ["boolean", "string"] },
+};
+
+/**
+ * Metadata / tag keys and the sidecar fields they set
+ * Values are strings; numbers are parsed, "true" and "false" become booleans where a flag is
+ * expected, and lists may be separated by commas, "+" or spaces (S3 tag values cannot contain
+ * commas). max-speakers 0 turns diarization off.
+ */
+const KEY_VALUE_FIELDS = {
+  "languages": { field: "languages", list: true },
+  "language-options": { field: "languageOptions", list: true },
+  "formats": { field: "formats", list: true },
+  "subtitle-preset": { field: "subtitles.preset" },
+  "max-chars-per-line": { field: "subtitles.maxCharsPerLine", number: true },
+  "max-lines": { field: "subtitles.maxLines", number: true },
+  "min-cue-duration": { field: "subtitles.minDurationSeconds", number: true },
+  "max-cue-duration": { field: "subtitles.maxDurationSeconds", number: true },
+  "max-chars-per-second": { field: "subtitles.maxCharsPerSecond", number: true },
+  "segment-length": { field: "segmentLengthSeconds", number: true },
+  "max-speakers": { field: "diarization.maxSpeakers", number: true },
+  "speaker-names": { field: "diarization.speakerNames", list: true },
+  "vocabulary": { field: "vocabulary", pairs: true },
+  "vocabulary-filter": { field: "vocabularyFilter", pairs: true },
+  "vocabulary-filter-method": { field: "vocabularyFilterMethod" },
+  "output-prefix": { field: "outputPrefix" },
+  "callback-url": { field: "callbackUrl" },
+  "partial-merge": { field: "partialMerge", flag: true },
+  "gap-marker": { field: "gapMarker", flag: true },
+};
+
+/**
+ * Fields that are always taken together from the same source, so that for example
+ * languageOptions from metadata never narrow languages set in the sidecar
+ */
+const FIELD_GROUPS = [
+  ["languages", "identifyLanguage", "languageOptions"],
+  ["formats"],
+  ["subtitles"],
+  ["segmentLengthSeconds"],
+  ["diarization"],
+  ["vocabulary", "vocabularyFilter", "vocabularyFilterMethod"],
+  ["outputPrefix"],
+  ["callbackUrl"],
+  ["partialMerge", "gapMarker"],
+];
+
+/**
+ * Thrown when the configuration of an upload does not match the schema
+ * The name is what Step Functions sees as the error type
+ */
+export class InvalidJobConfigError extends Error {
+  constructor(source, errors) {
+    super(`Invalid job configuration in ${source}: ${errors.join("; ")}`);
+    this.name = "InvalidJobConfig";
+    this.errors = errors;
+  }
+}
+
+/**
+ * Build the sidecar key for a video, e.g. videos/talk.mp4 -> videos/talk.mp4.transcribe.json
+ */
+export function sidecarKey(key) {
+  return `${key}${SIDECAR_SUFFIX}`;
+}
+
+/**
+ * Read the optional sidecar JSON that sits next to the video
+ * Returns null when no sidecar exists
+ */
+async function readSidecar(s3, bucket, key) {
+  try {
+    const response = await s3.send(new GetObjectCommand({
+      Bucket: bucket,
+      Key: sidecarKey(key),
+    }));
+    const body = await response.Body.transformToString("utf-8");
+    return JSON.parse(body);
+  } catch (error) {
+    if (error.name === "NoSuchKey" || error.$metadata?.httpStatusCode === 404) {
+      return null;
+    }
+    if (error instanceof SyntaxError) {
+      throw new InvalidJobConfigError(sidecarKey(key), [`invalid JSON: ${error.message}`]);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Read the tags of the video as a plain object
+ */
+async function readTags(s3, bucket, key) {
+  const response = await s3.send(new GetObjectTaggingCommand({
+    Bucket: bucket,
+    Key: key,
+  }));
+  return Object.fromEntries((response.TagSet || []).map(({ Key, Value }) => [Key, Value]));
+}
+
+/**
+ * Type of a JSON value as named in the schema
+ */
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  return typeof value;
+}
+
+/**
+ * Validate a configuration object against a schema
+ * Returns a list of problems, empty when the configuration is valid
+ */
+function validate(config, schema = JOB_CONFIG_SCHEMA, path = "") {
+  if (typeOf(config) !== "object") {
+    return [`${path || "configuration"} must be an object`];
+  }
+
+  const errors = [];
+  for (const [name, value] of Object.entries(config)) {
+    const field = `${path}${name}`;
+    const rule = schema[name];
+    if (!rule) {
+      errors.push(`unknown field ${field}`);
+      continue;
+    }
+
+    const type = typeOf(value);
+    if (!rule.type.includes(type)) {
+      errors.push(`${field} must be ${rule.type.join(" or ")}, got ${type}`);
+      continue;
+    }
+    if (type === "number" && (Number.isNaN(value) || (rule.integer && !Number.isInteger(value)))) {
+      errors.push(`${field} must be ${rule.integer ? "an integer" : "a number"}`);
+    } else if (type === "number" && (value < rule.minimum || value > rule.maximum)) {
+      errors.push(`${field} must be between ${rule.minimum} and ${rule.maximum}, got ${value}`);
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+      errors.push(`${field} must be one of ${rule.enum.join(", ")}, got ${value}`);
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      errors.push(`${field} has an invalid value: ${value}`);
+    }
+    if (type === "array" && value.some((item) => typeof item !== "string")) {
+      errors.push(`${field} must only contain strings`);
+    }
+    if (type === "object" && rule.properties) {
+      errors.push(...validate(value, rule.properties, `${field}.`));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Convert object metadata or tags into the sidecar field names
+ * Keys that are not configuration (e.g. tags used for billing) are ignored
+ */
+function fromKeyValues(values = {}) {
+  const config = {};
+
+  for (const [key, { field, list, number, pairs, flag }] of Object.entries(KEY_VALUE_FIELDS)) {
+    const raw = values[key];
+    if (raw === undefined || String(raw).trim() === "") continue;
+
+    let value = String(raw).trim();
+    if (number) {
+      value = Number(value);
+    } else if (flag && ["true", "false"].includes(value.toLowerCase())) {
+      value = value.toLowerCase() === "true";
+    } else if (list) {
+      value = value.split(/[,+\s]+/).filter(Boolean);
+    } else if (pairs) {
+      value = value.split(/[,+]/).join(",");
+    }
+
+    const [parent, child] = field.split(".");
+    if (field === "diarization.maxSpeakers" && value === 0) {
+      config.diarization = false;
+    } else if (child) {
+      if (config[parent] === false) continue;
+      config[parent] = { ...config[parent], [child]: value };
+    } else {
+      config[parent] = value;
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Merge configuration sources, highest precedence first, one field group at a time
+ */
+function mergeSources(sources) {
+  const merged = {};
+  for (const group of FIELD_GROUPS) {
+    const source = sources.find((config) => group.some((field) => config[field] !== undefined));
+    if (!source) continue;
+    for (const field of group) {
+      if (source[field] !== undefined) merged[field] = source[field];
+    }
+  }
+  return merged;
+}
+
+/**
+ * Normalize speaker names given as a list in speaker order (["Alice", "Bob"] or "Alice,Bob")
+ * or as a map of display labels ({ "Speaker 1": "Alice" }) into the map form
+ */
+function resolveSpeakerNames(names) {
+  if (!names) return {};
+  if (typeof names === "object" && !Array.isArray(names)) return names;
+
+  const list = Array.isArray(names) ? names : String(names).split(",");
+  const speakerNames = {};
+  list.forEach((name, i) => {
+    const trimmed = String(name).trim();
+    if (trimmed) speakerNames[`Speaker ${i + 1}`] = trimmed;
+  });
+  return speakerNames;
+}
+
+/**
+ * Resolve speaker diarization settings
+ * Returns null when diarization is off, otherwise { maxSpeakers, speakerNames }
+ * true (or an object without maxSpeakers) uses the default speaker limit
+ */
+function resolveDiarization(diarization) {
+  if (diarization === undefined) {
+    return DEFAULT_MAX_SPEAKERS ? { maxSpeakers: DEFAULT_MAX_SPEAKERS, speakerNames: {} } : null;
+  }
+  if (!diarization) return null;
+
+  const maxSpeakers = diarization.maxSpeakers || DEFAULT_MAX_SPEAKERS || MIN_SPEAKERS;
+  if (maxSpeakers < MIN_SPEAKERS || maxSpeakers > MAX_SPEAKERS) {
+    throw new Error(`maxSpeakers must be between ${MIN_SPEAKERS} and ${MAX_SPEAKERS}, got ${maxSpeakers}`);
+  }
+
+  return {
+    maxSpeakers,
+    speakerNames: resolveSpeakerNames(diarization.speakerNames),
+  };
+}
+
+/**
+ * Resolve the text of the cue that fills the slot of a missing chunk in a partial merge
+ * Returns null when gaps are left empty; true uses the default text
+ */
+function resolveGapMarker(gapMarker) {
+  if (gapMarker === undefined) return DEFAULT_GAP_MARKER || null;
+  if (gapMarker === true) return DEFAULT_GAP_MARKER || GAP_MARKER_TEXT;
+  return (gapMarker && gapMarker.trim()) || null;
+}
+
+/**
+ * Turn validated raw settings into the configuration carried through the workflow
+ * Anything not set falls back to the environment defaults
+ */
+function buildJobConfig(key, raw = {}) {
+  const languageSource = raw.identifyLanguage ? AUTO_LANGUAGE : raw.languages || DEFAULT_LANGUAGES;
+
+  return {
+    languages: resolveLanguages(languageSource, raw.languageOptions || []),
+    formats: resolveFormats(raw.formats || DEFAULT_FORMATS),
+    subtitles: resolveSubtitleStyle(raw.subtitles, DEFAULT_SUBTITLE_PRESET),
+    // null lets splitVideo use its SEGMENT_TIME_SECONDS default
+    segmentLengthSeconds: raw.segmentLengthSeconds || null,
+    diarization: resolveDiarization(raw.diarization),
+    vocabulary: resolveVocabulary(raw),
+    outputPrefix: raw.outputPrefix ? raw.outputPrefix.replace(/\/+$/, "") : outputBaseName(key),
+    callbackUrl: raw.callbackUrl || null,
+    partialMerge: raw.partialMerge ?? DEFAULT_PARTIAL_MERGE,
+    gapMarker: resolveGapMarker(raw.gapMarker),
+  };
+}
+
+/**
+ * Resolve the per-upload configuration for a video
+ *
+ * Sources, highest precedence first: the <video>.transcribe.json sidecar, the object tags,
+ * the object metadata (x-amz-meta-*) and the DEFAULT_* environment variables. Each source is
+ * validated against the schema; an invalid one throws InvalidJobConfigError rather than being
+ * silently ignored.
+ */
+export async function resolveJobConfig(s3, bucket, key, objectMetadata = {}) {
+  const sidecar = await readSidecar(s3, bucket, key);
+  const tags = fromKeyValues(await readTags(s3, bucket, key));
+  const metadata = fromKeyValues(objectMetadata);
+
+  const sources = [
+    [sidecarKey(key), sidecar],
+    ["object tags", tags],
+    ["object metadata", metadata],
+  ].filter(([, config]) => config);
+
+  for (const [source, config] of sources) {
+    const errors = validate(config);
+    if (errors.length > 0) {
+      throw new InvalidJobConfigError(source, errors);
+    }
+  }
+
+  try {
+    return buildJobConfig(key, mergeSources(sources.map(([, config]) => config)));
+  } catch (error) {
+    // Values with the right shape can still be wrong, e.g. an unknown language
+    throw new InvalidJobConfigError(key, [error.message]);
+  }
+}
+
+/**
+ * Configuration carried in a Step Functions input
+ * Executions started without one (e.g. manual test events) get the environment defaults
+ */
+export function configFromEvent(event) {
+  return event.config || buildJobConfig(event.originalKey || event.key || "");
+}
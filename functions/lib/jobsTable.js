@@ -0,0 +1,103 @@
+import { QueryCommand } from "@aws-sdk/client-dynamodb";
+
+/**
+ * Data model of the jobs table
+ *
+ * The table is keyed by jobId and holds two kinds of records, told apart by recordType:
+ * - JOB: one Transcribe job per chunk and language, written by startTranscribe.js
+ * - VIDEO: one parent record per upload, keyed video#<originalKey>, created by onUploadHandler.js
+ *   and moved through its lifecycle (see videoLifecycle.js) by the other Lambdas
+ *
+ * Two global secondary indexes, both sorted by createdAt, replace full-table scans:
+ * - originalKey-index: every record of an upload
+ * - status-index: records in a given status, e.g. the Transcribe jobs still IN_PROGRESS
+ */
+
+export const RECORD_TYPES = { JOB: "JOB", VIDEO: "VIDEO" };
+export const ORIGINAL_KEY_INDEX = "originalKey-index";
+export const STATUS_INDEX = "status-index";
+const VIDEO_RECORD_PREFIX = "video#";
+
+/**
+ * Key of the parent record of an upload
+ */
+export function videoRecordId(originalKey) {
+  return `${VIDEO_RECORD_PREFIX}${originalKey}`;
+}
+
+/**
+ * Run a Query and follow LastEvaluatedKey until every page is read
+ */
+export async function queryAll(dynamodb, params) {
+  const items = [];
+  let exclusiveStartKey;
+
+  do {
+    const response = await dynamodb.send(new QueryCommand({
+      ...params,
+      ExclusiveStartKey: exclusiveStartKey,
+    }));
+    items.push(...(response.Items || []));
+    exclusiveStartKey = response.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+
+  return items;
+}
+
+/**
+ * Filter that keeps Transcribe job records
+ * Items written before recordType existed are jobs unless their jobId is a video record key
+ */
+function jobRecordFilter(values) {
+  values[":jobType"] = { S: RECORD_TYPES.JOB };
+  values[":videoPrefix"] = { S: VIDEO_RECORD_PREFIX };
+  return "(recordType = :jobType OR (attribute_not_exists(recordType) AND NOT begins_with(jobId, :videoPrefix)))";
+}
+
+/**
+ * Every Transcribe job record of an upload, oldest first, optionally in one status
+ */
+export async function queryJobsByOriginalKey(dynamodb, tableName, originalKey, { status = null } = {}) {
+  const values = { ":key": { S: originalKey } };
+  const filters = [jobRecordFilter(values)];
+  if (status) {
+    values[":status"] = { S: status };
+    filters.push("#status = :status");
+  }
+
+  return queryAll(dynamodb, {
+    TableName: tableName,
+    IndexName: ORIGINAL_KEY_INDEX,
+    KeyConditionExpression: "originalKey = :key",
+    FilterExpression: filters.join(" AND "),
+    ...(status && { ExpressionAttributeNames: { "#status": "status" } }),
+    ExpressionAttributeValues: values,
+  });
+}
+
+/**
+ * Every Transcribe job record in a status, oldest first
+ */
+export async function queryJobsByStatus(dynamodb, tableName, status) {
+  const values = { ":status": { S: status } };
+  return queryAll(dynamodb, {
+    TableName: tableName,
+    IndexName: STATUS_INDEX,
+    KeyConditionExpression: "#status = :status",
+    FilterExpression: jobRecordFilter(values),
+    ExpressionAttributeNames: { "#status": "status" },
+    ExpressionAttributeValues: values,
+  });
+}
+
+/**
+ * Every record of an upload, the parent record included, oldest first
+ */
+export async function queryVideoRecords(dynamodb, tableName, originalKey) {
+  return queryAll(dynamodb, {
+    TableName: tableName,
+    IndexName: ORIGINAL_KEY_INDEX,
+    KeyConditionExpression: "originalKey = :key",
+    ExpressionAttributeValues: { ":key": { S: originalKey } },
+  });
+}
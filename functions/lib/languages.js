@@ -0,0 +1,100 @@
+/**
+ * Language names used in output paths mapped to their default Transcribe language codes
+ */
+export const LANGUAGES = {
+  english: "en-US",
+  spanish: "es-US",
+  portuguese: "pt-BR",
+  french: "fr-FR",
+  german: "de-DE",
+  italian: "it-IT",
+};
+
+const LANGUAGE_CODE_PATTERN = /^[a-z]{2,3}-[A-Z]{2}$/;
+
+/**
+ * Pseudo-language that asks Transcribe to identify the spoken language itself
+ */
+export const AUTO_LANGUAGE = "auto";
+
+/**
+ * Map a Transcribe language code to the language name used in output paths
+ * es-ES and es-US both map to "spanish"; unknown codes are returned unchanged
+ */
+export function languageNameForCode(languageCode) {
+  const prefix = languageCode.split("-")[0];
+  const knownName = Object.keys(LANGUAGES).find((key) => LANGUAGES[key].split("-")[0] === prefix);
+  return knownName || languageCode;
+}
+
+/**
+ * Build the language entry for automatic language identification
+ * Transcribe needs at least two candidates when LanguageOptions is given
+ */
+export function autoLanguage(languageOptions = []) {
+  const options = (Array.isArray(languageOptions) ? languageOptions : String(languageOptions).split(","))
+    .map((value) => String(value).trim())
+    .filter(Boolean)
+    .map((value) => resolveLanguage(value).languageCode);
+
+  if (options.length === 1) {
+    throw new Error("Language identification needs at least two candidate languages");
+  }
+
+  return {
+    language: AUTO_LANGUAGE,
+    languageCode: AUTO_LANGUAGE,
+    identifyLanguage: true,
+    languageOptions: [...new Set(options)],
+  };
+}
+
+/**
+ * Resolve a language name ("spanish") or Transcribe code ("es-ES") into
+ * the { language, languageCode } pair used throughout the pipeline.
+ * The language name is what ends up in the output path (<base>/<language>.srt).
+ */
+export function resolveLanguage(value) {
+  const trimmed = String(value).trim();
+  const name = trimmed.toLowerCase();
+
+  if (LANGUAGES[name]) {
+    return { language: name, languageCode: LANGUAGES[name] };
+  }
+
+  if (LANGUAGE_CODE_PATTERN.test(trimmed)) {
+    // Use the friendly name when the code belongs to a known language
+    return { language: languageNameForCode(trimmed), languageCode: trimmed };
+  }
+
+  throw new Error(`Unsupported language: ${value}`);
+}
+
+/**
+ * Resolve a list of languages (array or comma-separated string), dropping duplicates
+ * The value "auto" switches to language identification over the optional candidate list
+ */
+export function resolveLanguages(values, languageOptions = []) {
+  const list = Array.isArray(values) ? values : String(values).split(",");
+  const resolved = [];
+
+  for (const value of list) {
+    if (!String(value).trim()) continue;
+    if (String(value).trim().toLowerCase() === AUTO_LANGUAGE) {
+      if (list.length > 1) {
+        throw new Error("Language identification (auto) cannot be combined with other languages");
+      }
+      return [autoLanguage(languageOptions)];
+    }
+    const entry = resolveLanguage(value);
+    if (!resolved.some((existing) => existing.language === entry.language)) {
+      resolved.push(entry);
+    }
+  }
+
+  if (resolved.length === 0) {
+    throw new Error("At least one language must be specified");
+  }
+
+  return resolved;
+}
@@ -0,0 +1,118 @@
+/**
+ * Media containers the workflow accepts, with how each one is detected, split and transcribed
+ *
+ * transcribeFormat is the Transcribe MediaFormat for the container, or null when Transcribe
+ * cannot read it directly and the audio has to be extracted first.
+ * segmentFormat is the ffmpeg muxer used when splitting with the segment muxer.
+ */
+export const MEDIA_FORMATS = {
+  mp4: { extension: "mp4", extensions: ["mp4", "m4v"], hasVideo: true, transcribeFormat: "mp4", segmentFormat: "mp4" },
+  mov: { extension: "mov", extensions: ["mov", "qt"], hasVideo: true, transcribeFormat: null, segmentFormat: "mov" },
+  mkv: { extension: "mkv", extensions: ["mkv"], hasVideo: true, transcribeFormat: null, segmentFormat: "matroska" },
+  webm: { extension: "webm", extensions: ["webm"], hasVideo: true, transcribeFormat: "webm", segmentFormat: "webm" },
+  wav: { extension: "wav", extensions: ["wav"], hasVideo: false, transcribeFormat: "wav", segmentFormat: "wav" },
+  m4a: { extension: "m4a", extensions: ["m4a"], hasVideo: false, transcribeFormat: "m4a", segmentFormat: "ipod" },
+  mp3: { extension: "mp3", extensions: ["mp3"], hasVideo: false, transcribeFormat: "mp3", segmentFormat: "mp3" },
+  flac: { extension: "flac", extensions: ["flac"], hasVideo: false, transcribeFormat: "flac", segmentFormat: "flac" },
+  ogg: { extension: "ogg", extensions: ["ogg", "oga", "opus"], hasVideo: false, transcribeFormat: "ogg", segmentFormat: "ogg" },
+};
+
+/**
+ * Thrown when an upload is not a media container the workflow can process
+ * The name is what Step Functions sees as the error type
+ */
+export class UnsupportedMediaFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UnsupportedMediaFormat";
+  }
+}
+
+/**
+ * Lower-cased extension of a key without the dot, or "" when it has none
+ */
+function extensionOf(key) {
+  const match = key.match(/\.([^/.]+)$/);
+  return match ? match[1].toLowerCase() : "";
+}
+
+/**
+ * Strip any extension from a key, e.g. talks/intro.final.MOV -> talks/intro.final
+ */
+export function stripExtension(key) {
+  return key.replace(/\.[^/.]+$/, "");
+}
+
+/**
+ * Strip the directory and any extension from a key, e.g. talks/intro.final.MOV -> intro.final
+ * This is the base name all outputs of an upload are stored under
+ */
+export function outputBaseName(key) {
+  return stripExtension(key.replace(/^.*\//, ""));
+}
+
+/**
+ * Look up the format for a key by its extension
+ * Returns null for unknown or missing extensions
+ */
+export function formatFromKey(key) {
+  const extension = extensionOf(key);
+  if (!extension) return null;
+
+  const name = Object.keys(MEDIA_FORMATS).find((format) =>
+    MEDIA_FORMATS[format].extensions.includes(extension)
+  );
+  return name || null;
+}
+
+/**
+ * Identify a container from the first bytes of a file
+ * Returns null when the signature is not recognised
+ */
+export function formatFromMagicBytes(header, key = "") {
+  const ascii = (start, end) => header.subarray(start, end).toString("latin1");
+
+  // ISO base media (MP4, MOV, M4A): a box size followed by the box type
+  if (ascii(4, 8) === "ftyp") {
+    const brand = ascii(8, 12);
+    if (brand === "qt  ") return "mov";
+    if (brand.startsWith("M4A") || brand.startsWith("M4B")) return "m4a";
+    // Many brands (isom, mp42, ...) are shared by video and audio-only files
+    return formatFromKey(key) === "m4a" ? "m4a" : "mp4";
+  }
+  // Older QuickTime files start with a movie or media data atom instead of ftyp
+  if (["moov", "mdat", "wide", "free", "pnot"].includes(ascii(4, 8))) return "mov";
+
+  // EBML header shared by Matroska and WebM; the DocType tells them apart
+  if (header.length >= 4 && header.readUInt32BE(0) === 0x1a45dfa3) {
+    return ascii(0, header.length).includes("webm") ? "webm" : "mkv";
+  }
+
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WAVE") return "wav";
+  if (ascii(0, 4) === "fLaC") return "flac";
+  if (ascii(0, 4) === "OggS") return "ogg";
+
+  // MP3: an ID3 tag or a bare MPEG audio frame sync
+  if (ascii(0, 3) === "ID3") return "mp3";
+  if (header.length >= 2 && header[0] === 0xff && (header[1] & 0xe0) === 0xe0) return "mp3";
+
+  return null;
+}
+
+/**
+ * Map the format_name reported by ffprobe (e.g. "mov,mp4,m4a,3gp,3g2,mj2") to a format
+ * The extension breaks ties between the formats ffprobe reports together
+ */
+export function formatFromProbeName(formatName, key = "") {
+  const names = formatName.split(",").map((name) => name.trim());
+  const fromKey = formatFromKey(key);
+
+  if (names.includes("mov") || names.includes("mp4")) {
+    return ["mp4", "mov", "m4a"].includes(fromKey) ? fromKey : "mp4";
+  }
+  if (names.includes("matroska") || names.includes("webm")) {
+    return fromKey === "webm" ? "webm" : "mkv";
+  }
+
+  return names.find((name) => MEDIA_FORMATS[name]) || null;
+}
@@ -0,0 +1,28 @@
+/**
+ * Extract S3 bucket and key from Lambda event
+ * Supports both S3 event format and Step Functions input format
+ */
+export function extractS3Info(event) {
+  // Step Functions may pass the event directly with Records
+  if (event.Records?.[0]) {
+    const record = event.Records[0];
+    const key = decodeURIComponent(record.s3.object.key.replace(/\+/g, " "));
+    return {
+      bucket: record.s3.bucket.name,
+      key,
+      originalKey: key,
+    };
+  }
+
+  // Or it may be passed as direct properties
+  // originalKey is set when key is derived media (e.g. the extracted audio) of an upload
+  if (event.bucket && event.key) {
+    return {
+      bucket: event.bucket,
+      key: event.key,
+      originalKey: event.originalKey || event.key,
+    };
+  }
+
+  throw new Error("No S3 record found in event");
+}
@@ -0,0 +1,165 @@
+import { buildCuesFromWords } from "./transcript.js";
+
+/**
+ * Subtitle styles: the limits the stored captions are formatted to
+ *
+ * A style is { preset, maxCharsPerLine, maxLines, minDurationSeconds, maxDurationSeconds,
+ * maxCharsPerSecond }. Cues are re-segmented from the word timings of the Transcribe output so
+ * that each one fits its lines and duration, preferably breaking after punctuation, and cues too
+ * fast to read are merged with a neighbour where that helps. Their timings are then stretched
+ * towards the minimum duration and reading speed. The raw preset keeps the cues as Transcribe
+ * segmented them.
+ */
+
+export const RAW_PRESET = "raw";
+
+export const SUBTITLE_PRESETS = {
+  // Broadcast and streaming guidelines: two lines of 42 characters at up to 17 characters a second
+  "broadcast": {
+    maxCharsPerLine: 42,
+    maxLines: 2,
+    minDurationSeconds: 1,
+    maxDurationSeconds: 7,
+    maxCharsPerSecond: 17,
+  },
+  // Short, quick captions that fit the narrow frame of 9:16 video
+  "social-vertical": {
+    maxCharsPerLine: 24,
+    maxLines: 2,
+    minDurationSeconds: 0.7,
+    maxDurationSeconds: 4,
+    maxCharsPerSecond: 20,
+  },
+  [RAW_PRESET]: null,
+};
+
+const STYLE_LIMITS = ["maxCharsPerLine", "maxLines", "minDurationSeconds", "maxDurationSeconds", "maxCharsPerSecond"];
+
+// Punctuation Transcribe attaches to the end of a word
+const TRAILING_PUNCTUATION = /^(.*?)([.,;:?!…、。]*)$/;
+
+/**
+ * Resolve the subtitle style of an upload
+ * Accepts a preset name or { preset, ...limits }, where the limits override those of the preset
+ * (defaultPreset when none is named)
+ */
+export function resolveSubtitleStyle(subtitles, defaultPreset) {
+  const { preset = defaultPreset, ...overrides } =
+    typeof subtitles === "string" ? { preset: subtitles } : subtitles || {};
+
+  if (!Object.hasOwn(SUBTITLE_PRESETS, preset)) {
+    throw new Error(`Unknown subtitle preset: ${preset} (expected one of ${Object.keys(SUBTITLE_PRESETS).join(", ")})`);
+  }
+  if (preset === RAW_PRESET) {
+    if (Object.keys(overrides).length > 0) {
+      throw new Error(`The ${RAW_PRESET} subtitle preset does not take ${Object.keys(overrides).join(", ")}`);
+    }
+    return { preset };
+  }
+
+  const style = { preset, ...SUBTITLE_PRESETS[preset], ...overrides };
+  if (style.minDurationSeconds > style.maxDurationSeconds) {
+    throw new Error(`minDurationSeconds (${style.minDurationSeconds}) must not exceed maxDurationSeconds (${style.maxDurationSeconds})`);
+  }
+  return style;
+}
+
+/**
+ * Whether cues are formatted at all
+ * Configurations from before subtitle styles existed have none and keep the Transcribe cues
+ */
+function isFormatted(style) {
+  return Boolean(style) && style.preset !== RAW_PRESET && STYLE_LIMITS.every((limit) => style[limit] !== undefined);
+}
+
+/**
+ * Options for buildCuesFromWords that segment cues to the style
+ */
+export function cueOptionsForStyle(style) {
+  if (!isFormatted(style)) return {};
+  return {
+    maxCharsPerLine: style.maxCharsPerLine,
+    maxLines: style.maxLines,
+    maxDurationMs: style.maxDurationSeconds * 1000,
+    maxCharsPerSecond: style.maxCharsPerSecond,
+  };
+}
+
+/**
+ * Spread the time of each cue over its words, in proportion to their length
+ * Stands in for word timings when the Transcribe JSON is missing
+ */
+function estimateWordTimings(cues) {
+  return cues.flatMap((cue) => {
+    const tokens = cue.text.split(/\s+/).filter(Boolean);
+    const totalChars = tokens.reduce((sum, token) => sum + token.length + 1, 0);
+    const msPerChar = (cue.endTime - cue.startTime) / totalChars;
+
+    let time = cue.startTime;
+    return tokens.map((token) => {
+      const [, text, punctuation] = token.match(TRAILING_PUNCTUATION);
+      const startTime = Math.round(time);
+      time += (token.length + 1) * msPerChar;
+      return {
+        text: text || punctuation,
+        punctuation: text ? punctuation : "",
+        startTime,
+        endTime: Math.round(time),
+        confidence: null,
+        speaker: null,
+      };
+    });
+  });
+}
+
+/**
+ * Stretch cues that are too short for their minimum duration or too fast to read
+ * A cue is only extended into the silence before the next cue, and is cut to the maximum
+ * duration. Cues that still exceed the reading speed (speech too fast for any segmentation to
+ * keep up with) are counted and logged.
+ */
+export function applyTimingRules(cues, style) {
+  if (!isFormatted(style)) return cues;
+
+  const minMs = style.minDurationSeconds * 1000;
+  const maxMs = style.maxDurationSeconds * 1000;
+  let tooFast = 0;
+
+  const timed = cues.map((cue, i) => {
+    const next = cues[i + 1];
+    const chars = cue.text.replace(/\n/g, " ").length;
+    const wantedMs = Math.max(minMs, (chars / style.maxCharsPerSecond) * 1000);
+
+    let endTime = cue.endTime;
+    if (endTime - cue.startTime < wantedMs) {
+      const limit = next ? next.startTime : Infinity;
+      endTime = Math.max(endTime, Math.min(Math.ceil(cue.startTime + wantedMs), limit));
+    }
+    endTime = Math.min(endTime, cue.startTime + maxMs);
+
+    if (chars / ((endTime - cue.startTime) / 1000) > style.maxCharsPerSecond) tooFast++;
+    return { ...cue, endTime };
+  });
+
+  if (tooFast > 0) {
+    console.warn(`${tooFast} of ${cues.length} cue(s) exceed ${style.maxCharsPerSecond} characters per second`);
+  }
+  return timed;
+}
+
+/**
+ * Format cues to a subtitle style
+ * Cues are rebuilt from words when the Transcribe JSON provided them, otherwise from word
+ * timings estimated from the cues. With labelSpeakers the cues also carry speaker labels, which
+ * the raw preset needs words for too.
+ */
+export function formatCues(cues, words, style, { labelSpeakers = false, speakerNames = {} } = {}) {
+  if (!isFormatted(style)) {
+    return labelSpeakers ? buildCuesFromWords(words, { labelSpeakers, speakerNames }) : cues;
+  }
+
+  const sourceWords = words?.length ? words : estimateWordTimings(cues);
+  const formatted = buildCuesFromWords(sourceWords, { ...cueOptionsForStyle(style), labelSpeakers, speakerNames });
+  console.log(`Formatted ${cues.length} cue(s) into ${formatted.length} for the ${style.preset} style`);
+  return applyTimingRules(formatted, style);
+}
@@ -0,0 +1,188 @@
+/**
+ * Shared subtitle model used by storeSubtitles and mergeSubtitles
+ *
+ * A cue is { index, startTime, endTime, text } with times in milliseconds.
+ * Each supported format has a parser (content -> cues) and a serializer (cues -> content).
+ */
+
+/**
+ * Supported subtitle formats with their file extension and S3 content type
+ */
+export const SUBTITLE_FORMATS = {
+  srt: { extension: "srt", contentType: "text/srt" },
+  vtt: { extension: "vtt", contentType: "text/vtt" },
+};
+
+/**
+ * Resolve a list of output formats (array or comma-separated string), dropping duplicates
+ */
+export function resolveFormats(values) {
+  const list = Array.isArray(values) ? values : String(values).split(",");
+  const formats = [];
+
+  for (const value of list) {
+    const format = String(value).trim().toLowerCase();
+    if (!format) continue;
+    if (!SUBTITLE_FORMATS[format]) {
+      throw new Error(`Unsupported subtitle format: ${value}`);
+    }
+    if (!formats.includes(format)) {
+      formats.push(format);
+    }
+  }
+
+  if (formats.length === 0) {
+    throw new Error("At least one subtitle format must be specified");
+  }
+
+  return formats;
+}
+
+/**
+ * Parse an SRT (00:00:01,000) or VTT (00:00:01.000 or 00:01.000) timestamp to milliseconds
+ */
+export function parseTimestamp(timeStr) {
+  const parts = timeStr.trim().split(/[:,.]/).map(Number);
+  const ms = parts.pop();
+  const seconds = parts.pop();
+  const minutes = parts.pop() || 0;
+  const hours = parts.pop() || 0;
+  return hours * 3600000 + minutes * 60000 + seconds * 1000 + ms;
+}
+
+/**
+ * Format milliseconds as hh:mm:ss followed by the separator and milliseconds
+ */
+function formatTimestamp(ms, separator) {
+  const rounded = Math.max(0, Math.round(ms));
+  const hours = Math.floor(rounded / 3600000);
+  const minutes = Math.floor((rounded % 3600000) / 60000);
+  const seconds = Math.floor((rounded % 60000) / 1000);
+  const milliseconds = rounded % 1000;
+  return `${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")}:${String(seconds).padStart(2, "0")}${separator}${String(milliseconds).padStart(3, "0")}`;
+}
+
+/**
+ * Format milliseconds to SRT timestamp
+ */
+export function formatSRTTime(ms) {
+  return formatTimestamp(ms, ",");
+}
+
+/**
+ * Format milliseconds to WebVTT timestamp
+ */
+export function formatVTTTime(ms) {
+  return formatTimestamp(ms, ".");
+}
+
+const SRT_TIMING = /(\d{1,2}:\d{2}:\d{2},\d{3})\s*-->\s*(\d{1,2}:\d{2}:\d{2},\d{3})/;
+const VTT_TIMING = /((?:\d{1,2}:)?\d{2}:\d{2}\.\d{3})\s*-->\s*((?:\d{1,2}:)?\d{2}:\d{2}\.\d{3})/;
+
+/**
+ * Split subtitle content into blocks separated by blank lines
+ */
+function splitBlocks(content) {
+  return content
+    .replace(/^\uFEFF/, "")
+    .replace(/\r\n?/g, "\n")
+    .trim()
+    .split(/\n\s*\n/);
+}
+
+/**
+ * Parse SRT content into cues
+ */
+export function parseSRT(content) {
+  const cues = [];
+
+  for (const block of splitBlocks(content)) {
+    const lines = block.trim().split("\n");
+    const timingLine = lines.findIndex((line) => SRT_TIMING.test(line));
+    if (timingLine === -1) continue;
+
+    const [, start, end] = lines[timingLine].match(SRT_TIMING);
+    cues.push({
+      index: cues.length + 1,
+      startTime: parseTimestamp(start),
+      endTime: parseTimestamp(end),
+      text: lines.slice(timingLine + 1).join("\n"),
+    });
+  }
+
+  return cues;
+}
+
+/**
+ * Parse WebVTT content into cues
+ * Header, NOTE, STYLE and REGION blocks are skipped; cue identifiers and settings are dropped
+ */
+export function parseVTT(content) {
+  const cues = [];
+
+  for (const block of splitBlocks(content)) {
+    const lines = block.trim().split("\n");
+    if (/^(WEBVTT|NOTE|STYLE|REGION)\b/.test(lines[0])) continue;
+
+    const timingLine = lines.findIndex((line) => VTT_TIMING.test(line));
+    if (timingLine === -1) continue;
+
+    const [, start, end] = lines[timingLine].match(VTT_TIMING);
+    cues.push({
+      index: cues.length + 1,
+      startTime: parseTimestamp(start),
+      endTime: parseTimestamp(end),
+      text: lines.slice(timingLine + 1).join("\n"),
+    });
+  }
+
+  return cues;
+}
+
+/**
+ * Serialize cues to SRT, renumbering from 1
+ */
+export function serializeSRT(cues) {
+  return cues
+    .map((cue, i) =>
+      `${i + 1}\n${formatSRTTime(cue.startTime)} --> ${formatSRTTime(cue.endTime)}\n${cue.text}\n`
+    )
+    .join("\n");
+}
+
+/**
+ * Serialize cues to WebVTT
+ */
+export function serializeVTT(cues) {
+  const body = cues
+    .map((cue, i) =>
+      `${i + 1}\n${formatVTTTime(cue.startTime)} --> ${formatVTTTime(cue.endTime)}\n${cue.text}\n`
+    )
+    .join("\n");
+  return `WEBVTT\n\n${body}`;
+}
+
+const PARSERS = { srt: parseSRT, vtt: parseVTT };
+const SERIALIZERS = { srt: serializeSRT, vtt: serializeVTT };
+
+/**
+ * Parse subtitle content in the given format
+ */
+export function parseSubtitles(content, format) {
+  const parser = PARSERS[format];
+  if (!parser) {
+    throw new Error(`Unsupported subtitle format: ${format}`);
+  }
+  return parser(content);
+}
+
+/**
+ * Serialize cues to the given format
+ */
+export function serializeSubtitles(cues, format) {
+  const serializer = SERIALIZERS[format];
+  if (!serializer) {
+    throw new Error(`Unsupported subtitle format: ${format}`);
+  }
+  return serializer(cues);
+}
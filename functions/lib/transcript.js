@@ -0,0 +1,394 @@
+/**
+ * Word-level transcript helpers built on the Transcribe output JSON
+ *
+ * A word is { text, punctuation, startTime, endTime, confidence, speaker } with times in
+ * milliseconds. Punctuation items carry no timing in Transcribe output, so they are attached to
+ * the preceding word. speaker is the Transcribe speaker label (spk_0, spk_1, ...) when the job
+ * ran with speaker diarization, otherwise null.
+ */
+
+/**
+ * Map start_time -> speaker label from the speaker_labels section of a Transcribe output JSON
+ * Older outputs only carry speakers there rather than on each item
+ */
+function speakerLabelsByStartTime(speakerLabels) {
+  const speakerAt = {};
+  for (const segment of speakerLabels?.segments || []) {
+    for (const item of segment.items || []) {
+      speakerAt[item.start_time] = item.speaker_label || segment.speaker_label;
+    }
+  }
+  return speakerAt;
+}
+
+/**
+ * Normalize the items of a Transcribe output JSON into words
+ */
+export function parseTranscribeWords(transcribeJson) {
+  const items = transcribeJson?.results?.items || [];
+  const speakerAt = speakerLabelsByStartTime(transcribeJson?.results?.speaker_labels);
+  const words = [];
+
+  for (const item of items) {
+    const alternative = item.alternatives?.[0];
+    if (!alternative) continue;
+
+    if (item.type === "punctuation") {
+      if (words.length > 0) {
+        words[words.length - 1].punctuation += alternative.content;
+      }
+      continue;
+    }
+
+    words.push({
+      text: alternative.content,
+      punctuation: "",
+      startTime: Math.round(parseFloat(item.start_time) * 1000),
+      endTime: Math.round(parseFloat(item.end_time) * 1000),
+      confidence: alternative.confidence !== undefined ? parseFloat(alternative.confidence) : null,
+      speaker: item.speaker_label || speakerAt[item.start_time] || null,
+    });
+  }
+
+  return words;
+}
+
+/**
+ * Shift word timings by an offset in milliseconds
+ */
+export function offsetWords(words, offset) {
+  return words.map((word) => ({
+    ...word,
+    startTime: word.startTime + offset,
+    endTime: word.endTime + offset,
+  }));
+}
+
+/**
+ * Join words into readable text, keeping punctuation attached to its word
+ */
+export function wordsToText(words) {
+  return words.map((word) => `${word.text}${word.punctuation}`).join(" ");
+}
+
+/**
+ * Greedily wrap text into lines of at most maxCharsPerLine characters
+ */
+export function wrapLines(text, maxCharsPerLine) {
+  const lines = [];
+  let line = "";
+
+  for (const token of text.split(/\s+/).filter(Boolean)) {
+    if (line && line.length + 1 + token.length > maxCharsPerLine) {
+      lines.push(line);
+      line = token;
+    } else {
+      line = line ? `${line} ${token}` : token;
+    }
+  }
+
+  if (line) lines.push(line);
+  return lines.join("\n");
+}
+
+// Punctuation that ends a clause; cues and lines are preferably broken after it
+const CLAUSE_END = /[.,;:?!…、。]$/;
+
+/**
+ * Whether text fits on maxLines lines of at most maxCharsPerLine characters
+ * Greedy wrapping uses the fewest lines possible, so it answers this in one pass
+ */
+function fitsOnLines(text, maxCharsPerLine, maxLines) {
+  const lines = wrapLines(text, maxCharsPerLine).split("\n");
+  return lines.length <= maxLines && lines.every((line) => line.length <= maxCharsPerLine);
+}
+
+/**
+ * Break text into at most maxLines lines of at most maxCharsPerLine characters
+ *
+ * Text that fits on one line stays on one line. Otherwise the fewest lines that fit are used,
+ * balanced in length and preferably broken after punctuation rather than inside a clause.
+ * Returns null when the text does not fit.
+ */
+export function breakLines(text, maxCharsPerLine, maxLines) {
+  const tokens = text.split(/\s+/).filter(Boolean);
+  const single = tokens.join(" ");
+  if (single.length <= maxCharsPerLine) return single;
+  if (!fitsOnLines(single, maxCharsPerLine, maxLines)) return null;
+
+  const lineCount = wrapLines(single, maxCharsPerLine).split("\n").length;
+  // A break inside a clause costs as much as a fair amount of imbalance between the lines
+  const clausePenalty = maxCharsPerLine * 4;
+  const offsets = [0];
+  tokens.forEach((token, i) => offsets.push(offsets[i] + token.length));
+  const lineLength = (from, to) => offsets[to] - offsets[from] + (to - from - 1);
+
+  // cost[k][i] / from[k][i]: cheapest way to put the first i tokens on k lines, and where its
+  // last line starts
+  const cost = Array.from({ length: lineCount + 1 }, () => new Array(tokens.length + 1).fill(Infinity));
+  const from = Array.from({ length: lineCount + 1 }, () => new Array(tokens.length + 1).fill(0));
+  cost[0][0] = 0;
+
+  for (let k = 1; k <= lineCount; k++) {
+    for (let i = k; i <= tokens.length; i++) {
+      const penalty = i < tokens.length && !CLAUSE_END.test(tokens[i - 1]) ? clausePenalty : 0;
+      // Lines only get longer as they start earlier; on a tie the later line is the longer one,
+      // so captions are bottom-heavy
+      for (let j = i - 1; j >= k - 1 && lineLength(j, i) <= maxCharsPerLine; j--) {
+        const candidate = cost[k - 1][j] + lineLength(j, i) ** 2 + penalty;
+        if (candidate <= cost[k][i]) {
+          cost[k][i] = candidate;
+          from[k][i] = j;
+        }
+      }
+    }
+  }
+
+  const lines = [];
+  for (let k = lineCount, i = tokens.length; k > 0; i = from[k][i], k--) {
+    lines.unshift(tokens.slice(from[k][i], i).join(" "));
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Display label for a Transcribe speaker label, e.g. spk_0 -> "Speaker 1"
+ * speakerNames maps display labels to names, e.g. { "Speaker 1": "Alice" }
+ */
+export function speakerLabel(speaker, speakerNames = {}) {
+  const number = parseInt(String(speaker).replace(/^spk_/, ""), 10);
+  const label = Number.isNaN(number) ? String(speaker) : `Speaker ${number + 1}`;
+  return speakerNames?.[label] || label;
+}
+
+/**
+ * Group words into cues
+ * A cue is closed at the end of a sentence, before a pause longer than maxGapMs, and when the
+ * next word would no longer fit on maxLines lines of maxCharsPerLine characters or would make
+ * the cue last longer than maxDurationMs. A full cue is cut after the last clause in its second
+ * half when it has one, and the rest of it starts the next cue.
+ * A cue with more than maxCharsPerSecond characters for the time it can stay on screen (until
+ * the next cue starts, up to maxDurationMs) is merged with a neighbour when the two fit in one
+ * cue that can be read in time.
+ * With labelSpeakers set, a cue is also closed when the speaker changes and its text is
+ * prefixed with the speaker label ("Speaker 1: ..." or the name from speakerNames)
+ */
+export function buildCuesFromWords(words, options = {}) {
+  const {
+    maxCharsPerLine = 42,
+    maxLines = 2,
+    maxGapMs = 1000,
+    maxDurationMs = Infinity,
+    maxCharsPerSecond = Infinity,
+    labelSpeakers = false,
+    speakerNames = {},
+  } = options;
+  const groups = [];
+  let current = [];
+
+  const cueText = (cueWords) => {
+    const text = wordsToText(cueWords);
+    const speaker = cueWords[0].speaker;
+    return labelSpeakers && speaker ? `${speakerLabel(speaker, speakerNames)}: ${text}` : text;
+  };
+
+  const fits = (cueWords) =>
+    cueWords[cueWords.length - 1].endTime - cueWords[0].startTime <= maxDurationMs &&
+    fitsOnLines(cueText(cueWords), maxCharsPerLine, maxLines);
+
+  const emit = (cueWords) => {
+    if (cueWords.length > 0) groups.push(cueWords);
+  };
+
+  const flush = () => {
+    emit(current);
+    current = [];
+  };
+
+  for (const word of words) {
+    const previous = current[current.length - 1];
+    if (previous && (
+      word.startTime - previous.endTime > maxGapMs ||
+      (labelSpeakers && word.speaker !== previous.speaker)
+    )) {
+      flush();
+    } else if (previous && !fits([...current, word])) {
+      let cut = current.length;
+      for (let i = current.length - 1; i >= Math.ceil(current.length / 2); i--) {
+        if (CLAUSE_END.test(current[i - 1].punctuation)) {
+          cut = i;
+          break;
+        }
+      }
+      emit(current.slice(0, cut));
+      current = current.slice(cut);
+      if (current.length > 0 && !fits([...current, word])) {
+        flush();
+      }
+    }
+
+    current.push(word);
+
+    if (/[.?!]$/.test(word.punctuation)) {
+      flush();
+    }
+  }
+
+  flush();
+
+  if (maxCharsPerSecond !== Infinity) {
+    // A cue stays on screen until the next one starts, for at most maxDurationMs
+    const tooFast = (cueWords, next) => {
+      const start = cueWords[0].startTime;
+      const shownMs = Math.min(next ? next[0].startTime : Infinity, start + maxDurationMs) - start;
+      return cueText(cueWords).length / (shownMs / 1000) > maxCharsPerSecond;
+    };
+    const mergeable = (i) => {
+      const [first, second] = [groups[i], groups[i + 1]];
+      const merged = [...first, ...second];
+      return second[0].startTime - first[first.length - 1].endTime <= maxGapMs &&
+        (!labelSpeakers || first[0].speaker === second[0].speaker) &&
+        fits(merged) &&
+        !tooFast(merged, groups[i + 2]);
+    };
+
+    for (let i = 0; i < groups.length;) {
+      const into = tooFast(groups[i], groups[i + 1])
+        ? [i - 1, i].find((j) => j >= 0 && j + 1 < groups.length && mergeable(j))
+        : undefined;
+      if (into === undefined) {
+        i++;
+      } else {
+        groups.splice(into, 2, [...groups[into], ...groups[into + 1]]);
+        i = into;
+      }
+    }
+  }
+
+  return groups.map((cueWords, index) => {
+    const text = cueText(cueWords);
+    return {
+      index: index + 1,
+      startTime: cueWords[0].startTime,
+      endTime: cueWords[cueWords.length - 1].endTime,
+      // A single word longer than a line is the only thing that does not fit
+      text: breakLines(text, maxCharsPerLine, maxLines) ?? wrapLines(text, maxCharsPerLine),
+    };
+  });
+}
+
+/**
+ * Relabel the speakers of a chunk so they match the labels already used by the earlier chunks
+ *
+ * Transcribe numbers speakers per job, so spk_0 of one chunk is not necessarily spk_0 of the
+ * next. Words both chunks transcribed in their overlap (same text, start times within
+ * toleranceMs on the absolute timeline) vote for which earlier label each speaker of the chunk
+ * is; the strongest votes win, one label each. Speakers left over get a new label: a speaker
+ * who was silent in the overlap cannot be told apart from someone new, and giving them a free
+ * earlier label could merge two different people.
+ */
+export function alignSpeakers(prevWords, nextWords, toleranceMs = 100) {
+  // Only words of the earlier chunks that reach into this chunk can be transcribed twice
+  const overlapStart = nextWords.length > 0 ? nextWords[0].startTime - toleranceMs : Infinity;
+  const overlapWords = prevWords.filter((word) => word.startTime >= overlapStart);
+
+  const votes = {};
+  for (const word of nextWords) {
+    if (!word.speaker) continue;
+    const match = overlapWords.find((prev) =>
+      prev.speaker &&
+      prev.text.toLowerCase() === word.text.toLowerCase() &&
+      Math.abs(prev.startTime - word.startTime) <= toleranceMs
+    );
+    if (!match) continue;
+    votes[word.speaker] = votes[word.speaker] || {};
+    votes[word.speaker][match.speaker] = (votes[word.speaker][match.speaker] || 0) + 1;
+  }
+
+  const mapping = {};
+  const used = new Set();
+  const ranked = Object.entries(votes)
+    .flatMap(([local, counts]) => Object.entries(counts).map(([known, count]) => ({ local, known, count })))
+    .sort((a, b) => b.count - a.count);
+  for (const { local, known } of ranked) {
+    if (mapping[local] || used.has(known)) continue;
+    mapping[local] = known;
+    used.add(known);
+  }
+
+  // Labels new to this chunk are numbered after the earlier ones, in order of first appearance
+  const knownNumbers = prevWords
+    .filter((word) => word.speaker)
+    .map((word) => parseInt(word.speaker.replace(/^spk_/, ""), 10));
+  let nextNumber = Math.max(-1, ...knownNumbers.filter(Number.isFinite)) + 1;
+
+  for (const local of new Set(nextWords.map((word) => word.speaker).filter(Boolean))) {
+    if (!mapping[local]) mapping[local] = `spk_${nextNumber++}`;
+  }
+
+  return nextWords.map((word) => ({
+    ...word,
+    speaker: word.speaker ? mapping[word.speaker] : null,
+  }));
+}
+
+/**
+ * Group words into paragraphs of text
+ * A paragraph ends before a pause longer than pauseMs and, with labelSpeakers set, when the
+ * speaker changes; labelled paragraphs start with the speaker label
+ */
+export function buildParagraphs(words, options = {}) {
+  const { pauseMs = 2000, labelSpeakers = false, speakerNames = {} } = options;
+  const paragraphs = [];
+  let current = [];
+
+  const flush = () => {
+    if (current.length === 0) return;
+    const text = wordsToText(current);
+    const speaker = current[0].speaker;
+    paragraphs.push(labelSpeakers && speaker ? `${speakerLabel(speaker, speakerNames)}: ${text}` : text);
+    current = [];
+  };
+
+  for (const word of words) {
+    const previous = current[current.length - 1];
+    if (previous && (
+      word.startTime - previous.endTime > pauseMs ||
+      (labelSpeakers && word.speaker !== previous.speaker)
+    )) {
+      flush();
+    }
+    current.push(word);
+  }
+
+  flush();
+  return paragraphs;
+}
+
+/**
+ * Build the readable plain-text transcript, one paragraph per block
+ */
+export function buildTranscriptText(words, options = {}) {
+  const paragraphs = buildParagraphs(words, options);
+  return paragraphs.length > 0 ? `${paragraphs.join("\n\n")}\n` : "";
+}
+
+/**
+ * Build the normalized JSON transcript document
+ * speakers maps each Transcribe speaker label to its display label and is only present when
+ * the words carry speakers
+ */
+export function buildTranscriptDocument(words, { language, languageCode = null, speakerNames = {} } = {}) {
+  const labels = [...new Set(words.map((word) => word.speaker).filter(Boolean))];
+  const speakers = labels.length > 0
+    ? Object.fromEntries(labels.map((label) => [label, speakerLabel(label, speakerNames)]))
+    : undefined;
+
+  return {
+    language,
+    languageCode,
+    text: buildParagraphs(words, { labelSpeakers: Boolean(speakers), speakerNames }).join("\n\n"),
+    ...(speakers && { speakers }),
+    words,
+  };
+}
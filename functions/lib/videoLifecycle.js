@@ -0,0 +1,253 @@
+import { PutItemCommand, UpdateItemCommand } from "@aws-sdk/client-dynamodb";
+import { RECORD_TYPES, videoRecordId } from "./jobsTable.js";
+
+/**
+ * Lifecycle of the parent video record
+ *
+ * RECEIVED → SPLITTING → TRANSCRIBING → STORING → MERGING → DONE, or FAILED from any state
+ * that is not final. Unsplit uploads skip SPLITTING and MERGING. For split videos the record
+ * stays TRANSCRIBING until every chunk is stored, because chunks are transcribed and stored in
+ * parallel; the chunk counters show how far each step got. A FAILED split video goes back to
+ * TRANSCRIBING when resumeVideo.js picks it up again, or to STORING when only merging is left.
+ * A partial merge (config.partialMerge) goes from TRANSCRIBING straight to MERGING when chunks
+ * failed and ends DONE with incomplete set; such a record is the one DONE record that may be
+ * reopened, so that resumeVideo.js can fill in the missing chunks.
+ */
+export const VIDEO_STATES = {
+  RECEIVED: "RECEIVED",
+  SPLITTING: "SPLITTING",
+  TRANSCRIBING: "TRANSCRIBING",
+  STORING: "STORING",
+  MERGING: "MERGING",
+  DONE: "DONE",
+  FAILED: "FAILED",
+};
+
+const { RECEIVED, SPLITTING, TRANSCRIBING, STORING, MERGING, DONE, FAILED } = VIDEO_STATES;
+
+// Allowed next states; moving to the current state again is always allowed (Lambda retries)
+const TRANSITIONS = {
+  [RECEIVED]: [SPLITTING, TRANSCRIBING, FAILED],
+  [SPLITTING]: [TRANSCRIBING, FAILED],
+  [TRANSCRIBING]: [STORING, MERGING, FAILED],
+  [STORING]: [MERGING, DONE, FAILED],
+  [MERGING]: [DONE, FAILED],
+  [DONE]: [],
+  [FAILED]: [TRANSCRIBING, STORING],
+};
+
+// States a DONE record with incomplete outputs may be reopened in
+const REOPEN_INCOMPLETE = [TRANSCRIBING, STORING];
+
+/**
+ * Attribute holding the time a state was first entered, e.g. TRANSCRIBING -> transcribingAt
+ */
+export function stateTimestampAttribute(state) {
+  return `${state.toLowerCase()}At`;
+}
+
+/**
+ * States from which a record may move to the given state
+ */
+function allowedFrom(state) {
+  return Object.keys(TRANSITIONS).filter((from) => from === state || TRANSITIONS[from].includes(state));
+}
+
+/**
+ * Convert plain values into DynamoDB attribute values for the parent record
+ * Arrays are lists, which unlike sets may be empty and hold numbers
+ */
+function toAttributeValue(value) {
+  if (typeof value === "number") return { N: String(value) };
+  if (typeof value === "boolean") return { BOOL: value };
+  if (Array.isArray(value)) return { L: value.map(toAttributeValue) };
+  return { S: String(value) };
+}
+
+/**
+ * Apply one update to the parent record of an upload
+ *
+ * Bookkeeping must never fail a transcription, so errors are logged and null is returned;
+ * this matches how the job items are written. A state change that the lifecycle does not allow
+ * is rejected atomically by a condition on the current state.
+ */
+async function updateVideoRecord(dynamodb, tableName, originalKey, { state = null, set = {}, addChunks = {}, error = null }) {
+  const now = new Date().toISOString();
+  const names = {};
+  const values = { ":now": { S: now } };
+  const setExpressions = ["updatedAt = :now"];
+  const addExpressions = [];
+  let condition = "attribute_exists(jobId)";
+
+  if (state) {
+    const timestamp = stateTimestampAttribute(state);
+    names["#status"] = "status";
+    names[`#${timestamp}`] = timestamp;
+    values[":state"] = { S: state };
+    setExpressions.push("#status = :state", `#${timestamp} = if_not_exists(#${timestamp}, :now)`);
+
+    const from = allowedFrom(state);
+    from.forEach((fromState, i) => {
+      values[`:from${i}`] = { S: fromState };
+    });
+    let allowed = `#status IN (${from.map((_, i) => `:from${i}`).join(", ")})`;
+    if (REOPEN_INCOMPLETE.includes(state)) {
+      names["#incomplete"] = "incomplete";
+      values[":done"] = { S: DONE };
+      values[":isIncomplete"] = { BOOL: true };
+      allowed = `(${allowed} OR (#status = :done AND #incomplete = :isIncomplete))`;
+    }
+    condition += ` AND ${allowed}`;
+  }
+
+  for (const [name, value] of Object.entries(set)) {
+    if (value === null || value === undefined) continue;
+    names[`#${name}`] = name;
+    values[`:${name}`] = toAttributeValue(value);
+    setExpressions.push(`#${name} = :${name}`);
+  }
+
+  // Chunk counters are number sets, so repeating an update for the same chunk is harmless
+  for (const [name, chunkIndex] of Object.entries(addChunks)) {
+    names[`#${name}`] = name;
+    values[`:${name}`] = { NS: [String(chunkIndex)] };
+    addExpressions.push(`#${name} :${name}`);
+  }
+
+  if (error) {
+    values[":lastError"] = { S: String(error).substring(0, 2000) };
+    setExpressions.push("lastError = :lastError", "lastErrorAt = :now");
+  }
+
+  try {
+    const response = await dynamodb.send(new UpdateItemCommand({
+      TableName: tableName,
+      Key: { jobId: { S: videoRecordId(originalKey) } },
+      UpdateExpression: `SET ${setExpressions.join(", ")}${addExpressions.length ? ` ADD ${addExpressions.join(", ")}` : ""}`,
+      ConditionExpression: condition,
+      ...(Object.keys(names).length > 0 && { ExpressionAttributeNames: names }),
+      ExpressionAttributeValues: values,
+      ReturnValues: "ALL_NEW",
+    }));
+    return response.Attributes;
+  } catch (dbError) {
+    if (dbError.name === "ConditionalCheckFailedException") {
+      console.warn(`Video record of ${originalKey} not moved to ${state}: missing record or not allowed from its current state`);
+    } else {
+      console.warn(`Failed to update the video record of ${originalKey}:`, dbError.message);
+    }
+    return null;
+  }
+}
+
+/**
+ * Build a new parent record
+ */
+function buildVideoItem({ originalKey, bucket, state, set, error }) {
+  const now = new Date().toISOString();
+  const fields = {};
+  for (const [name, value] of Object.entries(set)) {
+    if (value === null || value === undefined) continue;
+    fields[name] = toAttributeValue(value);
+  }
+
+  return {
+    jobId: { S: videoRecordId(originalKey) },
+    recordType: { S: RECORD_TYPES.VIDEO },
+    originalKey: { S: originalKey },
+    inputBucket: { S: bucket },
+    status: { S: state },
+    createdAt: { S: now },
+    updatedAt: { S: now },
+    [stateTimestampAttribute(state)]: { S: now },
+    ...(error && { lastError: { S: String(error).substring(0, 2000) }, lastErrorAt: { S: now } }),
+    ...fields,
+  };
+}
+
+/**
+ * Create the parent record of an upload as RECEIVED, unless a run of the same content holds it
+ *
+ * The record is claimed atomically: it is only replaced when it is missing, belongs to other
+ * content (a different idempotencyKey), FAILED, was claimed by this same execution (a Lambda
+ * retry), or is unfinished and has not moved since staleBefore. force replaces it regardless.
+ * Returns { claimed: true } or { claimed: false, existing } with the record of the other run.
+ * Unlike the other updates of the record, a database error is thrown: without the claim a
+ * duplicate cannot be told apart, so the step fails and Step Functions retries it.
+ */
+export async function claimVideoRecord(dynamodb, tableName, { originalKey, bucket, idempotencyKey, executionId = null, staleBefore, force = false, set = {} }) {
+  const item = buildVideoItem({
+    originalKey,
+    bucket,
+    state: RECEIVED,
+    set: { ...set, idempotencyKey, executionId },
+  });
+
+  const values = {
+    ":idempotencyKey": { S: idempotencyKey },
+    ":failed": { S: FAILED },
+    ":done": { S: DONE },
+    ":staleBefore": { S: staleBefore },
+  };
+  let condition = "attribute_not_exists(jobId) OR attribute_not_exists(idempotencyKey)"
+    + " OR idempotencyKey <> :idempotencyKey OR #status = :failed"
+    + " OR (#status <> :done AND updatedAt < :staleBefore)";
+  if (executionId) {
+    values[":executionId"] = { S: executionId };
+    condition += " OR executionId = :executionId";
+  }
+
+  try {
+    await dynamodb.send(new PutItemCommand({
+      TableName: tableName,
+      Item: item,
+      ...(!force && {
+        ConditionExpression: condition,
+        ExpressionAttributeNames: { "#status": "status" },
+        ExpressionAttributeValues: values,
+        ReturnValuesOnConditionCheckFailure: "ALL_OLD",
+      }),
+    }));
+    return { claimed: true, existing: null };
+  } catch (dbError) {
+    if (dbError.name === "ConditionalCheckFailedException") {
+      return { claimed: false, existing: dbError.Item };
+    }
+    console.error(`Failed to claim the video record of ${originalKey}:`, dbError.message);
+    throw dbError;
+  }
+}
+
+/**
+ * Move the parent record of an upload to a new lifecycle state
+ * set holds plain attributes to write along with it, e.g. { totalChunks: 4 }
+ * Returns the updated record, or null when the update was not applied
+ */
+export async function transitionVideo(dynamodb, tableName, originalKey, state, { set = {}, error = null } = {}) {
+  if (!TRANSITIONS[state]) {
+    throw new Error(`Unknown video state: ${state}`);
+  }
+  return updateVideoRecord(dynamodb, tableName, originalKey, { state, set, error });
+}
+
+/**
+ * Count a chunk as transcribed (counter "chunksTranscribed") or stored ("chunksStored")
+ * Returns the updated record, or null when the update was not applied
+ */
+export async function recordChunkProgress(dynamodb, tableName, originalKey, counter, chunkIndex) {
+  return updateVideoRecord(dynamodb, tableName, originalKey, { addChunks: { [counter]: chunkIndex || 1 } });
+}
+
+/**
+ * Record the latest error on the parent record without changing its state
+ */
+export async function recordVideoError(dynamodb, tableName, originalKey, error) {
+  return updateVideoRecord(dynamodb, tableName, originalKey, { error: error?.message || error });
+}
+
+/**
+ * Number of chunks in a counter of a record returned by the functions above
+ */
+export function chunkCount(record, counter) {
+  return record?.[counter]?.NS?.length || 0;
+}
@@ -0,0 +1,86 @@
+import { resolveLanguage } from "./languages.js";
+
+/**
+ * Custom vocabularies and vocabulary filters
+ *
+ * Transcribe vocabularies and filters belong to one language, so names are kept per language
+ * code. A name given without a language ("*") applies to every language of the upload.
+ */
+
+export const VOCABULARY_FILTER_METHODS = ["mask", "remove", "tag"];
+const ANY_LANGUAGE = "*";
+
+/**
+ * Resolve vocabulary names given as a single name ("products"), a comma-separated list of
+ * language=name pairs ("english=products,es-US=productos") or an object keyed by language
+ * Returns a map of language code (or "*") -> name, or null when none is set
+ */
+function resolveNames(value) {
+  if (!value) return null;
+
+  const entries = typeof value === "object"
+    ? Object.entries(value)
+    : String(value).split(",").map((pair) => {
+      const [language, name] = pair.includes("=") ? pair.split("=") : [ANY_LANGUAGE, pair];
+      return [language, name];
+    });
+
+  const names = {};
+  for (const [language, name] of entries) {
+    const trimmed = String(name).trim();
+    if (!trimmed) continue;
+    const key = String(language).trim() === ANY_LANGUAGE
+      ? ANY_LANGUAGE
+      : resolveLanguage(language).languageCode;
+    names[key] = trimmed;
+  }
+
+  return Object.keys(names).length > 0 ? names : null;
+}
+
+/**
+ * Resolve the vocabulary settings of an upload
+ * Returns null when neither a vocabulary nor a filter is set
+ */
+export function resolveVocabulary({ vocabulary, vocabularyFilter, vocabularyFilterMethod } = {}) {
+  const vocabularies = resolveNames(vocabulary);
+  const vocabularyFilters = resolveNames(vocabularyFilter);
+  if (!vocabularies && !vocabularyFilters) return null;
+
+  const method = String(vocabularyFilterMethod || "mask").trim().toLowerCase();
+  if (!VOCABULARY_FILTER_METHODS.includes(method)) {
+    throw new Error(`Unsupported vocabulary filter method: ${vocabularyFilterMethod}. Use one of: ${VOCABULARY_FILTER_METHODS.join(", ")}`);
+  }
+
+  return {
+    vocabularies: vocabularies || {},
+    vocabularyFilters: vocabularyFilters || {},
+    vocabularyFilterMethod: method,
+  };
+}
+
+/**
+ * Vocabulary and filter names to use for one language code
+ */
+export function vocabularyForLanguage(vocabulary, languageCode) {
+  if (!vocabulary) return { vocabularyName: null, vocabularyFilterName: null };
+  return {
+    vocabularyName: vocabulary.vocabularies[languageCode] || vocabulary.vocabularies[ANY_LANGUAGE] || null,
+    vocabularyFilterName: vocabulary.vocabularyFilters[languageCode] || vocabulary.vocabularyFilters[ANY_LANGUAGE] || null,
+  };
+}
+
+/**
+ * Parse a phrase list: one phrase per line, blank lines and # comments ignored
+ * Words of a multi-word phrase are joined with hyphens as Transcribe expects
+ */
+export function parsePhraseList(content) {
+  const phrases = [];
+  for (const line of content.replace(/^\uFEFF/, "").split(/\r?\n/)) {
+    const phrase = line.replace(/#.*$/, "").trim().replace(/\s+/g, "-");
+    if (phrase && !phrases.includes(phrase)) {
+      phrases.push(phrase);
+    }
+  }
+  return phrases;
+}
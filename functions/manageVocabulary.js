@@ -0,0 +1,146 @@
+import { S3Client, GetObjectCommand } from "@aws-sdk/client-s3";
+import {
+  TranscribeClient,
+  GetVocabularyCommand,
+  CreateVocabularyCommand,
+  UpdateVocabularyCommand,
+  GetVocabularyFilterCommand,
+  CreateVocabularyFilterCommand,
+  UpdateVocabularyFilterCommand,
+} from "@aws-sdk/client-transcribe";
+import { resolveLanguage } from "./lib/languages.js";
+import { parsePhraseList } from "./lib/vocabulary.js";
+
+const s3 = new S3Client();
+const transcribe = new TranscribeClient();
+
+const VOCABULARY_BUCKET = process.env.VOCABULARY_BUCKET;
+
+/**
+ * Read a phrase list from S3
+ */
+async function readPhraseList(bucket, key) {
+  const response = await s3.send(new GetObjectCommand({
+    Bucket: bucket,
+    Key: key,
+  }));
+  return parsePhraseList(await response.Body.transformToString("utf-8"));
+}
+
+/**
+ * Check whether a vocabulary or vocabulary filter already exists
+ */
+async function exists(command) {
+  try {
+    await transcribe.send(command);
+    return true;
+  } catch (error) {
+    // Transcribe reports a missing vocabulary as a BadRequestException
+    if (error.name === "NotFoundException" || error.name === "BadRequestException") {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Create the custom vocabulary, or replace its phrases if it exists
+ */
+async function upsertVocabulary(vocabularyName, languageCode, phrases) {
+  if (await exists(new GetVocabularyCommand({ VocabularyName: vocabularyName }))) {
+    console.log(`Updating vocabulary ${vocabularyName} with ${phrases.length} phrases`);
+    const response = await transcribe.send(new UpdateVocabularyCommand({
+      VocabularyName: vocabularyName,
+      LanguageCode: languageCode,
+      Phrases: phrases,
+    }));
+    return { action: "updated", state: response.VocabularyState };
+  }
+
+  console.log(`Creating vocabulary ${vocabularyName} with ${phrases.length} phrases`);
+  const response = await transcribe.send(new CreateVocabularyCommand({
+    VocabularyName: vocabularyName,
+    LanguageCode: languageCode,
+    Phrases: phrases,
+  }));
+  return { action: "created", state: response.VocabularyState };
+}
+
+/**
+ * Create the vocabulary filter, or replace its words if it exists
+ * Filters are ready as soon as they are saved
+ */
+async function upsertVocabularyFilter(vocabularyFilterName, languageCode, words) {
+  if (await exists(new GetVocabularyFilterCommand({ VocabularyFilterName: vocabularyFilterName }))) {
+    console.log(`Updating vocabulary filter ${vocabularyFilterName} with ${words.length} words`);
+    await transcribe.send(new UpdateVocabularyFilterCommand({
+      VocabularyFilterName: vocabularyFilterName,
+      Words: words,
+    }));
+    return { action: "updated", state: "READY" };
+  }
+
+  console.log(`Creating vocabulary filter ${vocabularyFilterName} with ${words.length} words`);
+  await transcribe.send(new CreateVocabularyFilterCommand({
+    VocabularyFilterName: vocabularyFilterName,
+    LanguageCode: languageCode,
+    Words: words,
+  }));
+  return { action: "created", state: "READY" };
+}
+
+/**
+ * Admin handler: create or update a custom vocabulary or vocabulary filter from a phrase list
+ *
+ * Invoke with { name, language, phraseListKey, type?, bucket? }:
+ * type is "vocabulary" (default) or "filter", language a name or Transcribe language code and
+ * phraseListKey a text file with one phrase (or filtered word) per line
+ */
+export const handler = async (event) => {
+  console.log("manageVocabulary event:", JSON.stringify(event, null, 2));
+
+  try {
+    const { name, language, phraseListKey, type = "vocabulary" } = event;
+    const bucket = event.bucket || VOCABULARY_BUCKET;
+
+    if (!name) {
+      throw new Error("Missing required field: name");
+    }
+    if (!language) {
+      throw new Error("Missing required field: language");
+    }
+    if (!phraseListKey) {
+      throw new Error("Missing required field: phraseListKey");
+    }
+    if (!bucket) {
+      throw new Error("Missing bucket: pass bucket or set VOCABULARY_BUCKET");
+    }
+    if (type !== "vocabulary" && type !== "filter") {
+      throw new Error(`Unsupported type: ${type}. Use "vocabulary" or "filter"`);
+    }
+
+    const { languageCode } = resolveLanguage(language);
+    const phrases = await readPhraseList(bucket, phraseListKey);
+    if (phrases.length === 0) {
+      throw new Error(`Phrase list ${bucket}/${phraseListKey} is empty`);
+    }
+
+    const result = type === "filter"
+      ? await upsertVocabularyFilter(name, languageCode, phrases)
+      : await upsertVocabulary(name, languageCode, phrases);
+
+    // Return object directly for Step Functions compatibility
+    return {
+      message: `Vocabulary ${type === "filter" ? "filter " : ""}${name} ${result.action}`,
+      name,
+      type,
+      languageCode,
+      phraseCount: phrases.length,
+      source: `${bucket}/${phraseListKey}`,
+      ...result,
+    };
+  } catch (error) {
+    console.error("Error in manageVocabulary:", error);
+    throw error;
+  }
+};
@@ -1,8 +1,30 @@
 import { S3Client, GetObjectCommand, PutObjectCommand, ListObjectsV2Command } from "@aws-sdk/client-s3";
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { SUBTITLE_FORMATS, parseSubtitles, serializeSubtitles } from "./lib/subtitles.js";
+import { offsetWords, buildCuesFromWords, alignSpeakers, buildTranscriptText, buildTranscriptDocument } from "./lib/transcript.js";
+import { cueOptionsForStyle, applyTimingRules } from "./lib/subtitleStyle.js";
+import { configFromEvent } from "./lib/jobConfig.js";
+import { transitionVideo, recordVideoError, VIDEO_STATES } from "./lib/videoLifecycle.js";
 
 const s3 = new S3Client();
+const dynamodb = new DynamoDBClient();
 
 const OUTPUT_BUCKET = process.env.OUTPUT_BUCKET;
+const JOBS_TABLE = process.env.JOBS_TABLE || "transcription-jobs-dev";
+// Timing differences allowed when matching the same word transcribed by two overlapping chunks
+const WORD_TIMING_TOLERANCE_MS = 100;
+
+/**
+ * Thrown when chunks are missing and the upload did not ask for a partial merge
+ * The name is what Step Functions sees as the error type
+ */
+export class MissingChunksError extends Error {
+  constructor(baseFileName, language, missingChunks) {
+    super(`Missing ${language} subtitles of chunk(s) ${missingChunks.join(", ")} of ${baseFileName} - set partialMerge to merge without them`);
+    this.name = "MissingChunks";
+    this.missingChunks = missingChunks;
+  }
+}
 
 /**
  * Download subtitle file from S3
@@ -44,104 +66,234 @@ async function uploadSubtitle(bucket, key, content, contentType = "text/srt") {
 }
 
 /**
- * Parse SRT timestamp to milliseconds
+ * Build a map of chunk index -> media start time in ms from the chunks splitVideo returned
+ * Returns null if any chunk lacks a start time (e.g. output of an older split)
  */
-function parseSRTTime(timeStr) {
-  const [hours, minutes, seconds, ms] = timeStr.split(/[:,]/).map(Number);
-  return hours * 3600000 + minutes * 60000 + seconds * 1000 + ms;
+export function buildChunkOffsets(chunks) {
+  if (!Array.isArray(chunks) || chunks.length === 0) {
+    return null;
+  }
+
+  const offsets = {};
+  for (const chunk of chunks) {
+    if (typeof chunk.startTime !== "number") {
+      return null;
+    }
+    offsets[chunk.chunkIndex] = Math.round(chunk.startTime * 1000);
+  }
+  return offsets;
 }
 
 /**
- * Format milliseconds to SRT timestamp
+ * Build a map of chunk index -> { start, end } media time in ms, the slot each chunk covers
+ * without its overlap into the next one
+ * Returns null if any chunk lacks a start time or duration
  */
-function formatSRTTime(ms) {
-  const hours = Math.floor(ms / 3600000);
-  const minutes = Math.floor((ms % 3600000) / 60000);
-  const seconds = Math.floor((ms % 60000) / 1000);
-  const milliseconds = ms % 1000;
-  return `${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")}:${String(seconds).padStart(2, "0")},${String(milliseconds).padStart(3, "0")}`;
+function buildChunkSpans(chunks) {
+  const offsets = buildChunkOffsets(chunks);
+  if (!offsets || chunks.some((chunk) => typeof chunk.duration !== "number")) {
+    return null;
+  }
+
+  return Object.fromEntries(chunks.map((chunk) => [
+    chunk.chunkIndex,
+    { start: offsets[chunk.chunkIndex], end: offsets[chunk.chunkIndex] + Math.round(chunk.duration * 1000) },
+  ]));
 }
 
 /**
- * Parse SRT content and extract subtitle entries
+ * Reconcile the boundary between two consecutive chunks placed on the absolute timeline
+ *
+ * With overlapping chunks, everything the previous chunk transcribed after the next chunk's
+ * start is transcribed again by the next chunk. The previous chunk keeps every word that starts
+ * before the boundary (including the word crossing it, which the overlap captured whole), the next
+ * chunk drops the words it repeats, and the cues around the boundary are rebuilt from the
+ * remaining words so a sentence cut in half becomes whole cues again.
+ * Without word timings, cues are de-duplicated by time only.
  */
-function parseSRT(content) {
-  const entries = [];
-  const blocks = content.trim().split(/\n\s*\n/);
+export function reconcileBoundary(prev, next, cueOptions = {}) {
+  const boundary = next.start;
+  const crossing = prev.cues.filter((cue) => cue.startTime < boundary && cue.endTime > boundary);
+
+  if (!prev.words || !next.words) {
+    prev.cues = prev.cues.filter((cue) => cue.startTime < boundary);
+    const lastEnd = Math.max(boundary, ...prev.cues.map((cue) => cue.endTime));
+    // Drop cues of the next chunk that mostly repeat what the previous chunk already covered
+    next.cues = next.cues.filter((cue) => (cue.startTime + cue.endTime) / 2 >= lastEnd);
+    return;
+  }
+
+  const prevWords = prev.words.filter((word) => word.startTime < boundary);
+  const lastWord = prevWords[prevWords.length - 1];
+  const lastKeptEnd = lastWord ? lastWord.endTime : boundary;
+
+  // Words the next chunk repeats start before the last kept word ends (allowing for timing jitter)
+  let nextWords = next.words.filter((word) => word.startTime >= lastKeptEnd - WORD_TIMING_TOLERANCE_MS);
+  if (lastWord && nextWords[0] &&
+    nextWords[0].text.toLowerCase() === lastWord.text.toLowerCase() &&
+    nextWords[0].startTime < lastKeptEnd + WORD_TIMING_TOLERANCE_MS) {
+    nextWords = nextWords.slice(1);
+  }
 
-  for (const block of blocks) {
-    const lines = block.trim().split("\n");
-    if (lines.length < 3) continue;
+  // The rebuilt region spans from the first cue crossing the boundary to the end of the
+  // last cue of the next chunk that held repeated words
+  const regionStart = crossing.length > 0
+    ? Math.min(...crossing.map((cue) => cue.startTime))
+    : boundary;
+  const repeatedCues = next.cues.filter((cue) => cue.startTime < lastKeptEnd);
+  const regionEnd = repeatedCues.length > 0
+    ? Math.max(lastKeptEnd, ...repeatedCues.map((cue) => cue.endTime))
+    : lastKeptEnd;
+
+  const regionWords = [
+    ...prevWords.filter((word) => word.startTime >= regionStart),
+    ...nextWords.filter((word) => word.startTime < regionEnd),
+  ];
+
+  prev.cues = [
+    ...prev.cues.filter((cue) => cue.endTime <= boundary && cue.startTime < regionStart),
+    ...buildCuesFromWords(regionWords, cueOptions),
+  ];
+  prev.words = prevWords;
+  next.cues = next.cues.filter((cue) => cue.startTime >= regionEnd);
+  next.words = nextWords;
+}
 
-    const index = parseInt(lines[0]);
-    const timeMatch = lines[1].match(/(\d{2}:\d{2}:\d{2},\d{3})\s*-->\s*(\d{2}:\d{2}:\d{2},\d{3})/);
-    if (!timeMatch) continue;
+/**
+ * Give the speakers of every placed chunk the labels of the matching speakers in earlier chunks
+ * and rebuild its cues from the relabelled words
+ * Chunks without a word transcript keep the per-chunk labels of their stored cues
+ */
+function labelChunkSpeakers(placed, cueOptions) {
+  const earlierWords = [];
 
-    const startTime = parseSRTTime(timeMatch[1]);
-    const endTime = parseSRTTime(timeMatch[2]);
-    const text = lines.slice(2).join("\n");
+  for (const chunk of placed) {
+    if (!chunk.words) {
+      console.warn("Chunk without word transcript - its speaker labels may not match the other chunks");
+      continue;
+    }
 
-    entries.push({
-      index,
-      startTime,
-      endTime,
-      text,
-    });
+    if (earlierWords.length > 0) {
+      chunk.words = alignSpeakers(earlierWords, chunk.words, WORD_TIMING_TOLERANCE_MS);
+    }
+    chunk.cues = buildCuesFromWords(chunk.words, cueOptions);
+    earlierWords.push(...chunk.words);
   }
-
-  return entries;
 }
 
 /**
- * Merge multiple subtitle files with proper timestamp adjustment
+ * Merge the cues of multiple chunks with proper timestamp adjustment
+ * Each chunk is shifted by its real media start time when known; otherwise the offset is
+ * estimated from the last cue of the previous chunk. Boundaries between chunks whose start
+ * times are known are reconciled to remove words transcribed twice in the overlap; chunks on
+ * either side of a missing chunk do not overlap and are left as they are.
+ * With labelSpeakers in cueOptions, the speakers of each chunk are first matched to the labels
+ * of the earlier chunks and the cues are rebuilt from the words with the shared labels.
+ * Returns the merged cues and, when every chunk has a word transcript, the merged words.
  */
-function mergeSubtitles(subtitleContents) {
-  const allEntries = [];
+export function mergeSubtitles(chunks, chunkOffsets = null, cueOptions = {}) {
+  const placed = [];
   let timeOffset = 0;
-  let currentIndex = 1;
-
-  subtitleContents.forEach((content, chunkIndex) => {
-    const entries = parseSRT(content);
-    let chunkMaxTime = 0;
-
-    entries.forEach((entry) => {
-      // Adjust timestamps by adding the offset
-      const adjustedStart = entry.startTime + timeOffset;
-      const adjustedEnd = entry.endTime + timeOffset;
-      chunkMaxTime = Math.max(chunkMaxTime, adjustedEnd);
-
-      allEntries.push({
-        index: currentIndex++,
-        startTime: adjustedStart,
-        endTime: adjustedEnd,
-        text: entry.text,
-      });
+
+  chunks.forEach(({ chunkIndex, cues, words }) => {
+    const knownOffset = chunkOffsets?.[chunkIndex];
+    if (knownOffset !== undefined) {
+      timeOffset = knownOffset;
+    }
+
+    // Adjust timestamps by adding the offset
+    const shiftedCues = cues.map((cue) => ({
+      ...cue,
+      startTime: cue.startTime + timeOffset,
+      endTime: cue.endTime + timeOffset,
+    }));
+
+    placed.push({
+      chunkIndex,
+      start: timeOffset,
+      exactStart: knownOffset !== undefined,
+      cues: shiftedCues,
+      words: words ? offsetWords(words, timeOffset) : null,
     });
 
-    // Update offset for next chunk (add a small gap between chunks)
-    timeOffset = chunkMaxTime + 100; // 100ms gap between chunks
+    // Estimated offset for the next chunk if its start time is unknown (100ms gap between chunks)
+    const chunkMaxTime = Math.max(timeOffset, ...shiftedCues.map((cue) => cue.endTime));
+    timeOffset = chunkMaxTime + 100;
   });
 
-  // Generate merged SRT content
-  let mergedSRT = "";
-  allEntries.forEach((entry) => {
-    mergedSRT += `${entry.index}\n`;
-    mergedSRT += `${formatSRTTime(entry.startTime)} --> ${formatSRTTime(entry.endTime)}\n`;
-    mergedSRT += `${entry.text}\n\n`;
-  });
+  if (cueOptions.labelSpeakers) {
+    labelChunkSpeakers(placed, cueOptions);
+  }
 
-  return mergedSRT;
+  for (let i = 1; i < placed.length; i++) {
+    if (placed[i].exactStart && placed[i].chunkIndex === placed[i - 1].chunkIndex + 1) {
+      reconcileBoundary(placed[i - 1], placed[i], cueOptions);
+    }
+  }
+
+  const cues = placed
+    .flatMap((chunk) => chunk.cues)
+    .map((cue, i) => ({ ...cue, index: i + 1 }));
+
+  // Reconciled boundaries leave each word with exactly one chunk, so the words line up too
+  const words = placed.every((chunk) => chunk.words)
+    ? placed.flatMap((chunk) => chunk.words)
+    : null;
+
+  return { cues, words };
+}
+
+/**
+ * Fill the slot of every missing chunk with one cue holding the gap marker
+ * The cue covers the part of the slot that the neighbouring chunks left empty: the previous
+ * chunk's overlap may reach into the slot, and the next chunk starts where it ends.
+ */
+function addGapCues(cues, missingChunks, chunkSpans, gapMarker) {
+  const gapCues = [];
+
+  for (const chunkIndex of missingChunks) {
+    const span = chunkSpans[chunkIndex];
+    const startTime = Math.max(
+      span.start,
+      ...cues.filter((cue) => cue.startTime < span.start).map((cue) => cue.endTime)
+    );
+    const endTime = Math.min(
+      span.end,
+      ...cues.filter((cue) => cue.startTime >= startTime).map((cue) => cue.startTime)
+    );
+    if (endTime > startTime) {
+      gapCues.push({ startTime, endTime, text: gapMarker });
+    }
+  }
+
+  return [...cues, ...gapCues]
+    .sort((a, b) => a.startTime - b.startTime)
+    .map((cue, i) => ({ ...cue, index: i + 1 }));
 }
 
 /**
- * List all chunk subtitle files for a video
+ * Download the word transcript storeSubtitles kept for a chunk
+ * Returns null when it is missing, in which case boundaries are reconciled by time only
  */
-async function listChunkSubtitles(bucket, baseFileName, totalChunks) {
-  const subtitleKeys = [];
+async function downloadTranscript(transcriptKey) {
+  if (!transcriptKey) return null;
+  try {
+    return JSON.parse(await downloadSubtitle(OUTPUT_BUCKET, transcriptKey));
+  } catch (error) {
+    console.warn(`No word transcript at ${transcriptKey}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * List all chunk subtitle files for a video in one language and format
+ */
+async function listChunkSubtitles(bucket, baseFileName, totalChunks, language, format) {
+  const subtitleFiles = [];
   
   for (let i = 1; i <= totalChunks; i++) {
     const chunkIndex = String(i).padStart(3, "0");
-    const chunkPath = `${baseFileName}/chunk_${chunkIndex}/english.srt`;
+    const chunkPath = `${baseFileName}/chunk_${chunkIndex}/${language}.${SUBTITLE_FORMATS[format].extension}`;
     
     try {
       // Check if file exists by trying to list it
@@ -153,14 +305,248 @@ async function listChunkSubtitles(bucket, baseFileName, totalChunks) {
       
       const response = await s3.send(command);
       if (response.Contents && response.Contents.length > 0) {
-        subtitleKeys.push(chunkPath);
+        subtitleFiles.push({
+          chunkIndex: i,
+          key: chunkPath,
+          transcriptKey: `${baseFileName}/chunk_${chunkIndex}/${language}.json`,
+        });
       }
     } catch (error) {
       console.warn(`Could not find subtitle file at ${chunkPath}:`, error.message);
     }
   }
   
-  return subtitleKeys;
+  return subtitleFiles;
+}
+
+/**
+ * Upload the merged text (<base>/<language>.txt) and JSON (<base>/<language>.json) transcripts
+ */
+async function uploadTranscripts(baseFileName, language, languageCode, words, diarization) {
+  const speakerNames = diarization?.speakerNames;
+  const document = buildTranscriptDocument(words, { language, languageCode, speakerNames });
+  const transcripts = {
+    json: `${baseFileName}/${language}.json`,
+    txt: `${baseFileName}/${language}.txt`,
+  };
+
+  await uploadSubtitle(OUTPUT_BUCKET, transcripts.json, JSON.stringify(document), "application/json");
+  await uploadSubtitle(
+    OUTPUT_BUCKET,
+    transcripts.txt,
+    buildTranscriptText(words, { labelSpeakers: Boolean(document.speakers), speakerNames }),
+    "text/plain; charset=utf-8"
+  );
+  console.log(`Merged transcripts stored at ${OUTPUT_BUCKET}/${transcripts.json} and ${transcripts.txt}`);
+  return transcripts;
+}
+
+/**
+ * Download the given chunk subtitle files (all in sourceFormat) and merge them
+ * into <base>/<language>.<format> for every requested format, plus the merged transcripts
+ *
+ * Missing chunks fail the merge unless the upload asked for a partial merge. A partial merge keeps
+ * every chunk at its real start time, so the slot of a missing chunk stays empty (or holds the
+ * gap marker cue) instead of shifting every later cue.
+ */
+async function mergeChunkFiles(baseFileName, totalChunks, language, formats, sourceFormat, chunkSubtitles, timing, options = {}) {
+  const { subtitles = null, diarization = null, partialMerge = false, gapMarker = null } = options;
+  if (chunkSubtitles.length === 0) {
+    throw new Error(`No chunk subtitle files found for ${baseFileName} (${language})`);
+  }
+
+  const found = new Set(chunkSubtitles.map(({ chunkIndex }) => chunkIndex));
+  const missingChunks = Array.from({ length: totalChunks }, (_, i) => i + 1).filter((chunkIndex) => !found.has(chunkIndex));
+  if (missingChunks.length > 0) {
+    if (!partialMerge) {
+      throw new MissingChunksError(baseFileName, language, missingChunks);
+    }
+    console.warn(`Partial merge of ${baseFileName} (${language}): chunk(s) ${missingChunks.join(", ")} missing`);
+    if (!timing.offsets) {
+      console.warn("No chunk start times provided - cues after a missing chunk may be shifted");
+    }
+  }
+
+  // Download and parse all chunk subtitle files
+  console.log(`Downloading ${chunkSubtitles.length} ${language} subtitle chunks...`);
+  const chunks = await Promise.all(
+    chunkSubtitles.map(async ({ chunkIndex, key, transcriptKey }) => {
+      console.log(`Downloading ${key}`);
+      const transcript = await downloadTranscript(transcriptKey);
+      return {
+        chunkIndex,
+        cues: parseSubtitles(await downloadSubtitle(OUTPUT_BUCKET, key), sourceFormat),
+        words: transcript?.words || null,
+        languageCode: transcript?.languageCode || null,
+      };
+    })
+  );
+
+  // Merge all subtitles
+  console.log(`Merging ${language} subtitle contents...`);
+  // Cues rebuilt around chunk boundaries follow the subtitle style the chunks were stored in
+  const cueOptions = diarization
+    ? { ...cueOptionsForStyle(subtitles), labelSpeakers: true, speakerNames: diarization.speakerNames }
+    : cueOptionsForStyle(subtitles);
+  const merged = mergeSubtitles(chunks, timing.offsets, cueOptions);
+  const mergedWords = merged.words;
+  // Timing rules run again since the last cue of a chunk can now extend towards the next chunk
+  const timedCues = applyTimingRules(merged.cues, subtitles);
+  const mergedCues = missingChunks.length > 0 && gapMarker && timing.spans
+    ? addGapCues(timedCues, missingChunks, timing.spans, gapMarker)
+    : timedCues;
+
+  // Upload merged subtitle to final location in every format
+  const files = {};
+  for (const format of formats) {
+    const finalKey = `${baseFileName}/${language}.${SUBTITLE_FORMATS[format].extension}`;
+    await uploadSubtitle(OUTPUT_BUCKET, finalKey, serializeSubtitles(mergedCues, format), SUBTITLE_FORMATS[format].contentType);
+    console.log(`Merged subtitle stored at ${OUTPUT_BUCKET}/${finalKey}`);
+    files[format] = finalKey;
+  }
+
+  let transcripts = null;
+  if (mergedWords) {
+    // Every chunk transcript of a language carries the same language code
+    const languageCode = chunks.find((chunk) => chunk.languageCode)?.languageCode || null;
+    transcripts = await uploadTranscripts(baseFileName, language, languageCode, mergedWords, diarization);
+  } else {
+    console.warn(`Some ${language} chunks have no word transcript - skipping the merged transcripts`);
+  }
+
+  return {
+    language,
+    locations: Object.values(files).map((key) => `${OUTPUT_BUCKET}/${key}`),
+    files,
+    transcripts,
+    chunksMerged: chunkSubtitles.length,
+    missingChunks,
+  };
+}
+
+/**
+ * Merge the chunk subtitles of one language into <base>/<language>.<format>
+ * Chunks are read in the first requested format; every format is written from the same cues
+ */
+async function mergeLanguage(baseFileName, totalChunks, languageEntry, formats, timing, options) {
+  const { language, languageCode } = languageEntry;
+  const sourceFormat = formats[0];
+  const chunkSubtitles = await listChunkSubtitles(OUTPUT_BUCKET, baseFileName, totalChunks, language, sourceFormat);
+  const result = await mergeChunkFiles(baseFileName, totalChunks, language, formats, sourceFormat, chunkSubtitles, timing, options);
+
+  return {
+    ...result,
+    languageCode,
+    identifiedLanguage: false,
+    languageConfidence: null,
+  };
+}
+
+/**
+ * Read the manifests storeSubtitles wrote for each chunk
+ */
+async function readChunkManifests(baseFileName, totalChunks) {
+  const manifests = [];
+
+  for (let i = 1; i <= totalChunks; i++) {
+    const manifestKey = `${baseFileName}/chunk_${String(i).padStart(3, "0")}/manifest.json`;
+    try {
+      manifests.push(JSON.parse(await downloadSubtitle(OUTPUT_BUCKET, manifestKey)));
+    } catch (error) {
+      console.warn(`Could not read chunk manifest ${manifestKey}:`, error.message);
+    }
+  }
+
+  return manifests;
+}
+
+/**
+ * Merge the chunks of an auto-language video
+ * Each chunk is identified separately, so the merged file is named after the language
+ * detected in most chunks (ties broken by summed confidence)
+ */
+async function mergeIdentifiedLanguage(baseFileName, totalChunks, formats, timing, options) {
+  const manifests = await readChunkManifests(baseFileName, totalChunks);
+  const detections = manifests
+    .map((manifest) => {
+      const entry = manifest.languages?.find((language) => language.identifiedLanguage);
+      return entry && { ...entry, chunkIndex: manifest.chunkIndex };
+    })
+    .filter(Boolean);
+
+  if (detections.length === 0) {
+    throw new Error(`No identified-language chunk subtitles found for ${baseFileName}`);
+  }
+
+  const tally = {};
+  for (const detection of detections) {
+    const current = tally[detection.languageCode] || { count: 0, confidence: 0, language: detection.language };
+    current.count += 1;
+    current.confidence += detection.languageConfidence || 0;
+    tally[detection.languageCode] = current;
+  }
+
+  const [languageCode, winner] = Object.entries(tally).sort(([, a], [, b]) =>
+    b.count - a.count || b.confidence - a.confidence
+  )[0];
+
+  if (Object.keys(tally).length > 1) {
+    console.warn(`Chunks of ${baseFileName} were identified as different languages:`, JSON.stringify(tally));
+  }
+
+  const sourceFormat = formats[0];
+  const result = await mergeChunkFiles(
+    baseFileName,
+    totalChunks,
+    winner.language,
+    formats,
+    sourceFormat,
+    detections
+      .filter((detection) => detection.files[sourceFormat])
+      .map((detection) => ({
+        chunkIndex: detection.chunkIndex,
+        key: detection.files[sourceFormat],
+        transcriptKey: detection.transcriptKey,
+      })),
+    timing,
+    options
+  );
+
+  return {
+    ...result,
+    languageCode,
+    identifiedLanguage: true,
+    languageConfidence: Number((winner.confidence / winner.count).toFixed(4)),
+  };
+}
+
+/**
+ * Write the manifest for the merged outputs of a video
+ * A partial merge is marked incomplete, with the chunks missing from any language
+ */
+async function writeManifest(baseFileName, originalKey, results, missingChunks) {
+  const manifestKey = `${baseFileName}/manifest.json`;
+  const manifest = {
+    originalKey,
+    chunkIndex: null,
+    updatedAt: new Date().toISOString(),
+    incomplete: missingChunks.length > 0,
+    missingChunks,
+    languages: results.map((result) => ({
+      language: result.language,
+      languageCode: result.languageCode || null,
+      identifiedLanguage: result.identifiedLanguage,
+      languageConfidence: result.languageConfidence,
+      files: result.files,
+      transcripts: result.transcripts || null,
+      chunksMerged: result.chunksMerged,
+      missingChunks: result.missingChunks,
+    })),
+  };
+
+  await uploadSubtitle(OUTPUT_BUCKET, manifestKey, JSON.stringify(manifest, null, 2), "application/json");
+  console.log(`Manifest stored at ${OUTPUT_BUCKET}/${manifestKey}`);
+  return manifestKey;
 }
 
 export const handler = async (event) => {
@@ -180,49 +566,53 @@ export const handler = async (event) => {
       };
     }
 
-    // Get the base filename without extension
-    const baseFileName = originalKey.replace(/\.mp4$/, "").replace(/^.*\//, "");
-
-    console.log(`Merging subtitles for ${baseFileName}, ${totalChunks} chunks`);
+    await transitionVideo(dynamodb, JOBS_TABLE, originalKey, VIDEO_STATES.MERGING);
 
-    // List all chunk subtitle files
-    const chunkSubtitleKeys = await listChunkSubtitles(OUTPUT_BUCKET, baseFileName, totalChunks);
+    // Outputs go under the configured prefix, by default the file name without extension
+    const { languages, formats, subtitles, diarization, partialMerge, gapMarker, outputPrefix: baseFileName } = configFromEvent(event);
+    const options = { subtitles, diarization, partialMerge, gapMarker };
 
-    if (chunkSubtitleKeys.length === 0) {
-      throw new Error(`No chunk subtitle files found for ${baseFileName}`);
+    // Real chunk start times recorded by splitVideo keep captions in sync across chunks
+    const timing = {
+      offsets: buildChunkOffsets(event.chunks),
+      spans: buildChunkSpans(event.chunks),
+    };
+    if (!timing.offsets) {
+      console.warn("No chunk start times provided - estimating offsets from cue end times");
     }
 
-    if (chunkSubtitleKeys.length !== totalChunks) {
-      console.warn(`Expected ${totalChunks} chunk files, found ${chunkSubtitleKeys.length}`);
-    }
+    console.log(`Merging subtitles for ${baseFileName}, ${totalChunks} chunks, ${languages.length} language(s), formats: ${formats.join(", ")}`);
 
-    // Download all chunk subtitle files
-    console.log(`Downloading ${chunkSubtitleKeys.length} subtitle chunks...`);
-    const subtitleContents = await Promise.all(
-      chunkSubtitleKeys.map(async (key) => {
-        console.log(`Downloading ${key}`);
-        return await downloadSubtitle(OUTPUT_BUCKET, key);
-      })
-    );
-
-    // Merge all subtitles
-    console.log("Merging subtitle contents...");
-    const mergedContent = mergeSubtitles(subtitleContents);
-
-    // Upload merged subtitle to final location
-    const finalKey = `${baseFileName}/english.srt`;
-    await uploadSubtitle(OUTPUT_BUCKET, finalKey, mergedContent);
+    const results = [];
+    for (const languageEntry of languages) {
+      results.push(languageEntry.identifyLanguage
+        ? await mergeIdentifiedLanguage(baseFileName, totalChunks, formats, timing, options)
+        : await mergeLanguage(baseFileName, totalChunks, languageEntry, formats, timing, options));
+    }
 
-    console.log(`Merged subtitle stored at ${OUTPUT_BUCKET}/${finalKey}`);
+    const missingChunks = [...new Set(results.flatMap((result) => result.missingChunks))].sort((a, b) => a - b);
+    const manifestKey = await writeManifest(baseFileName, originalKey, results, missingChunks);
+    // Cleared again when a resumed run merges every chunk
+    await transitionVideo(dynamodb, JOBS_TABLE, originalKey, VIDEO_STATES.DONE, {
+      set: { incomplete: missingChunks.length > 0, missingChunks },
+    });
 
     return {
-      message: "Subtitles merged successfully",
-      location: `${OUTPUT_BUCKET}/${finalKey}`,
-      chunksMerged: chunkSubtitleKeys.length,
+      message: missingChunks.length > 0
+        ? `Subtitles merged without chunk(s) ${missingChunks.join(", ")}`
+        : "Subtitles merged successfully",
+      locations: results.flatMap((result) => result.locations),
+      manifest: `${OUTPUT_BUCKET}/${manifestKey}`,
+      results,
       totalChunks,
+      incomplete: missingChunks.length > 0,
+      missingChunks,
     };
   } catch (error) {
     console.error("Error in mergeSubtitles:", error);
+    if (event.originalKey) {
+      await recordVideoError(dynamodb, JOBS_TABLE, event.originalKey, error);
+    }
     throw error;
   }
 };
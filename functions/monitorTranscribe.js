@@ -1,29 +1,35 @@
 import { TranscribeClient, GetTranscriptionJobCommand } from "@aws-sdk/client-transcribe";
-import { DynamoDBClient, ScanCommand, UpdateItemCommand } from "@aws-sdk/client-dynamodb";
+import { DynamoDBClient, GetItemCommand, UpdateItemCommand } from "@aws-sdk/client-dynamodb";
+import { SFNClient, SendTaskSuccessCommand, SendTaskFailureCommand } from "@aws-sdk/client-sfn";
+import { languageNameForCode } from "./lib/languages.js";
+import { queryJobsByStatus, queryJobsByOriginalKey } from "./lib/jobsTable.js";
+import { recordChunkProgress, recordVideoError } from "./lib/videoLifecycle.js";
 
 const transcribe = new TranscribeClient();
 const dynamodb = new DynamoDBClient();
+const sfn = new SFNClient();
 
 const OUTPUT_BUCKET = process.env.OUTPUT_BUCKET;
 const JOBS_TABLE = process.env.JOBS_TABLE || "transcription-jobs-dev";
+// Errors Step Functions returns for a task token that was already used or has timed out
+const STALE_TOKEN_ERRORS = ["TaskTimedOut", "TaskDoesNotExist", "InvalidToken"];
+
+/**
+ * Thrown when Transcribe reports a job as FAILED
+ * The name is what Step Functions sees as the error type
+ */
+class TranscriptionFailedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TranscriptionFailed";
+  }
+}
 
 /**
  * Get all in-progress jobs from DynamoDB
  */
 async function getInProgressJobs() {
-  const command = new ScanCommand({
-    TableName: JOBS_TABLE,
-    FilterExpression: "#status = :status",
-    ExpressionAttributeNames: {
-      "#status": "status",
-    },
-    ExpressionAttributeValues: {
-      ":status": { S: "IN_PROGRESS" },
-    },
-  });
-
-  const response = await dynamodb.send(command);
-  return response.Items || [];
+  return queryJobsByStatus(dynamodb, JOBS_TABLE, "IN_PROGRESS");
 }
 
 /**
@@ -40,38 +46,57 @@ async function checkJobStatus(jobName) {
 
 /**
  * Update job status in DynamoDB
+ * detection carries the language Transcribe identified for auto-language jobs
+ * failureReason is the reason Transcribe gives for a failed job
  */
-async function updateJobStatus(jobId, status, transcriptUri = null) {
-  const updateExpression = "SET #status = :status, updatedAt = :updatedAt";
+async function updateJobStatus(jobId, status, transcriptUri = null, detection = null, failureReason = null) {
+  const setExpressions = ["#status = :status", "updatedAt = :updatedAt"];
   const expressionAttributeValues = {
     ":status": { S: status },
     ":updatedAt": { S: new Date().toISOString() },
   };
 
   if (transcriptUri) {
+    setExpressions.push("transcriptUri = :transcriptUri");
     expressionAttributeValues[":transcriptUri"] = { S: transcriptUri };
-    const updateCommand = new UpdateItemCommand({
-      TableName: JOBS_TABLE,
-      Key: { jobId: { S: jobId } },
-      UpdateExpression: `${updateExpression}, transcriptUri = :transcriptUri`,
-      ExpressionAttributeNames: {
-        "#status": "status",
-      },
-      ExpressionAttributeValues: expressionAttributeValues,
-    });
-    await dynamodb.send(updateCommand);
-  } else {
-    const updateCommand = new UpdateItemCommand({
-      TableName: JOBS_TABLE,
-      Key: { jobId: { S: jobId } },
-      UpdateExpression,
-      ExpressionAttributeNames: {
-        "#status": "status",
-      },
-      ExpressionAttributeValues,
-    });
-    await dynamodb.send(updateCommand);
   }
+
+  if (detection) {
+    setExpressions.push("detectedLanguageCode = :detectedLanguageCode");
+    expressionAttributeValues[":detectedLanguageCode"] = { S: detection.languageCode };
+    if (detection.languageConfidence !== null) {
+      setExpressions.push("languageConfidence = :languageConfidence");
+      expressionAttributeValues[":languageConfidence"] = { N: String(detection.languageConfidence) };
+    }
+  }
+
+  if (failureReason) {
+    setExpressions.push("#error = :error");
+    expressionAttributeValues[":error"] = { S: failureReason };
+  }
+
+  const updateCommand = new UpdateItemCommand({
+    TableName: JOBS_TABLE,
+    Key: { jobId: { S: jobId } },
+    UpdateExpression: `SET ${setExpressions.join(", ")}`,
+    ExpressionAttributeNames: {
+      "#status": "status",
+      ...(failureReason && { "#error": "error" }),
+    },
+    ExpressionAttributeValues: expressionAttributeValues,
+  });
+  await dynamodb.send(updateCommand);
+}
+
+/**
+ * Read the identified language from a completed auto-language Transcribe job
+ */
+function getDetectedLanguage(transcriptionJob) {
+  return {
+    languageCode: transcriptionJob.LanguageCode,
+    language: languageNameForCode(transcriptionJob.LanguageCode),
+    languageConfidence: transcriptionJob.IdentifiedLanguageScore ?? null,
+  };
 }
 
 
@@ -79,40 +104,207 @@ async function updateJobStatus(jobId, status, transcriptUri = null) {
  * Check if all jobs for a video/chunk are complete
  */
 async function checkAllJobsComplete(originalKey, chunkIndex, totalChunks) {
+  const completedJobs = await queryJobsByOriginalKey(dynamodb, JOBS_TABLE, originalKey, { status: "COMPLETED" });
+
   if (totalChunks === 1) {
     // Single file, check English job only
-    const scanCommand = new ScanCommand({
-      TableName: JOBS_TABLE,
-      FilterExpression: "originalKey = :key AND #status = :status",
-      ExpressionAttributeNames: {
-        "#status": "status",
-      },
-      ExpressionAttributeValues: {
-        ":key": { S: originalKey },
-        ":status": { S: "COMPLETED" },
-      },
-    });
+    return completedJobs.length >= 1; // Only English
+  }
 
-    const response = await dynamodb.send(scanCommand);
-    return (response.Items || []).length >= 1; // Only English
-  } else {
-    // Multiple chunks - check if all chunks are complete
-    const scanCommand = new ScanCommand({
-      TableName: JOBS_TABLE,
-      FilterExpression: "originalKey = :key AND totalChunks = :total",
-      ExpressionAttributeValues: {
-        ":key": { S: originalKey },
-        ":total": { N: String(totalChunks) },
-      },
-    });
+  // Multiple chunks - check if all chunks are complete
+  // For each chunk, we need 1 job (English only) = totalChunks
+  return completedJobs.filter((item) => item.totalChunks?.N === String(totalChunks)).length >= totalChunks;
+}
+
+/**
+ * Check every language job started for one file or chunk
+ * Throws TranscriptionFailedError as soon as one of them failed
+ */
+async function checkJobs(eventData) {
+  const { originalKey, jobs, languages, chunkIndex, totalChunks } = eventData;
+
+  // Check every language job started for this file/chunk
+  const jobEntries = Object.entries(jobs);
+  const jobStatuses = await Promise.all(
+    jobEntries.map(([, job]) => checkJobStatus(job.jobName))
+  );
+
+  let allComplete = true;
+  const completedJobs = [];
+
+  for (let i = 0; i < jobEntries.length; i++) {
+    const [language, job] = jobEntries[i];
+    const transcriptionJob = jobStatuses[i];
+
+    if (transcriptionJob.TranscriptionJobStatus === "COMPLETED") {
+      const transcriptUri = transcriptionJob.Transcript?.TranscriptFileUri;
+
+      if (job.identifyLanguage) {
+        // Store under the detected language instead of "auto"
+        const detection = getDetectedLanguage(transcriptionJob);
+        console.log(`Job ${job.jobName} identified ${detection.languageCode} (score ${detection.languageConfidence})`);
+        await updateJobStatus(job.jobName, "COMPLETED", transcriptUri, detection);
+        completedJobs.push({
+          language: detection.language,
+          languageCode: detection.languageCode,
+          identifiedLanguage: true,
+          languageConfidence: detection.languageConfidence,
+          jobId: job.jobName,
+          transcriptUri,
+        });
+        continue;
+      }
+
+      await updateJobStatus(job.jobName, "COMPLETED", transcriptUri);
+      completedJobs.push({
+        language,
+        languageCode: job.languageCode || transcriptionJob.LanguageCode,
+        identifiedLanguage: false,
+        languageConfidence: null,
+        jobId: job.jobName,
+        transcriptUri,
+      });
+    } else if (transcriptionJob.TranscriptionJobStatus === "FAILED") {
+      await updateJobStatus(job.jobName, "FAILED", null, null, transcriptionJob.FailureReason);
+      // A failed job never completes, so stop polling and let Step Functions catch it
+      const failure = `Transcription job ${job.jobName} (${language}) failed: ${transcriptionJob.FailureReason}`;
+      await recordVideoError(dynamodb, JOBS_TABLE, originalKey, failure);
+      throw new TranscriptionFailedError(failure);
+    } else {
+      allComplete = false;
+    }
+  }
+
+  // Return object directly for Step Functions compatibility
+  // Ensure completedJobs is always an array and has elements when allComplete is true
+  if (allComplete && completedJobs.length === 0) {
+    console.warn("allComplete is true but completedJobs is empty - this should not happen");
+    allComplete = false; // Reset to false to prevent downstream errors
+  }
+
+  if (allComplete) {
+    await recordChunkProgress(dynamodb, JOBS_TABLE, originalKey, "chunksTranscribed", chunkIndex);
+  }
+
+  return {
+    message: allComplete ? "All jobs completed" : "Jobs still in progress",
+    allComplete,
+    completedJobs: allComplete ? completedJobs : [],
+    languages: languages || null,
+    originalKey: originalKey || null,
+    chunkIndex: chunkIndex !== undefined ? chunkIndex : null,
+    totalChunks: totalChunks !== undefined ? totalChunks : 1,
+  };
+}
+
+/**
+ * Resume a waiting execution, ignoring tokens that were already used or timed out
+ * (another language's event got there first, or the execution fell back to polling)
+ */
+async function sendTaskResult(command) {
+  try {
+    await sfn.send(command);
+    return true;
+  } catch (error) {
+    if (STALE_TOKEN_ERRORS.includes(error.name)) {
+      console.warn(`Task token no longer waiting (${error.name}) - the execution has moved on`);
+      return false;
+    }
+    throw error;
+  }
+}
 
-    const response = await dynamodb.send(scanCommand);
-    const completedJobs = (response.Items || []).filter(
-      (item) => item.status?.S === "COMPLETED"
-    );
-    // For each chunk, we need 1 job (English only) = totalChunks
-    return completedJobs.length >= totalChunks;
+/**
+ * Check the jobs a task token waits for and resume the execution once they are settled
+ * Sends the same result a polling check returns, or TranscriptionFailed when a job failed.
+ * Returns the result, with resumed: false while jobs are still running.
+ */
+async function settleTaskToken(taskToken, waitInput) {
+  let result;
+  try {
+    result = await checkJobs(waitInput);
+  } catch (error) {
+    if (!(error instanceof TranscriptionFailedError)) throw error;
+    const resumed = await sendTaskResult(new SendTaskFailureCommand({
+      taskToken,
+      error: error.name,
+      cause: error.message,
+    }));
+    return { message: error.message, allComplete: false, resumed };
   }
+
+  if (!result.allComplete) {
+    return { ...result, resumed: false };
+  }
+  const resumed = await sendTaskResult(new SendTaskSuccessCommand({
+    taskToken,
+    output: JSON.stringify(result),
+  }));
+  return { ...result, resumed };
+}
+
+/**
+ * Store the task token of a waiting Step Functions task on the records of its jobs
+ *
+ * Invoked by WaitForTranscription / WaitForChunkTranscription through
+ * lambda:invoke.waitForTaskToken with { taskToken, transcribeResult }. The jobs are checked once
+ * right away, since they may have finished before the token was stored; after that the Transcribe
+ * state change events resume the execution.
+ */
+async function registerTaskToken(taskToken, transcribeResult) {
+  const waitInput = JSON.stringify(transcribeResult);
+  const now = new Date().toISOString();
+
+  for (const job of Object.values(transcribeResult.jobs)) {
+    try {
+      await dynamodb.send(new UpdateItemCommand({
+        TableName: JOBS_TABLE,
+        Key: { jobId: { S: job.jobName } },
+        UpdateExpression: "SET taskToken = :taskToken, waitInput = :waitInput, taskTokenAt = :now",
+        ConditionExpression: "attribute_exists(jobId)",
+        ExpressionAttributeValues: {
+          ":taskToken": { S: taskToken },
+          ":waitInput": { S: waitInput },
+          ":now": { S: now },
+        },
+      }));
+    } catch (error) {
+      // Without a record the job's event cannot resume the execution; polling takes over
+      console.warn(`Could not store the task token on ${job.jobName}:`, error.message);
+    }
+  }
+
+  try {
+    return await settleTaskToken(taskToken, transcribeResult);
+  } catch (error) {
+    console.warn("Could not check the jobs yet - waiting for their events:", error.message);
+    return { message: "Waiting for job events", allComplete: false, resumed: false };
+  }
+}
+
+/**
+ * Handle a "Transcribe Job State Change" event from EventBridge
+ * Jobs without a stored task token (started outside the workflow, or whose execution has not
+ * registered yet) are left to the polling fallback.
+ */
+async function handleJobStateChange(detail) {
+  const jobName = detail.TranscriptionJobName;
+  console.log(`Transcribe job ${jobName} is ${detail.TranscriptionJobStatus}`);
+  if (!jobName) {
+    return { message: "No job name in event", resumed: false };
+  }
+
+  const { Item: item } = await dynamodb.send(new GetItemCommand({
+    TableName: JOBS_TABLE,
+    Key: { jobId: { S: jobName } },
+    ProjectionExpression: "taskToken, waitInput",
+  }));
+  if (!item?.taskToken || !item.waitInput) {
+    console.log(`No execution waiting on ${jobName}`);
+    return { message: `No execution waiting on ${jobName}`, resumed: false };
+  }
+
+  return settleTaskToken(item.taskToken.S, JSON.parse(item.waitInput.S));
 }
 
 export const handler = async (event) => {
@@ -122,47 +314,19 @@ export const handler = async (event) => {
     // Extract event data - handle both direct input and body-wrapped input
     const eventData = event.body ? JSON.parse(event.body) : event;
     
-    // If specific job info is provided, check that job
+    // A Step Functions task waiting for the jobs, see registerTaskToken
+    if (eventData.taskToken) {
+      return await registerTaskToken(eventData.taskToken, eventData.transcribeResult);
+    }
+
+    // Transcribe job state change from EventBridge
+    if (eventData.source === "aws.transcribe") {
+      return await handleJobStateChange(eventData.detail || {});
+    }
+
+    // If specific job info is provided, check those jobs
     if (eventData.jobs && eventData.originalKey) {
-      const { originalKey, jobs, chunkIndex, totalChunks } = eventData;
-      
-      // Check English job only
-      const englishJob = await checkJobStatus(jobs.english.jobName);
-      
-      let allComplete = true;
-      const completedJobs = [];
-      
-      if (englishJob.TranscriptionJobStatus === "COMPLETED") {
-        const transcriptUri = englishJob.Transcript?.TranscriptFileUri;
-        await updateJobStatus(jobs.english.jobName, "COMPLETED", transcriptUri);
-        completedJobs.push({
-          language: "english",
-          jobId: jobs.english.jobName,
-          transcriptUri,
-        });
-        allComplete = true;
-      } else if (englishJob.TranscriptionJobStatus === "FAILED") {
-        await updateJobStatus(jobs.english.jobName, "FAILED");
-        allComplete = false;
-      } else {
-        allComplete = false;
-      }
-      
-      // Return object directly for Step Functions compatibility
-      // Ensure completedJobs is always an array and has elements when allComplete is true
-      if (allComplete && completedJobs.length === 0) {
-        console.warn("allComplete is true but completedJobs is empty - this should not happen");
-        allComplete = false; // Reset to false to prevent downstream errors
-      }
-      
-      return {
-        message: allComplete ? "Job completed" : "Job still in progress",
-        allComplete,
-        completedJobs: completedJobs || [],
-        originalKey: originalKey || null,
-        chunkIndex: chunkIndex !== undefined ? chunkIndex : null,
-        totalChunks: totalChunks !== undefined ? totalChunks : 1,
-      };
+      return await checkJobs(eventData);
     }
 
     // Otherwise, scan for all in-progress jobs (fallback for scheduled monitoring)
@@ -187,10 +351,11 @@ export const handler = async (event) => {
         if (jobStatus.TranscriptionJobStatus === "COMPLETED") {
           console.log(`Job ${jobId} completed`);
           const transcriptUri = jobStatus.Transcript?.TranscriptFileUri;
-          await updateJobStatus(jobId, "COMPLETED", transcriptUri);
+          const detection = job.identifyLanguage?.BOOL ? getDetectedLanguage(jobStatus) : null;
+          await updateJobStatus(jobId, "COMPLETED", transcriptUri, detection);
         } else if (jobStatus.TranscriptionJobStatus === "FAILED") {
           console.error(`Job ${jobId} failed:`, jobStatus.FailureReason);
-          await updateJobStatus(jobId, "FAILED");
+          await updateJobStatus(jobId, "FAILED", null, null, jobStatus.FailureReason);
         } else {
           console.log(`Job ${jobId} still in progress: ${jobStatus.TranscriptionJobStatus}`);
         }
@@ -0,0 +1,211 @@
+import { createHmac, randomUUID } from "crypto";
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { extractS3Info } from "./lib/s3Event.js";
+import { transitionVideo, VIDEO_STATES } from "./lib/videoLifecycle.js";
+
+const dynamodb = new DynamoDBClient();
+
+const JOBS_TABLE = process.env.JOBS_TABLE || "transcription-jobs-dev";
+const WEBHOOK_URL = process.env.WEBHOOK_URL || "";
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || "";
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || "10000", 10);
+
+/**
+ * Thrown when a webhook could not be delivered
+ * Step Functions retries WebhookDeliveryFailed with backoff; WebhookRejected (a 4xx other than
+ * 408/429) would fail the same way again and is not retried
+ */
+class WebhookDeliveryError extends Error {
+  constructor(message, retryable) {
+    super(message);
+    this.name = retryable ? "WebhookDeliveryFailed" : "WebhookRejected";
+  }
+}
+
+/**
+ * Sign a payload: hex HMAC-SHA256 of "<timestamp>.<body>"
+ * Including the timestamp lets receivers reject replayed deliveries
+ */
+function signPayload(body, timestamp) {
+  return createHmac("sha256", WEBHOOK_SECRET).update(`${timestamp}.${body}`).digest("hex");
+}
+
+/**
+ * Original upload key, from whichever step of the workflow got furthest
+ */
+function findOriginalKey(state) {
+  if (state.sizeCheck?.originalKey) return state.sizeCheck.originalKey;
+  if (state.audio?.originalKey) return state.audio.originalKey;
+  try {
+    return extractS3Info(state).originalKey;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Output locations and manifest of a successful run
+ * Results sit in a different place for merged, single-chunk and unsplit videos
+ */
+function collectOutputs(state) {
+  const result = state.mergeResult
+    || state.storeResult
+    || (state.chunkResults?.length === 1 ? state.chunkResults[0].storeResult : null);
+  if (!result) return { locations: [], manifest: null, missingChunks: [] };
+
+  const locations = result.locations
+    || (result.results || []).flatMap((languageResult) => languageResult.locations || []);
+  return { locations, manifest: result.manifest || null, missingChunks: result.missingChunks || [] };
+}
+
+/**
+ * Length of the media in seconds, as probed before routing or, failing that, as split
+ */
+function mediaDuration(state) {
+  if (typeof state.sizeCheck?.duration === "number") return state.sizeCheck.duration;
+  const chunks = state.splitResult?.chunks;
+  if (!chunks?.length) return null;
+  const last = chunks[chunks.length - 1];
+  return typeof last.startTime === "number" && typeof last.duration === "number"
+    ? last.startTime + last.duration
+    : null;
+}
+
+/**
+ * Error details of a failed run
+ * Lambda errors arrive with the original error as a JSON string in Cause
+ */
+function describeError(error) {
+  if (!error) return null;
+
+  let cause = error.Cause || null;
+  try {
+    const parsed = JSON.parse(cause);
+    cause = parsed.errorMessage || cause;
+  } catch (parseError) {
+    // Cause is plain text
+  }
+
+  return { type: error.Error || "Unknown", message: cause };
+}
+
+/**
+ * Build the JSON payload sent to the webhook
+ */
+function buildPayload(status, execution, state) {
+  const startedAt = execution?.StartTime ? new Date(execution.StartTime) : null;
+  const outputs = status === "SUCCEEDED" ? collectOutputs(state) : { locations: [], manifest: null, missingChunks: [] };
+
+  return {
+    event: status === "SUCCEEDED" ? "transcription.succeeded" : "transcription.failed",
+    status,
+    originalKey: findOriginalKey(state),
+    executionId: execution?.Id || null,
+    startedAt: startedAt ? startedAt.toISOString() : null,
+    finishedAt: new Date().toISOString(),
+    processingSeconds: startedAt ? Math.round((Date.now() - startedAt.getTime()) / 1000) : null,
+    mediaDurationSeconds: mediaDuration(state),
+    totalChunks: state.splitResult?.totalChunks || (state.sizeCheck ? 1 : null),
+    languages: (state.sizeCheck?.config?.languages || []).map((language) => language.languageCode),
+    outputs: outputs.locations,
+    manifest: outputs.manifest,
+    // A partial merge succeeds without the chunks that could not be transcribed
+    incomplete: outputs.missingChunks.length > 0,
+    missingChunks: outputs.missingChunks,
+    error: status === "SUCCEEDED" ? null : describeError(state.error),
+  };
+}
+
+/**
+ * POST the payload, throwing WebhookDeliveryError when the receiver does not accept it
+ */
+async function deliver(url, body, deliveryId) {
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const headers = {
+    "Content-Type": "application/json",
+    "User-Agent": "transcription-workflow-webhook",
+    "X-Webhook-Id": deliveryId,
+    "X-Webhook-Timestamp": timestamp,
+  };
+  if (WEBHOOK_SECRET) {
+    headers["X-Webhook-Signature"] = `sha256=${signPayload(body, timestamp)}`;
+  }
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method: "POST",
+      headers,
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+  } catch (error) {
+    throw new WebhookDeliveryError(`Webhook request to ${url} failed: ${error.message}`, true);
+  }
+
+  if (!response.ok) {
+    const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+    throw new WebhookDeliveryError(`Webhook ${url} responded with HTTP ${response.status}`, retryable);
+  }
+
+  return response.status;
+}
+
+/**
+ * Close the lifecycle of the upload's parent record with the outcome of the run
+ * The workflow's last step normally got there already; this covers the paths that did not
+ */
+async function finishVideo(payload) {
+  if (!payload.originalKey) return;
+  if (payload.status === "SUCCEEDED") {
+    await transitionVideo(dynamodb, JOBS_TABLE, payload.originalKey, VIDEO_STATES.DONE);
+  } else {
+    await transitionVideo(dynamodb, JOBS_TABLE, payload.originalKey, VIDEO_STATES.FAILED, {
+      error: payload.error?.message || "Workflow failed",
+    });
+  }
+}
+
+/**
+ * Notify the configured webhook that a workflow run finished
+ *
+ * Invoked by Step Functions before SuccessState and FailureState with
+ * { status, execution: $$.Execution, state: $ }. The URL is the upload's callbackUrl or
+ * WEBHOOK_URL; runs without either are skipped.
+ */
+export const handler = async (event) => {
+  console.log("notifyWebhook event:", JSON.stringify(event, null, 2));
+
+  try {
+    const { status = "SUCCEEDED", execution = null, state = {} } = event;
+    const url = state.sizeCheck?.config?.callbackUrl || WEBHOOK_URL;
+    const payload = buildPayload(status, execution, state);
+    await finishVideo(payload);
+
+    if (!url) {
+      console.log("No webhook configured - skipping notification");
+      return { message: "No webhook configured", delivered: false };
+    }
+
+    const body = JSON.stringify(payload);
+    // Stable across Step Functions retries so receivers can drop duplicate deliveries
+    const deliveryId = execution?.Id ? `${execution.Id}:${status}` : randomUUID();
+
+    console.log(`Sending ${payload.event} for ${payload.originalKey} to ${url}`);
+    const statusCode = await deliver(url, body, deliveryId);
+    console.log(`Webhook accepted with HTTP ${statusCode}`);
+
+    // Return object directly for Step Functions compatibility
+    return {
+      message: "Webhook delivered",
+      delivered: true,
+      url,
+      statusCode,
+      deliveryId,
+      event: payload.event,
+    };
+  } catch (error) {
+    console.error("Error in notifyWebhook:", error);
+    throw error;
+  }
+};
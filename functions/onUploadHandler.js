@@ -1,41 +1,282 @@
-import { S3Client, HeadObjectCommand } from "@aws-sdk/client-s3";
+import { S3Client, HeadObjectCommand, GetObjectCommand } from "@aws-sdk/client-s3";
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { SFNClient, DescribeExecutionCommand } from "@aws-sdk/client-sfn";
+import { createHash } from "crypto";
+import { resolveJobConfig, InvalidJobConfigError } from "./lib/jobConfig.js";
+import { extractS3Info } from "./lib/s3Event.js";
+import { MediaToolError } from "./lib/ffmpeg.js";
+import { claimVideoRecord, transitionVideo, VIDEO_STATES } from "./lib/videoLifecycle.js";
+import {
+  MEDIA_FORMATS,
+  UnsupportedMediaFormatError,
+  formatFromKey,
+  formatFromMagicBytes,
+  formatFromProbeName,
+} from "./lib/mediaFormats.js";
 
 const s3 = new S3Client();
+const dynamodb = new DynamoDBClient();
+const sfn = new SFNClient();
 
+// Sources longer than this are split so their chunks are transcribed in parallel
+const MAX_DIRECT_DURATION_SECONDS = parseFloat(process.env.MAX_DIRECT_DURATION_SECONDS || "1800");
+const SEGMENT_TIME_SECONDS = parseFloat(process.env.SEGMENT_TIME_SECONDS || "300");
+// Only used to route media whose duration is unknown (no ffmpeg layer, or the probe failed)
 const MAX_FILE_SIZE_MB = parseFloat(process.env.MAX_FILE_SIZE_MB || "100");
+// Limits of a single Transcribe batch job
+const TRANSCRIBE_MAX_DURATION_SECONDS = 4 * 3600;
+const TRANSCRIBE_MAX_FILE_SIZE_MB = 2048;
+const JOBS_TABLE = process.env.JOBS_TABLE || "transcription-jobs-dev";
+// An unfinished run that has not updated its record for this long is presumed dead
+const STALE_RUN_HOURS = parseFloat(process.env.STALE_RUN_HOURS || "24");
+const HEADER_BYTES = 4096;
 
 /**
- * Extract S3 bucket and key from Lambda event
- * Supports both S3 event format and Step Functions input format
+ * Read the first bytes of an object for signature detection
  */
-function extractS3Info(event) {
-  // Step Functions may pass the event directly with Records
-  if (event.Records?.[0]) {
-    const record = event.Records[0];
-    return {
-      bucket: record.s3.bucket.name,
-      key: decodeURIComponent(record.s3.object.key.replace(/\+/g, " ")),
-    };
+async function readHeader(bucket, key) {
+  const response = await s3.send(new GetObjectCommand({
+    Bucket: bucket,
+    Key: key,
+    Range: `bytes=0-${HEADER_BYTES - 1}`,
+  }));
+  return Buffer.from(await response.Body.transformToByteArray());
+}
+
+/**
+ * Result of the ProbeMedia step, or null when there is none to go by
+ * A probe that failed arrives as the Step Functions error (Error and Cause)
+ */
+function readProbe(event, key) {
+  const probe = event.probe;
+  if (probe?.Error) {
+    console.warn(`Probing ${key} failed (${probe.Error}) - routing on its size`);
+    return null;
   }
-  
-  // Or it may be passed as direct properties
-  if (event.bucket && event.key) {
+  return probe?.available ? probe : null;
+}
+
+/**
+ * Decide between transcribing directly and splitting, and into how many chunks
+ * Based on the duration and Transcribe's limits when the probe measured it, otherwise on the
+ * size as before
+ */
+function planRouting(duration, fileSizeMB, segmentTime) {
+  if (!duration) {
     return {
-      bucket: event.bucket,
-      key: event.key,
+      action: fileSizeMB > MAX_FILE_SIZE_MB ? "split" : "transcribe",
+      routedBy: "size",
+      plannedChunks: null,
     };
   }
 
-  throw new Error("No S3 record found in event");
+  const plannedChunks = Math.ceil(duration / segmentTime);
+  const overLimit = duration > TRANSCRIBE_MAX_DURATION_SECONDS || fileSizeMB > TRANSCRIBE_MAX_FILE_SIZE_MB;
+  if (overLimit && plannedChunks < 2) {
+    console.warn(`${fileSizeMB.toFixed(0)} MB exceeds what Transcribe accepts in one job even though it lasts only ${duration}s`);
+  }
+  const split = overLimit || (duration > MAX_DIRECT_DURATION_SECONDS && plannedChunks > 1);
+
+  return {
+    action: split ? "split" : "transcribe",
+    routedBy: "duration",
+    plannedChunks: split ? plannedChunks : 1,
+  };
+}
+
+/**
+ * Attributes of the parent record describing the probed media
+ */
+function mediaAttributes(probe) {
+  if (!probe) return {};
+  return {
+    durationSeconds: probe.duration,
+    container: probe.container,
+    audioCodec: probe.audio?.codec,
+    sampleRate: probe.audio?.sampleRate,
+    channels: probe.audio?.channels,
+    loudnessLufs: probe.loudness?.integratedLufs,
+    loudnessRangeLu: probe.loudness?.loudnessRangeLu,
+    truePeakDbfs: probe.loudness?.truePeakDbfs,
+  };
+}
+
+/**
+ * Detect the container of an upload
+ * The file signature wins over the extension; ffprobe's container name is used when the
+ * signature is not recognised, and the extension is only trusted on its own as a last resort
+ */
+async function detectMediaFormat(bucket, key, probe) {
+  const fromKey = formatFromKey(key);
+  const fromContent = formatFromMagicBytes(await readHeader(bucket, key), key)
+    || (probe?.formatName ? formatFromProbeName(probe.formatName, key) : null);
+
+  if (fromContent && fromKey && fromContent !== fromKey) {
+    console.warn(`${key} has a .${fromKey} extension but contains ${fromContent} - using ${fromContent}`);
+  }
+  if (!fromContent && fromKey) {
+    console.warn(`Could not confirm the contents of ${key} - trusting its .${fromKey} extension`);
+  }
+
+  return fromContent || fromKey;
+}
+
+/**
+ * Identify the content of an upload: the same bytes at the same key and version get the same key
+ */
+function buildIdempotencyKey(bucket, key, { ETag, VersionId }) {
+  return createHash("sha256")
+    .update([bucket, key, ETag || "", VersionId || ""].join("\n"))
+    .digest("hex");
+}
+
+/**
+ * Short id of this run, used to name its Transcribe jobs
+ * Derived from the execution, so a retried step reuses the jobs it already started
+ */
+function buildRunId(executionId) {
+  return createHash("sha256")
+    .update(executionId || `${Date.now()}:${Math.random()}`)
+    .digest("hex")
+    .substring(0, 12);
+}
+
+/**
+ * Result for an upload whose content another run already processed or is processing
+ * A finished run is skipped; an unfinished one is attached to, so this execution ends the way
+ * that run does. Either way the other run does the work and sends the webhook.
+ */
+function duplicateResult({ bucket, originalKey, idempotencyKey }, existing) {
+  const state = existing.status?.S || null;
+  const executionId = existing.executionId?.S || null;
+  const completed = state === VIDEO_STATES.DONE;
+  // Records claimed before executions were recorded cannot be followed
+  const action = completed || !executionId ? "skip" : "attach";
+  console.log(`${originalKey} was already ${completed ? "processed" : "picked up"} by ${executionId || "another run"} (${state}) - ${action === "attach" ? "attaching to it" : "skipping"}`);
+
+  return {
+    message: completed ? "Upload already processed" : "Upload already being processed",
+    bucket,
+    originalKey,
+    action,
+    idempotencyKey,
+    duplicateOf: {
+      executionId,
+      state,
+      outputPrefix: existing.outputPrefix?.S || null,
+      receivedAt: existing.receivedAt?.S || existing.createdAt?.S || null,
+    },
+  };
+}
+
+/**
+ * Report on the execution an in-flight duplicate attached to
+ *
+ * Invoked by AttachToRun with the duplicateOf of the claim until running is false. The
+ * workflow then succeeds when that execution did, and fails otherwise.
+ */
+async function attachToRun({ duplicateOf }) {
+  const { executionId } = duplicateOf || {};
+  if (!executionId) {
+    throw new Error("Missing duplicateOf.executionId - nothing to attach to");
+  }
+
+  const execution = await sfn.send(new DescribeExecutionCommand({ executionArn: executionId }));
+  // A failed execution that is being redriven has not finished yet
+  const running = execution.status === "RUNNING" || execution.redriveStatus === "PENDING_REDRIVE";
+  console.log(`Attached run ${executionId} is ${running ? "still running" : execution.status}`);
+
+  // Return object directly for Step Functions compatibility
+  return {
+    executionId,
+    status: execution.status,
+    running,
+    stopDate: execution.stopDate?.toISOString() || null,
+    error: execution.error || null,
+    cause: execution.cause || null,
+  };
+}
+
+/**
+ * Move the record of a rejected upload to FAILED with the reason
+ * Only the record ClaimUpload claimed for this run is updated; duplicates of a finished or
+ * running upload were skipped or attached before they got here and cannot overwrite its record
+ */
+async function rejectUpload(originalKey, rejection, message) {
+  console.error(message);
+  await transitionVideo(dynamodb, JOBS_TABLE, originalKey, VIDEO_STATES.FAILED, {
+    set: { rejection },
+    error: message,
+  });
+}
+
+/**
+ * Claim the parent record of an upload before any media work is done
+ *
+ * Invoked by ClaimUpload at the start of the workflow with the execution input as upload.
+ * Only one run processes the same content: duplicates get action "skip" or "attach" and do no
+ * media work, unless the execution input sets force to reprocess the upload.
+ */
+async function claimUpload({ upload, executionId = null }) {
+  const { bucket, originalKey } = extractS3Info(upload);
+  const force = Boolean(upload.force);
+
+  // The identity of the content lives on the original upload
+  const head = await s3.send(new HeadObjectCommand({ Bucket: bucket, Key: originalKey }));
+  const idempotencyKey = buildIdempotencyKey(bucket, originalKey, head);
+  const runId = buildRunId(executionId);
+
+  const claim = await claimVideoRecord(dynamodb, JOBS_TABLE, {
+    originalKey,
+    bucket,
+    idempotencyKey,
+    executionId,
+    staleBefore: new Date(Date.now() - STALE_RUN_HOURS * 3600 * 1000).toISOString(),
+    force,
+    set: {
+      runId,
+      inputEtag: head.ETag || null,
+      inputVersionId: head.VersionId || null,
+      forced: force || null,
+    },
+  });
+  if (!claim.claimed) {
+    return duplicateResult({ bucket, originalKey, idempotencyKey }, claim.existing);
+  }
+  console.log(force ? `Reprocessing ${originalKey} (forced)` : `Claimed ${originalKey} for ${executionId || "this run"}`);
+
+  // Return object directly for Step Functions compatibility
+  return {
+    message: "Upload claimed",
+    bucket,
+    originalKey,
+    action: "process",
+    idempotencyKey,
+    runId,
+  };
 }
 
 export const handler = async (event) => {
   console.log("onUploadHandler event:", JSON.stringify(event, null, 2));
 
   try {
-    const { bucket, key } = extractS3Info(event);
+    if (event.phase === "claim") {
+      return await claimUpload(event);
+    }
+    if (event.phase === "attach") {
+      return await attachToRun(event);
+    }
+
+    const { bucket, key, originalKey } = extractS3Info(event);
+    // ClaimUpload claimed the parent record before the audio was extracted
+    const { claim } = event;
+    if (!claim?.idempotencyKey) {
+      throw new Error(`Missing claim for ${originalKey} - ClaimUpload must run first`);
+    }
+    const { idempotencyKey, runId } = claim;
 
-    // Check file size
+    // Check file size - when audio was extracted, key is the audio track and the
+    // split/transcribe decision is based on its size rather than the original video
     const headCommand = new HeadObjectCommand({
       Bucket: bucket,
       Key: key,
@@ -46,6 +287,78 @@ export const handler = async (event) => {
 
     console.log(`File ${key} is ${fileSizeMB.toFixed(2)} MB`);
 
+    // ProbeMedia described the media the rest of the workflow will work on: silent or corrupt
+    // media is rejected here, before any Transcribe job is started
+    const probe = readProbe(event, key);
+    const mediaError = event.probe?.mediaError
+      ? new MediaToolError(event.probe.mediaError.type, event.probe.mediaError.message)
+      : null;
+
+    // Detect the container of the media the rest of the workflow will work on
+    const mediaFormat = await detectMediaFormat(bucket, key, probe);
+    let rejection = null;
+    if (!mediaFormat) {
+      rejection = `Unsupported media format for ${originalKey}. Supported formats: ${Object.keys(MEDIA_FORMATS).join(", ")}`;
+    } else if (!MEDIA_FORMATS[mediaFormat].transcribeFormat) {
+      rejection = `${mediaFormat} files cannot be transcribed directly - enable audio extraction to process ${originalKey}`;
+    }
+    if (rejection) {
+      await rejectUpload(originalKey, "UNSUPPORTED_FORMAT", rejection);
+      throw new UnsupportedMediaFormatError(rejection);
+    }
+    if (mediaError) {
+      await rejectUpload(originalKey, mediaError.rejection, mediaError.message);
+      throw mediaError;
+    }
+    console.log(`Detected ${mediaFormat} media`);
+
+    // Per-upload settings live on the original upload, not on the extracted audio
+    const originalHead = originalKey === key
+      ? headResponse
+      : await s3.send(new HeadObjectCommand({ Bucket: bucket, Key: originalKey }));
+
+    // Resolve and validate the per-upload settings from the sidecar, tags or metadata
+    let config;
+    try {
+      config = await resolveJobConfig(s3, bucket, originalKey, originalHead.Metadata);
+    } catch (error) {
+      if (error instanceof InvalidJobConfigError) {
+        await rejectUpload(originalKey, "INVALID_CONFIG", error.message);
+      }
+      throw error;
+    }
+    console.log(`Languages: ${config.languages.map((l) => l.languageCode).join(", ")}, formats: ${config.formats.join(", ")}, output prefix: ${config.outputPrefix}`);
+    if (config.diarization) {
+      console.log(`Speaker diarization enabled for up to ${config.diarization.maxSpeakers} speakers`);
+    }
+
+    const { action, routedBy, plannedChunks } = planRouting(
+      probe?.duration,
+      fileSizeMB,
+      config.segmentLengthSeconds || SEGMENT_TIME_SECONDS
+    );
+    console.log(routedBy === "duration"
+      ? `${originalKey} lasts ${probe.duration}s - ${action === "split" ? `splitting into about ${plannedChunks} chunks` : "transcribing directly"}`
+      : `Duration of ${originalKey} unknown - ${action === "split" ? "splitting" : "transcribing directly"} based on its size`);
+
+    // Record what was accepted on the claimed record
+    await transitionVideo(dynamodb, JOBS_TABLE, originalKey, VIDEO_STATES.RECEIVED, {
+      set: {
+        inputKey: key,
+        mediaFormat,
+        fileSizeMB: parseFloat(fileSizeMB.toFixed(2)),
+        action,
+        routedBy,
+        plannedChunks,
+        ...mediaAttributes(probe),
+        outputPrefix: config.outputPrefix,
+        languages: [...new Set(config.languages.map((l) => l.languageCode))],
+        totalChunks: action === "split" ? null : 1,
+        // Kept so that resumeVideo.js can pick a failed run up with the same settings
+        config: JSON.stringify(config),
+      },
+    });
+
     // Return the result for Step Functions to use
     // Step Functions will use this to decide the next step
     // Return object directly for Step Functions compatibility
@@ -53,9 +366,19 @@ export const handler = async (event) => {
       message: "File size checked",
       bucket,
       key,
-      originalKey: key,
+      originalKey,
       fileSizeMB: parseFloat(fileSizeMB.toFixed(2)),
-      action: fileSizeMB > MAX_FILE_SIZE_MB ? "split" : "transcribe",
+      duration: probe?.duration ?? null,
+      // splitVideo.js works from the probe instead of probing the same media again
+      probe,
+      action,
+      routedBy,
+      plannedChunks,
+      audioExtracted: originalKey !== key,
+      mediaFormat,
+      idempotencyKey,
+      runId,
+      config,
     };
     
     // Return directly for Step Functions, or wrap for API Gateway
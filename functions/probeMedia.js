@@ -0,0 +1,120 @@
+import { S3Client, GetObjectCommand } from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import { extractS3Info } from "./lib/s3Event.js";
+import {
+  probeMedia,
+  assertAudioStream,
+  measureLoudness,
+  isMediaRejection,
+  MEDIA_ERRORS,
+} from "./lib/ffmpeg.js";
+
+const s3 = new S3Client();
+
+const MEASURE_LOUDNESS = (process.env.MEASURE_LOUDNESS || "true") === "true";
+// Loudness decodes all of the audio; a measurement that takes longer is given up, not the run
+const LOUDNESS_TIMEOUT_SECONDS = parseFloat(process.env.LOUDNESS_TIMEOUT_SECONDS || "300");
+
+/**
+ * Presigned URL ffprobe and ffmpeg read an object through
+ */
+async function objectUrl(bucket, key) {
+  return getSignedUrl(s3, new GetObjectCommand({ Bucket: bucket, Key: key }), {
+    expiresIn: 3600,
+  });
+}
+
+/**
+ * Result for media ffprobe refused; onUploadHandler.js records the rejection and fails the run
+ */
+function rejectedResult(error) {
+  console.error(error.message);
+  return {
+    available: true,
+    mediaError: { type: error.name, message: error.message },
+  };
+}
+
+/**
+ * Codec, sample rate and channel count of the first audio stream
+ */
+function describeAudio(probe) {
+  const stream = probe.audioStreams[0];
+  return stream
+    ? { codec: stream.codec, sampleRate: stream.sampleRate, channels: stream.channels }
+    : null;
+}
+
+/**
+ * Loudness of the media, or null when it could not be measured
+ */
+async function loudnessOf(url, key, duration) {
+  if (!MEASURE_LOUDNESS) return null;
+  try {
+    const loudness = await measureLoudness(url, { duration, timeoutMs: LOUDNESS_TIMEOUT_SECONDS * 1000 });
+    console.log(`${key}: ${loudness.integratedLufs ?? "-inf"} LUFS, range ${loudness.loudnessRangeLu} LU, true peak ${loudness.truePeakDbfs ?? "-inf"} dBFS`);
+    return loudness;
+  } catch (error) {
+    console.warn(`Could not measure the loudness of ${key}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Describe the media of an upload before it is routed
+ *
+ * Invoked by ProbeMedia with the ExtractAudio result. key is the media that is transcribed (the
+ * extracted audio or the upload itself): its duration drives routing, and its loudness is what
+ * Transcribe hears. The container and audio stream are those of the original upload. Media that
+ * cannot be transcribed is returned as mediaError rather than thrown, so onUploadHandler.js can
+ * tell it apart from an unsupported format and record the rejection; available is false when
+ * the ffmpeg layer is missing.
+ */
+export const handler = async (event) => {
+  console.log("probeMedia event:", JSON.stringify(event, null, 2));
+
+  const { bucket, key, originalKey } = extractS3Info(event);
+
+  try {
+    let media;
+    try {
+      media = await probeMedia(await objectUrl(bucket, key));
+      assertAudioStream(media, originalKey);
+    } catch (error) {
+      if (isMediaRejection(error)) return rejectedResult(error);
+      if (error.name === MEDIA_ERRORS.TOOL_NOT_FOUND) {
+        console.warn(`${error.message} - ${originalKey} will be routed on its size`);
+        return { available: false, mediaError: null };
+      }
+      throw error;
+    }
+
+    // The extracted audio is always mono 16 kHz, so describe what was uploaded
+    let original = media;
+    if (originalKey !== key) {
+      try {
+        original = await probeMedia(await objectUrl(bucket, originalKey));
+      } catch (error) {
+        console.warn(`Could not probe ${originalKey} - describing ${key} instead:`, error.message);
+      }
+    }
+
+    const duration = media.duration ?? original.duration;
+    const audio = describeAudio(original) || describeAudio(media);
+    console.log(`${originalKey}: ${original.formatName}, ${duration ?? "unknown"}s, audio ${audio.codec} ${audio.sampleRate} Hz x${audio.channels}`);
+
+    // Return object directly for Step Functions compatibility
+    return {
+      available: true,
+      formatName: media.formatName,
+      duration,
+      container: original.formatName,
+      audio,
+      loudness: await loudnessOf(await objectUrl(bucket, key), key, duration),
+      mediaError: null,
+    };
+  } catch (error) {
+    console.error("Error in probeMedia:", error);
+    throw error;
+  }
+};
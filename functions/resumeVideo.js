@@ -0,0 +1,238 @@
+import { S3Client, GetObjectCommand, HeadObjectCommand } from "@aws-sdk/client-s3";
+import { DynamoDBClient, GetItemCommand } from "@aws-sdk/client-dynamodb";
+import { SFNClient, StartExecutionCommand } from "@aws-sdk/client-sfn";
+import { randomUUID } from "crypto";
+import { videoRecordId } from "./lib/jobsTable.js";
+import { transitionVideo, VIDEO_STATES } from "./lib/videoLifecycle.js";
+
+const s3 = new S3Client();
+const dynamodb = new DynamoDBClient();
+const sfn = new SFNClient();
+
+const OUTPUT_BUCKET = process.env.OUTPUT_BUCKET;
+const JOBS_TABLE = process.env.JOBS_TABLE || "transcription-jobs-dev";
+const STATE_MACHINE_ARN = process.env.STATE_MACHINE_ARN;
+
+/**
+ * Read a JSON object from S3, or null when it does not exist
+ */
+async function readJson(bucket, key) {
+  try {
+    const response = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+    return JSON.parse(await response.Body.transformToString("utf-8"));
+  } catch (error) {
+    if (error.name === "NoSuchKey" || error.$metadata?.httpStatusCode === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Check whether an object exists
+ */
+async function objectExists(bucket, key) {
+  try {
+    await s3.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+    return true;
+  } catch (error) {
+    if (error.name === "NotFound" || error.$metadata?.httpStatusCode === 404) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Whether a chunk's subtitles were stored by the current run of the upload
+ * The chunk manifest is written once every language of the chunk is stored; it must list each
+ * requested language (or as many identified ones) in every requested format, and be newer than
+ * the upload so that chunks of an earlier upload of the same key do not count
+ */
+async function isChunkStored(outputPrefix, chunkIndex, config, since) {
+  const manifest = await readJson(OUTPUT_BUCKET, `${outputPrefix}/chunk_${String(chunkIndex).padStart(3, "0")}/manifest.json`);
+  if (!manifest || (manifest.updatedAt || "") < since) return false;
+
+  const stored = (manifest.languages || []).filter((entry) =>
+    config.formats.every((format) => entry.files?.[format])
+  );
+  const named = config.languages.filter((language) => !language.identifyLanguage);
+  return stored.length >= config.languages.length
+    && named.every(({ language }) => stored.some((entry) => entry.language === language));
+}
+
+/**
+ * Start a new execution of the workflow
+ */
+async function startExecution(name, input) {
+  const response = await sfn.send(new StartExecutionCommand({
+    stateMachineArn: STATE_MACHINE_ARN,
+    name,
+    input: JSON.stringify(input),
+  }));
+  return response.executionArn;
+}
+
+/**
+ * Run the whole workflow again, for uploads that cannot be resumed chunk by chunk
+ */
+async function restart(video, reason, dryRun) {
+  const originalKey = video.originalKey.S;
+  console.log(`Restarting ${originalKey} from the beginning: ${reason}`);
+  if (dryRun) {
+    return { message: `Would restart ${originalKey}: ${reason}`, mode: "restart", dryRun };
+  }
+
+  const executionArn = await startExecution(`restart-${randomUUID()}`, {
+    bucket: video.inputBucket.S,
+    key: originalKey,
+    force: true,
+  });
+  return { message: `Restarted ${originalKey}: ${reason}`, mode: "restart", executionArn };
+}
+
+/**
+ * Admin handler: pick a failed video up from its last good step
+ *
+ * Invoke with { originalKey, force?, dryRun? }. For a split video, chunks whose subtitles are
+ * already stored are kept; the others are retranscribed by a new execution that then merges
+ * every chunk and notifies as usual. Uploads without a recorded chunk list, unsplit uploads and
+ * chunks whose media is gone are restarted from the beginning instead. Only FAILED videos and
+ * videos a partial merge left incomplete are resumed unless force is set.
+ */
+export const handler = async (event = {}) => {
+  console.log("resumeVideo event:", JSON.stringify(event, null, 2));
+
+  try {
+    const { originalKey, force = false, dryRun = false } = event;
+    if (!originalKey) {
+      throw new Error("Missing required field: originalKey");
+    }
+    if (!STATE_MACHINE_ARN) {
+      throw new Error("Missing environment variable: STATE_MACHINE_ARN");
+    }
+
+    const { Item: video } = await dynamodb.send(new GetItemCommand({
+      TableName: JOBS_TABLE,
+      Key: { jobId: { S: videoRecordId(originalKey) } },
+    }));
+    if (!video) {
+      throw new Error(`No video record found for ${originalKey}`);
+    }
+
+    const state = video.status?.S;
+    const incomplete = state === VIDEO_STATES.DONE && video.incomplete?.BOOL;
+    if (state !== VIDEO_STATES.FAILED && !incomplete && !force) {
+      return {
+        message: `${originalKey} is ${state} - only FAILED or incomplete videos are resumed, pass force to override`,
+        mode: "none",
+        state,
+      };
+    }
+    if (video.rejection) {
+      return {
+        message: `${originalKey} was rejected (${video.rejection.S}) - fix the upload and upload it again`,
+        mode: "none",
+        state,
+      };
+    }
+
+    const chunks = video.chunks ? JSON.parse(video.chunks.S) : null;
+    if (!video.config || !chunks || chunks.length <= 1) {
+      return await restart(video, "no chunks to resume", dryRun);
+    }
+
+    // Chunks are checked one by one; a long video has at most a few dozen
+    const config = JSON.parse(video.config.S);
+    const since = video.receivedAt?.S || video.createdAt.S;
+    const pending = [];
+    for (const chunk of chunks) {
+      if (!(await isChunkStored(config.outputPrefix, chunk.chunkIndex, config, since))) {
+        pending.push(chunk);
+      }
+    }
+
+    const bucket = video.inputBucket.S;
+    for (const chunk of pending) {
+      if (!(await objectExists(bucket, chunk.key))) {
+        return await restart(video, `media of chunk ${chunk.chunkIndex} is gone`, dryRun);
+      }
+    }
+
+    console.log(`${originalKey}: ${chunks.length - pending.length} of ${chunks.length} chunks stored, retranscribing ${pending.map((chunk) => chunk.chunkIndex).join(", ") || "none"}`);
+    if (dryRun) {
+      return {
+        message: `Would resume ${originalKey}`,
+        mode: "resume",
+        dryRun,
+        totalChunks: chunks.length,
+        pendingChunks: pending.map((chunk) => chunk.chunkIndex),
+      };
+    }
+
+    // A new run id gives the retranscribed chunks new Transcribe job names
+    const runId = randomUUID().replace(/-/g, "").substring(0, 12);
+    const toItem = (chunk) => ({
+      bucket,
+      originalKey,
+      totalChunks: chunks.length,
+      ...chunk,
+      runId,
+      config,
+    });
+
+    // With every chunk stored only the merge is left
+    const resumeState = pending.length > 0 ? VIDEO_STATES.TRANSCRIBING : VIDEO_STATES.STORING;
+    if (!(await transitionVideo(dynamodb, JOBS_TABLE, originalKey, resumeState, {
+      set: { runId, resumedAt: new Date().toISOString() },
+    }))) {
+      throw new Error(`${originalKey} could not be moved from ${state} to ${resumeState}`);
+    }
+
+    // Enters the workflow at ResumeChunks, with the state the earlier steps would have produced
+    let executionArn;
+    try {
+      executionArn = await startExecution(`resume-${runId}`, {
+        resume: { chunks: pending.map(toItem) },
+        sizeCheck: {
+          bucket,
+          key: video.inputKey?.S || originalKey,
+          originalKey,
+          action: "split",
+          mediaFormat: video.mediaFormat?.S || null,
+          runId,
+          config,
+        },
+        splitResult: {
+          chunks: chunks.map(toItem),
+          originalKey,
+          baseFileName: originalKey,
+          totalChunks: chunks.length,
+          runId,
+          config,
+        },
+      });
+    } catch (error) {
+      await transitionVideo(dynamodb, JOBS_TABLE, originalKey, VIDEO_STATES.FAILED, {
+        error: `Resume could not start: ${error.message}`,
+      });
+      throw error;
+    }
+
+    await transitionVideo(dynamodb, JOBS_TABLE, originalKey, resumeState, {
+      set: { executionId: executionArn },
+    });
+
+    // Return object directly for Step Functions compatibility
+    return {
+      message: `Resumed ${originalKey}`,
+      mode: "resume",
+      executionArn,
+      totalChunks: chunks.length,
+      pendingChunks: pending.map((chunk) => chunk.chunkIndex),
+    };
+  } catch (error) {
+    console.error("Error in resumeVideo:", error);
+    throw error;
+  }
+};
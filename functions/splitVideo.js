@@ -1,16 +1,46 @@
-import { S3Client, GetObjectCommand, PutObjectCommand } from "@aws-sdk/client-s3";
-import { exec } from "child_process";
-import { promisify } from "util";
-import { createWriteStream, unlinkSync, readdirSync, mkdirSync, rmSync, existsSync, readFileSync, accessSync, constants } from "fs";
+import { S3Client, GetObjectCommand, HeadObjectCommand } from "@aws-sdk/client-s3";
+import { Upload } from "@aws-sdk/lib-storage";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { createReadStream, createWriteStream, unlinkSync, existsSync } from "fs";
 import { join } from "path";
 import { pipeline } from "stream/promises";
+import { runFFmpeg, probeMedia, assertAudioStream, isMediaRejection } from "./lib/ffmpeg.js";
+import { MEDIA_FORMATS, formatFromKey, stripExtension } from "./lib/mediaFormats.js";
+import { configFromEvent } from "./lib/jobConfig.js";
+import { transitionVideo, recordVideoError, VIDEO_STATES } from "./lib/videoLifecycle.js";
 
-const execAsync = promisify(exec);
 const s3 = new S3Client();
+const dynamodb = new DynamoDBClient();
 
 const INPUT_BUCKET = process.env.INPUT_BUCKET;
+const JOBS_TABLE = process.env.JOBS_TABLE || "transcription-jobs-dev";
 const TMP_DIR = "/tmp";
 const MAX_CHUNK_SIZE_MB = 100;
+// Seconds each chunk extends into the next one so words crossing a cut are transcribed whole
+const CHUNK_OVERLAP_SECONDS = parseFloat(process.env.CHUNK_OVERLAP_SECONDS || "3");
+// Target chunk length; "silence" cuts at the pause closest to each target, "fixed" cuts every SEGMENT_TIME_SECONDS
+const SEGMENT_TIME_SECONDS = parseFloat(process.env.SEGMENT_TIME_SECONDS || "300");
+const SPLIT_STRATEGY = process.env.SPLIT_STRATEGY || "silence";
+// How far (in seconds) a cut may move away from the target to land on a pause
+const SILENCE_SEARCH_WINDOW_SECONDS = parseFloat(process.env.SILENCE_SEARCH_WINDOW_SECONDS || "30");
+const SILENCE_NOISE_DB = process.env.SILENCE_NOISE_DB || "-35dB";
+const SILENCE_MIN_DURATION_SECONDS = parseFloat(process.env.SILENCE_MIN_DURATION_SECONDS || "0.4");
+// Chunks uploaded at the same time, and the multipart part size (S3's minimum is 5 MB).
+// Each upload buffers at most UPLOAD_QUEUE_SIZE parts, so memory stays bounded by
+// CHUNK_UPLOAD_CONCURRENCY x UPLOAD_QUEUE_SIZE x UPLOAD_PART_SIZE_MB whatever the chunk size
+const CHUNK_UPLOAD_CONCURRENCY = Math.max(1, parseInt(process.env.CHUNK_UPLOAD_CONCURRENCY || "3", 10));
+const UPLOAD_PART_SIZE_MB = Math.max(5, parseInt(process.env.UPLOAD_PART_SIZE_MB || "8", 10));
+const UPLOAD_QUEUE_SIZE = 2;
+// "local" downloads the source and splits it in /tmp; "distributed" probes it over a presigned URL
+// and lets one Step Functions Map iteration extract each chunk; "auto" goes distributed for sources
+// over DISTRIBUTED_SPLIT_THRESHOLD_MB, which local splitting would not fit in /tmp twice
+const SPLIT_MODE = process.env.SPLIT_MODE || "auto";
+const DISTRIBUTED_SPLIT_THRESHOLD_MB = parseFloat(process.env.DISTRIBUTED_SPLIT_THRESHOLD_MB || "200");
+// Ephemeral storage of this function; a forced local split of a source that does not fit is distributed
+const TMP_STORAGE_MB = parseFloat(process.env.TMP_STORAGE_MB || "512");
+// Lifetime of the presigned URLs ffmpeg reads the source through
+const SOURCE_URL_EXPIRY_SECONDS = 3600;
 
 /**
  * Download file from S3 to local filesystem
@@ -29,77 +59,132 @@ async function downloadFromS3(bucket, key, localPath) {
 }
 
 /**
- * Upload file to S3
+ * Stream a file to S3, as a multipart upload once it is larger than one part
+ * A failed upload aborts its multipart upload so no parts are left behind
  */
 async function uploadToS3(bucket, key, localPath) {
-  const fileContent = readFileSync(localPath);
-
-  const command = new PutObjectCommand({
-    Bucket: bucket,
-    Key: key,
-    Body: fileContent,
+  const upload = new Upload({
+    client: s3,
+    params: {
+      Bucket: bucket,
+      Key: key,
+      Body: createReadStream(localPath),
+    },
+    partSize: UPLOAD_PART_SIZE_MB * 1024 * 1024,
+    queueSize: UPLOAD_QUEUE_SIZE,
+    leavePartsOnError: false,
   });
 
-  await s3.send(command);
+  await upload.done();
 }
 
 /**
- * Find ffmpeg executable path
- * Lambda Layers typically place binaries in /opt/bin
+ * Run fn over items with at most limit calls in flight, keeping the results in item order
+ * The first error stops new calls from starting and is thrown once the running ones settle
  */
-function findFFmpegPath() {
-  // Common paths where ffmpeg might be located
-  const possiblePaths = [
-    "/opt/bin/ffmpeg",  // Lambda Layer path
-    "/var/task/bin/ffmpeg",  // If bundled in function
-    "/usr/local/bin/ffmpeg",  // System path
-    "ffmpeg"  // In PATH
-  ];
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
 
-  for (const path of possiblePaths) {
-    try {
-      if (path === "ffmpeg") {
-        // Check if it's in PATH - try to access it
-        // We'll return "ffmpeg" and let exec handle PATH lookup
-        return "ffmpeg";
+  const worker = async () => {
+    while (next < items.length && !failed) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
       }
-      if (existsSync(path)) {
-        // Verify we can access it
-        accessSync(path, constants.F_OK);
-        return path;
-      }
-    } catch (error) {
-      // Continue to next path
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  const settled = await Promise.allSettled(workers);
+  const rejected = settled.find((result) => result.status === "rejected");
+  if (rejected) throw rejected.reason;
+  return results;
+}
+
+/**
+ * Parse the stderr of an ffmpeg silencedetect run
+ * Returns the media duration and the silence intervals in seconds
+ */
+function parseSilenceDetect(stderr) {
+  const silences = [];
+  let silenceStart = null;
+
+  for (const line of stderr.split("\n")) {
+    const startMatch = line.match(/silence_start:\s*(-?[\d.]+)/);
+    if (startMatch) {
+      silenceStart = Math.max(0, parseFloat(startMatch[1]));
       continue;
     }
+    const endMatch = line.match(/silence_end:\s*([\d.]+)/);
+    if (endMatch && silenceStart !== null) {
+      silences.push({ start: silenceStart, end: parseFloat(endMatch[1]) });
+      silenceStart = null;
+    }
   }
 
-  // Default to ffmpeg (assumes it's in PATH from layer)
-  return "ffmpeg";
+  const durationMatch = stderr.match(/Duration:\s*(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/);
+  const duration = durationMatch
+    ? Number(durationMatch[1]) * 3600 + Number(durationMatch[2]) * 60 + parseFloat(durationMatch[3])
+    : null;
+
+  return { duration, silences };
 }
 
 /**
- * Split video using ffmpeg
+ * Pick cut points near every multiple of the segment time, preferring the middle of the
+ * silence closest to the target within the search window
  */
-async function splitVideo(inputPath, outputDir) {
-  // Use ffmpeg to split by size (approximately 100MB chunks)
-  // This is a simplified approach - you may want to adjust based on codec
-  const segmentTime = 300; // 5 minutes per segment (adjust based on your video)
-  const ffmpegPath = findFFmpegPath();
-  const command = `${ffmpegPath} -i ${inputPath} -f segment -segment_time ${segmentTime} -reset_timestamps 1 -c copy ${join(outputDir, "chunk_%03d.mp4")}`;
+function chooseSilenceCuts(duration, silences, segmentTime, searchWindow) {
+  const cuts = [];
+  let target = segmentTime;
 
-  console.log(`Executing: ${command}`);
-  console.log(`Using ffmpeg at: ${ffmpegPath}`);
-  await execAsync(command);
+  while (target < duration - searchWindow) {
+    const previousCut = cuts[cuts.length - 1] || 0;
+    const candidates = silences
+      .map((silence) => (silence.start + silence.end) / 2)
+      .filter((midpoint) =>
+        Math.abs(midpoint - target) <= searchWindow && midpoint > previousCut + searchWindow
+      );
 
-  // Get list of created chunks
-  const chunks = readdirSync(outputDir)
-    .filter((file) => file.startsWith("chunk_") && file.endsWith(".mp4"))
-    .sort();
+    const cut = candidates.length > 0
+      ? candidates.reduce((best, midpoint) =>
+        Math.abs(midpoint - target) < Math.abs(best - target) ? midpoint : best)
+      : target;
 
-  return chunks.map((chunk) => join(outputDir, chunk));
+    cuts.push(Number(cut.toFixed(3)));
+    target = cut + segmentTime;
+  }
+
+  return cuts;
 }
 
+/**
+ * Find cut points at pauses with ffmpeg's silencedetect filter
+ * Returns null when no usable silence was found so the caller can fall back to fixed segments
+ */
+async function findSilenceCuts(inputPath, segmentTime) {
+  // ffmpeg writes the filter output to stderr
+  const { stderr } = await runFFmpeg([
+    "-i", inputPath,
+    "-vn", "-af", `silencedetect=noise=${SILENCE_NOISE_DB}:d=${SILENCE_MIN_DURATION_SECONDS}`,
+    "-f", "null", "-",
+  ], { label: "silencedetect" });
+  const { duration, silences } = parseSilenceDetect(stderr);
+
+  if (!duration || silences.length === 0) {
+    console.warn(`silencedetect found ${silences.length} silences (duration ${duration}) - using fixed segments`);
+    return null;
+  }
+
+  const cuts = chooseSilenceCuts(duration, silences, segmentTime, Math.min(SILENCE_SEARCH_WINDOW_SECONDS, segmentTime / 4));
+  console.log(`Found ${silences.length} silences in ${duration}s, cutting at: ${cuts.join(", ") || "(none)"}`);
+  return cuts;
+}
 
 /**
  * Clean up temporary files
@@ -114,80 +199,326 @@ function cleanup(files) {
   });
 }
 
-export const handler = async (event) => {
-  console.log("splitVideo event:", JSON.stringify(event, null, 2));
+/**
+ * Key of a chunk in the uploads bucket, e.g. chunks/talks/intro/chunk_003.m4a
+ */
+function chunkKeyFor(baseFileName, chunkIndex, extension) {
+  return `chunks/${stripExtension(baseFileName)}/chunk_${String(chunkIndex).padStart(3, "0")}${extension}`;
+}
 
-  // Extract event data - handle both direct input and body-wrapped input
-  const eventData = event.body ? JSON.parse(event.body) : event;
-  const { bucket, key, originalKey } = eventData;
-  
-  const inputPath = join(TMP_DIR, `input_${Date.now()}.mp4`);
-  const outputDir = join(TMP_DIR, `output_${Date.now()}`);
-  const chunksDir = join(outputDir, "chunks");
+/**
+ * Record the chunk list on the parent record and build the result ProcessChunks iterates over
+ * The chunk list lets resumeVideo.js retranscribe single chunks of a failed run
+ */
+async function finishSplit(baseFileName, chunks, runId, config, mode) {
+  await transitionVideo(dynamodb, JOBS_TABLE, baseFileName, VIDEO_STATES.SPLITTING, {
+    set: {
+      totalChunks: chunks.length,
+      splitMode: mode,
+      chunks: JSON.stringify(chunks.map(({ key: chunkKey, chunkIndex, startTime, duration, overlap }) => ({
+        key: chunkKey,
+        chunkIndex,
+        startTime,
+        duration,
+        overlap,
+      }))),
+    },
+  });
 
-  // Create output directory
-  mkdirSync(chunksDir, { recursive: true });
+  // Return object directly for Step Functions compatibility
+  // Preserve the full originalKey for merging purposes
+  return {
+    message: "Video split successfully",
+    mode,
+    chunks,
+    originalKey: baseFileName, // Keep full path for merging
+    baseFileName, // Also include base name for reference
+    totalChunks: chunks.length,
+    runId: runId || null,
+    config,
+  };
+}
+
+/**
+ * Download the source into /tmp and split it there
+ * Each chunk is extracted, uploaded and deleted in turn, CHUNK_UPLOAD_CONCURRENCY at a time,
+ * so /tmp only ever holds the source and the chunks in flight
+ */
+async function splitLocally(eventData, config, format, probe) {
+  const { bucket, key, originalKey, runId } = eventData;
+  const baseFileName = originalKey || key;
+  const extension = `.${format.extension}`;
+  const inputPath = join(TMP_DIR, `input_${Date.now()}${extension}`);
 
   try {
     // Download video from S3
     console.log(`Downloading ${bucket}/${key} to ${inputPath}`);
     await downloadFromS3(bucket, key, inputPath);
 
-    // Split video
-    console.log("Splitting video...");
-    const chunkPaths = await splitVideo(inputPath, chunksDir);
+    const ranges = await planRanges(inputPath, rangeDuration(probe, key), config.segmentLengthSeconds || SEGMENT_TIME_SECONDS);
+    console.log(`Planned ${ranges.length} chunks over ${probe.duration}s of ${inputPath}`);
 
-    console.log(`Created ${chunkPaths.length} chunks`);
+    const chunks = await mapWithConcurrency(ranges, CHUNK_UPLOAD_CONCURRENCY, async (range) => {
+      const chunkKey = chunkKeyFor(baseFileName, range.chunkIndex, extension);
+      const chunkPath = join(TMP_DIR, `chunk_${Date.now()}_${range.chunkIndex}${extension}`);
 
-    // Upload chunks - Step Functions will handle transcription
-    const baseFileName = originalKey || key;
-    const baseName = baseFileName.replace(/\.mp4$/, "");
-
-    const chunks = await Promise.all(
-      chunkPaths.map(async (chunkPath, index) => {
-        const chunkKey = `chunks/${baseName}/chunk_${String(index + 1).padStart(3, "0")}.mp4`;
-        
-        console.log(`Uploading chunk ${index + 1} to ${chunkKey}`);
+      try {
+        await extractChunk(inputPath, range, format.segmentFormat, chunkPath);
+        console.log(`Uploading chunk ${range.chunkIndex} to ${chunkKey}`);
         await uploadToS3(bucket, chunkKey, chunkPath);
+      } finally {
+        if (existsSync(chunkPath)) cleanup([chunkPath]);
+      }
 
-        return {
-          bucket,
-          key: chunkKey,
-          originalKey: baseFileName,
-          chunkIndex: index + 1,
-          totalChunks: chunkPaths.length,
-        };
-      })
-    );
-
-    // Cleanup
-    cleanup([inputPath, ...chunkPaths]);
-
-    // Return object directly for Step Functions compatibility
-    // Preserve the full originalKey for merging purposes
-    const fullOriginalKey = originalKey || key;
-    
-    return {
-      message: "Video split successfully",
-      chunks: chunks,
-      originalKey: fullOriginalKey, // Keep full path for merging
-      baseFileName: baseFileName, // Also include base name for reference
-      totalChunks: chunkPaths.length,
-    };
-  } catch (error) {
-    console.error("Error in splitVideo:", error);
-    
-    // Cleanup on error
+      return {
+        bucket,
+        key: chunkKey,
+        originalKey: baseFileName,
+        chunkIndex: range.chunkIndex,
+        totalChunks: ranges.length,
+        startTime: range.startTime,
+        duration: range.duration,
+        overlap: range.overlap,
+        runId: runId || null,
+        config,
+      };
+    });
+
+    return await finishSplit(baseFileName, chunks, runId, config, "local");
+  } finally {
+    if (existsSync(inputPath)) cleanup([inputPath]);
+  }
+}
+
+/**
+ * Presigned URL ffmpeg reads the source through
+ */
+async function sourceUrl(bucket, key) {
+  return getSignedUrl(s3, new GetObjectCommand({ Bucket: bucket, Key: key }), {
+    expiresIn: SOURCE_URL_EXPIRY_SECONDS,
+  });
+}
+
+/**
+ * Describe the source and check that it has audio to transcribe
+ * ProbeMedia already did both for the same key when its result came along (onUploadHandler
+ * rejected what it refused); otherwise the source is probed here over a presigned URL, so that
+ * silent or corrupt media is rejected before anything is downloaded or split
+ */
+async function validateSource(bucket, key, probed) {
+  if (probed?.available) {
+    console.log(`${key}: ${probed.formatName}, audio ${probed.audio?.codec}, ${probed.duration ?? "unknown"}s (from ProbeMedia)`);
+    return probed;
+  }
+
+  const probe = await probeMedia(await sourceUrl(bucket, key));
+  assertAudioStream(probe, key);
+  console.log(`${key}: ${probe.formatName}, audio ${probe.audioStreams.map((stream) => stream.codec).join(", ")}, ${probe.duration ?? "unknown"}s`);
+  return probe;
+}
+
+/**
+ * Duration of a source to split, which both splits need to plan time ranges
+ */
+function rangeDuration(probe, key) {
+  if (!probe?.duration) {
+    throw new Error(`ffprobe reported no duration for ${key} - it cannot be split into time ranges`);
+  }
+  return probe.duration;
+}
+
+/**
+ * Plan the time ranges of a split
+ * The source is a file in /tmp or, for a distributed split, a presigned URL, which is never
+ * downloaded. The "silence" strategy runs silencedetect over it; "fixed" (and the fallback)
+ * cuts every segmentTime seconds
+ */
+export async function planRanges(input, duration, segmentTime, strategy = SPLIT_STRATEGY) {
+  let cuts = null;
+  if (strategy === "silence") {
     try {
-      cleanup([inputPath]);
-      if (existsSync(chunksDir)) {
-        rmSync(chunksDir, { recursive: true, force: true });
+      cuts = await findSilenceCuts(input, segmentTime);
+    } catch (error) {
+      if (isMediaRejection(error)) throw error;
+      console.warn("Silence detection failed - using fixed segments:", error.message);
+    }
+  } else if (strategy !== "fixed") {
+    console.warn(`Unknown split strategy "${strategy}" - using fixed segments`);
+  }
+
+  if (!cuts) {
+    cuts = [];
+    for (let cut = segmentTime; cut < duration; cut += segmentTime) {
+      cuts.push(cut);
+    }
+  }
+
+  const bounds = [0, ...cuts.filter((cut) => cut > 0 && cut < duration), duration];
+  return bounds.slice(0, -1).map((startTime, i) => ({
+    chunkIndex: i + 1,
+    startTime: Number(startTime.toFixed(3)),
+    duration: Number((bounds[i + 1] - startTime).toFixed(3)),
+    overlap: i < bounds.length - 2 ? CHUNK_OVERLAP_SECONDS : 0,
+  }));
+}
+
+/**
+ * Coordinator of a distributed split: plan one range per chunk of the probed source
+ * The ranges are extracted in parallel by the ExtractChunks Map state (splitAction "extract")
+ * and collected by FinishSplit (splitAction "finish")
+ */
+async function planDistributedSplit(eventData, config, format, probe) {
+  const { bucket, key, originalKey, runId } = eventData;
+  const baseFileName = originalKey || key;
+  const url = await sourceUrl(bucket, key);
+
+  const ranges = await planRanges(url, rangeDuration(probe, key), config.segmentLengthSeconds || SEGMENT_TIME_SECONDS);
+  console.log(`Planned ${ranges.length} chunks over ${probe.duration}s of ${bucket}/${key}`);
+
+  return {
+    message: "Split planned",
+    mode: "distributed",
+    ranges: ranges.map((range) => ({
+      ...range,
+      splitAction: "extract",
+      bucket,
+      key,
+      originalKey: baseFileName,
+      extension: `.${format.extension}`,
+      segmentFormat: format.segmentFormat,
+      totalChunks: ranges.length,
+      runId: runId || null,
+    })),
+    originalKey: baseFileName,
+    totalChunks: ranges.length,
+    runId: runId || null,
+    config,
+  };
+}
+
+/**
+ * Extract one time range of a source as a chunk, running overlap seconds into the next one
+ * Only the audio stream is copied, which Transcribe needs; audio packets are all keyframes, so
+ * input seeking starts the chunk at its planned time, unlike a video stream copied from the
+ * keyframe before it
+ */
+async function extractChunk(input, { chunkIndex, startTime, duration, overlap }, segmentFormat, chunkPath) {
+  await runFFmpeg([
+    "-y",
+    "-ss", String(startTime),
+    "-i", input,
+    "-t", String(duration + overlap),
+    "-vn", "-c:a", "copy", "-avoid_negative_ts", "make_zero",
+    ...(segmentFormat ? ["-f", segmentFormat] : []),
+    chunkPath,
+  ], { label: `chunk ${chunkIndex}`, duration: duration + overlap });
+}
+
+/**
+ * Worker of a distributed split: extract one time range straight from S3 and upload it
+ * Only the chunk itself is written to /tmp.
+ */
+async function extractRange(eventData) {
+  const { bucket, key, originalKey, chunkIndex, totalChunks, startTime, duration, overlap, extension, segmentFormat, runId } = eventData;
+  const chunkKey = chunkKeyFor(originalKey, chunkIndex, extension);
+  const chunkPath = join(TMP_DIR, `range_${Date.now()}_${chunkIndex}${extension}`);
+
+  try {
+    console.log(`Extracting ${startTime}s + ${duration + overlap}s of ${bucket}/${key} as chunk ${chunkIndex}`);
+    await extractChunk(await sourceUrl(bucket, key), { chunkIndex, startTime, duration, overlap }, segmentFormat, chunkPath);
+
+    console.log(`Uploading chunk ${chunkIndex} to ${chunkKey}`);
+    await uploadToS3(bucket, chunkKey, chunkPath);
+  } finally {
+    if (existsSync(chunkPath)) cleanup([chunkPath]);
+  }
+
+  // Return object directly for Step Functions compatibility
+  return {
+    bucket,
+    key: chunkKey,
+    originalKey,
+    chunkIndex,
+    totalChunks,
+    startTime,
+    duration,
+    overlap,
+    runId: runId || null,
+  };
+}
+
+/**
+ * Size of the source in MB, from onUploadHandler when it measured it
+ */
+async function sourceSizeMB(eventData) {
+  if (typeof eventData.fileSizeMB === "number") return eventData.fileSizeMB;
+  const head = await s3.send(new HeadObjectCommand({ Bucket: eventData.bucket, Key: eventData.key }));
+  return head.ContentLength / (1024 * 1024);
+}
+
+/**
+ * Split a source into chunks for transcription
+ *
+ * Invoked by SplitVideo with the sizeCheck result. Sources up to DISTRIBUTED_SPLIT_THRESHOLD_MB
+ * are split in /tmp; larger ones (or all, with SPLIT_MODE=distributed) only get their ranges
+ * planned here, and the same function is invoked again per range with splitAction "extract" and
+ * once more with splitAction "finish" to collect the chunks.
+ */
+export const handler = async (event) => {
+  console.log("splitVideo event:", JSON.stringify(event, null, 2));
+
+  // Extract event data - handle both direct input and body-wrapped input
+  const eventData = event.body ? JSON.parse(event.body) : event;
+  const { bucket, key, originalKey, mediaFormat, runId } = eventData;
+
+  try {
+    if (eventData.splitAction === "extract") {
+      return await extractRange(eventData);
+    }
+
+    const config = configFromEvent(eventData);
+    if (eventData.splitAction === "finish") {
+      const chunks = eventData.chunks.map((chunk) => ({ ...chunk, config }));
+      return await finishSplit(originalKey, chunks, runId, config, "distributed");
+    }
+
+    await transitionVideo(dynamodb, JOBS_TABLE, originalKey || key, VIDEO_STATES.SPLITTING);
+    const probe = await validateSource(bucket, key, eventData.probe);
+
+    // onUploadHandler detected the container, which also covers keys without an extension
+    const format = MEDIA_FORMATS[mediaFormat] || MEDIA_FORMATS[formatFromKey(key)] || MEDIA_FORMATS.mp4;
+
+    let mode = SPLIT_MODE;
+    if (mode !== "auto" && mode !== "local" && mode !== "distributed") {
+      console.warn(`Unknown split mode "${mode}" - splitting in /tmp`);
+      mode = "local";
+    }
+    if (mode !== "distributed") {
+      const sizeMB = await sourceSizeMB(eventData);
+      if (mode === "auto") {
+        mode = sizeMB > DISTRIBUTED_SPLIT_THRESHOLD_MB ? "distributed" : "local";
+      } else if (sizeMB * 2 > TMP_STORAGE_MB) {
+        // The source and the chunks in flight, which together are at most twice its size
+        console.warn(`${sizeMB.toFixed(1)} MB source does not fit in ${TMP_STORAGE_MB} MB of /tmp`);
+        mode = "distributed";
       }
-    } catch (cleanupError) {
-      console.warn("Cleanup error:", cleanupError);
+      console.log(`Source is ${sizeMB.toFixed(1)} MB - splitting ${mode === "local" ? "in /tmp" : "with parallel workers"}`);
     }
 
+    return mode === "distributed"
+      ? await planDistributedSplit({ bucket, key, originalKey, runId }, config, format, probe)
+      : await splitLocally(eventData, config, format, probe);
+  } catch (error) {
+    console.error("Error in splitVideo:", error);
+    if (isMediaRejection(error)) {
+      // Like uploads refused by onUploadHandler, media ffmpeg cannot read is not resumable
+      await transitionVideo(dynamodb, JOBS_TABLE, originalKey || key, VIDEO_STATES.FAILED, {
+        set: { rejection: error.rejection },
+        error: error.message,
+      });
+    } else {
+      await recordVideoError(dynamodb, JOBS_TABLE, originalKey || key, error);
+    }
     throw error;
   }
 };
-
@@ -1,5 +1,10 @@
-import { TranscribeClient, StartTranscriptionJobCommand } from "@aws-sdk/client-transcribe";
+import { TranscribeClient, StartTranscriptionJobCommand, GetTranscriptionJobCommand } from "@aws-sdk/client-transcribe";
 import { DynamoDBClient, PutItemCommand } from "@aws-sdk/client-dynamodb";
+import { MEDIA_FORMATS, formatFromKey } from "./lib/mediaFormats.js";
+import { vocabularyForLanguage } from "./lib/vocabulary.js";
+import { configFromEvent } from "./lib/jobConfig.js";
+import { RECORD_TYPES } from "./lib/jobsTable.js";
+import { transitionVideo, recordVideoError, VIDEO_STATES } from "./lib/videoLifecycle.js";
 
 const transcribe = new TranscribeClient();
 const dynamodb = new DynamoDBClient();
@@ -9,30 +14,53 @@ const OUTPUT_BUCKET = process.env.OUTPUT_BUCKET;
 const JOBS_TABLE = process.env.JOBS_TABLE || "transcription-jobs-dev";
 
 /**
- * Generate unique job name
+ * Generate the job name, unique per run
+ * The run id is stable across retries of this step, so a retry finds the job it already started
+ * instead of paying for a new one; calls without a run id fall back to a timestamp
  */
-function generateJobName(fileKey, language, chunkIndex = null) {
+function generateJobName(fileKey, language, runId, chunkIndex = null) {
   const baseName = fileKey.replace(/[^a-zA-Z0-9]/g, "_").substring(0, 50);
   const chunkSuffix = chunkIndex ? `_chunk${chunkIndex}` : "";
-  const timestamp = Date.now();
-  return `job_${baseName}_${language}_${timestamp}${chunkSuffix}`;
+  return `job_${baseName}_${language}_${runId || Date.now()}${chunkSuffix}`;
+}
+
+/**
+ * Start a Transcribe job, or return the existing one when an earlier attempt started it
+ */
+async function startOrReuseJob(params) {
+  try {
+    const response = await transcribe.send(new StartTranscriptionJobCommand(params));
+    console.log(`Transcribe job started successfully: ${params.TranscriptionJobName}`);
+    return response.TranscriptionJob;
+  } catch (error) {
+    if (error.name !== "ConflictException") throw error;
+    console.log(`Transcribe job ${params.TranscriptionJobName} already exists - reusing it`);
+    const response = await transcribe.send(new GetTranscriptionJobCommand({
+      TranscriptionJobName: params.TranscriptionJobName,
+    }));
+    return response.TranscriptionJob;
+  }
 }
 
 /**
  * Start transcription job for a language
+ * Entries with identifyLanguage set let Transcribe detect the language instead of forcing one
  */
-async function startTranscriptionJob(bucket, key, language, languageCode, jobMetadata) {
-  const jobName = generateJobName(key, language, jobMetadata.chunkIndex);
+async function startTranscriptionJob(bucket, key, languageEntry, jobMetadata) {
+  const { language, languageCode, identifyLanguage, languageOptions } = languageEntry;
+  const jobName = generateJobName(key, language, jobMetadata.runId, jobMetadata.chunkIndex);
   // URL encode the key for the S3 URI
   const encodedKey = encodeURIComponent(key).replace(/%2F/g, '/');
   const mediaFileUri = `s3://${bucket}/${encodedKey}`;
+  // Transcribe guesses the format from the extension unless told, which fails for keys without one
+  const mediaFormat = MEDIA_FORMATS[jobMetadata.mediaFormat || formatFromKey(key)]?.transcribeFormat;
 
   const params = {
     TranscriptionJobName: jobName,
-    LanguageCode: languageCode,
     Media: {
       MediaFileUri: mediaFileUri,
     },
+    ...(mediaFormat && { MediaFormat: mediaFormat }),
     OutputBucketName: OUTPUT_BUCKET,
     Subtitles: {
       Formats: ["srt"],
@@ -43,14 +71,59 @@ async function startTranscriptionJob(bucket, key, language, languageCode, jobMet
     },
   };
 
+  if (jobMetadata.diarization) {
+    params.Settings = {
+      ShowSpeakerLabels: true,
+      MaxSpeakerLabels: jobMetadata.diarization.maxSpeakers,
+    };
+  }
+
+  // Vocabularies belong to a language; with identification they are set per candidate language
+  const { vocabulary } = jobMetadata;
+  let vocabularyName = null;
+  let vocabularyFilterName = null;
+
+  if (identifyLanguage) {
+    params.IdentifyLanguage = true;
+    if (languageOptions?.length) {
+      params.LanguageOptions = languageOptions;
+      const languageIdSettings = {};
+      for (const option of languageOptions) {
+        const names = vocabularyForLanguage(vocabulary, option);
+        if (names.vocabularyName || names.vocabularyFilterName) {
+          languageIdSettings[option] = {
+            ...(names.vocabularyName && { VocabularyName: names.vocabularyName }),
+            ...(names.vocabularyFilterName && { VocabularyFilterName: names.vocabularyFilterName }),
+          };
+        }
+      }
+      if (Object.keys(languageIdSettings).length > 0) {
+        params.LanguageIdSettings = languageIdSettings;
+        if (Object.values(languageIdSettings).some((settings) => settings.VocabularyFilterName)) {
+          params.Settings.VocabularyFilterMethod = vocabulary.vocabularyFilterMethod;
+        }
+      }
+    } else if (vocabulary) {
+      console.warn("Vocabularies need languageOptions when the language is identified - ignoring them");
+    }
+  } else {
+    params.LanguageCode = languageCode;
+    ({ vocabularyName, vocabularyFilterName } = vocabularyForLanguage(vocabulary, languageCode));
+    if (vocabularyName) {
+      params.Settings.VocabularyName = vocabularyName;
+    }
+    if (vocabularyFilterName) {
+      params.Settings.VocabularyFilterName = vocabularyFilterName;
+      params.Settings.VocabularyFilterMethod = vocabulary.vocabularyFilterMethod;
+    }
+  }
+
   console.log(`Starting transcription job: ${jobName} for ${language}`);
   console.log(`Media URI: ${mediaFileUri}`);
   console.log(`Output bucket: ${OUTPUT_BUCKET}`);
   
   try {
-    const command = new StartTranscriptionJobCommand(params);
-    const response = await transcribe.send(command);
-    console.log(`Transcribe job started successfully: ${jobName}`);
+    const transcriptionJob = await startOrReuseJob(params);
 
     // Store job metadata in DynamoDB
     try {
@@ -58,16 +131,32 @@ async function startTranscriptionJob(bucket, key, language, languageCode, jobMet
         TableName: JOBS_TABLE,
         Item: {
           jobId: { S: jobName },
+          recordType: { S: RECORD_TYPES.JOB },
           originalKey: { S: jobMetadata.originalKey || key },
           chunkIndex: { N: String(jobMetadata.chunkIndex || 0) },
           totalChunks: { N: String(jobMetadata.totalChunks || 1) },
           language: { S: language },
           languageCode: { S: languageCode },
-          status: { S: response.TranscriptionJob.TranscriptionJobStatus || "IN_PROGRESS" },
+          identifyLanguage: { BOOL: Boolean(identifyLanguage) },
+          status: { S: transcriptionJob.TranscriptionJobStatus || "IN_PROGRESS" },
           createdAt: { S: new Date().toISOString() },
           inputBucket: { S: bucket },
           inputKey: { S: key },
           outputBucket: { S: OUTPUT_BUCKET },
+          outputPrefix: { S: jobMetadata.outputPrefix },
+          ...(jobMetadata.runId && { runId: { S: jobMetadata.runId } }),
+          ...(vocabularyName && { vocabularyName: { S: vocabularyName } }),
+          ...(vocabularyFilterName && {
+            vocabularyFilterName: { S: vocabularyFilterName },
+            vocabularyFilterMethod: { S: vocabulary.vocabularyFilterMethod },
+          }),
+          ...(params.LanguageIdSettings && {
+            languageIdSettings: { S: JSON.stringify(params.LanguageIdSettings) },
+          }),
+          ...(jobMetadata.chunkStartTime !== null && {
+            chunkStartTime: { N: String(jobMetadata.chunkStartTime) },
+            chunkDuration: { N: String(jobMetadata.chunkDuration) },
+          }),
         },
       });
 
@@ -79,7 +168,7 @@ async function startTranscriptionJob(bucket, key, language, languageCode, jobMet
       // Continue even if DynamoDB write fails
     }
 
-    return response.TranscriptionJob;
+    return transcriptionJob;
   } catch (error) {
     console.error(`Error starting transcription job ${jobName}:`, error);
     console.error(`Error details:`, {
@@ -104,7 +193,8 @@ export const handler = async (event) => {
       throw new Error("Missing required field: key");
     }
 
-    const { bucket, key, originalKey, chunkIndex, totalChunks } = event;
+    const { bucket, key, originalKey, chunkIndex, totalChunks, startTime, duration, mediaFormat, runId } = event;
+    const { languages, diarization, vocabulary, outputPrefix } = configFromEvent(event);
 
     // Validate environment variables
     if (!INPUT_BUCKET) {
@@ -118,29 +208,54 @@ export const handler = async (event) => {
       originalKey: originalKey || key,
       chunkIndex: chunkIndex || null,
       totalChunks: totalChunks || 1,
+      // Real media position of the chunk within the original video, in seconds
+      chunkStartTime: typeof startTime === "number" ? startTime : null,
+      chunkDuration: typeof duration === "number" ? duration : null,
+      mediaFormat: mediaFormat || null,
+      runId: runId || null,
+      diarization: diarization || null,
+      vocabulary: vocabulary || null,
+      outputPrefix,
     };
 
-    // Start transcription job for English only
-    console.log(`Starting transcription job for bucket: ${bucket}, key: ${key}`);
-    const englishJob = await startTranscriptionJob(bucket, key, "english", "en-US", jobMetadata);
+    await transitionVideo(dynamodb, JOBS_TABLE, jobMetadata.originalKey, VIDEO_STATES.TRANSCRIBING, {
+      set: { totalChunks: jobMetadata.totalChunks },
+    });
+
+    // Start one transcription job per requested language
+    console.log(`Starting ${languages.length} transcription job(s) for bucket: ${bucket}, key: ${key}`);
+    const startedJobs = await Promise.all(
+      languages.map((languageEntry) =>
+        startTranscriptionJob(bucket, key, languageEntry, jobMetadata)
+      )
+    );
 
-    console.log(`Started job: ${englishJob.TranscriptionJobName}`);
+    const jobs = {};
+    languages.forEach(({ language, languageCode, identifyLanguage }, index) => {
+      const job = startedJobs[index];
+      console.log(`Started job: ${job.TranscriptionJobName}`);
+      jobs[language] = {
+        jobName: job.TranscriptionJobName,
+        status: job.TranscriptionJobStatus,
+        languageCode,
+        identifyLanguage: Boolean(identifyLanguage),
+      };
+    });
 
     // Return object directly for Step Functions compatibility
     return {
-      message: "Transcription job started",
-      jobs: {
-        english: {
-          jobName: englishJob.TranscriptionJobName,
-          status: englishJob.TranscriptionJobStatus,
-        },
-      },
+      message: `Transcription jobs started for ${languages.length} language(s)`,
+      jobs,
+      languages,
       originalKey: jobMetadata.originalKey,
       chunkIndex: jobMetadata.chunkIndex,
       totalChunks: jobMetadata.totalChunks,
     };
   } catch (error) {
     console.error("Error in startTranscribe:", error);
+    if (event.originalKey || event.key) {
+      await recordVideoError(dynamodb, JOBS_TABLE, event.originalKey || event.key, error);
+    }
     throw error;
   }
 };
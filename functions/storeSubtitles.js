@@ -1,5 +1,11 @@
 import { S3Client, GetObjectCommand, PutObjectCommand, ListObjectsV2Command, DeleteObjectCommand } from "@aws-sdk/client-s3";
-import { DynamoDBClient, ScanCommand } from "@aws-sdk/client-dynamodb";
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { SUBTITLE_FORMATS, parseSRT, serializeSubtitles } from "./lib/subtitles.js";
+import { parseTranscribeWords, buildTranscriptText, buildTranscriptDocument } from "./lib/transcript.js";
+import { formatCues } from "./lib/subtitleStyle.js";
+import { configFromEvent } from "./lib/jobConfig.js";
+import { queryJobsByOriginalKey } from "./lib/jobsTable.js";
+import { transitionVideo, recordChunkProgress, recordVideoError, chunkCount, VIDEO_STATES } from "./lib/videoLifecycle.js";
 
 const s3 = new S3Client();
 const dynamodb = new DynamoDBClient();
@@ -47,44 +53,33 @@ async function uploadSubtitle(bucket, key, content, contentType = "text/srt") {
 }
 
 /**
- * Merge multiple subtitle files
+ * Concatenate the cues of multiple SRT files
+ * Only used by the DynamoDB fallback path; mergeSubtitles.js does the timestamp-aware merge
  */
-function mergeSubtitles(subtitleContents) {
-  // Simple merge - concatenate all subtitles
-  // In a production system, you'd want to properly merge timestamps
-  let merged = "";
-  let timeOffset = 0;
-
-  subtitleContents.forEach((content, index) => {
-    if (index > 0) {
-      // Adjust timestamps for subsequent chunks
-      // This is a simplified approach - a real implementation would parse and adjust SRT timestamps
-      merged += "\n\n";
-    }
-    merged += content;
-  });
+function concatenateSubtitles(subtitleContents) {
+  return subtitleContents.flatMap((content) => parseSRT(content));
+}
 
-  return merged;
+/**
+ * Upload cues to <prefix>/<language>.<format> for every requested format
+ * Returns a map of format -> key
+ */
+async function uploadCues(cues, keyPrefix, language, formats) {
+  const files = {};
+  for (const format of formats) {
+    const key = `${keyPrefix}/${language}.${SUBTITLE_FORMATS[format].extension}`;
+    await uploadSubtitle(OUTPUT_BUCKET, key, serializeSubtitles(cues, format), SUBTITLE_FORMATS[format].contentType);
+    console.log(`Stored subtitle at ${OUTPUT_BUCKET}/${key}`);
+    files[format] = key;
+  }
+  return files;
 }
 
 /**
  * Get all completed jobs for a video
  */
 async function getCompletedJobs(originalKey) {
-  const command = new ScanCommand({
-    TableName: JOBS_TABLE,
-    FilterExpression: "originalKey = :key AND #status = :status",
-    ExpressionAttributeNames: {
-      "#status": "status",
-    },
-    ExpressionAttributeValues: {
-      ":key": { S: originalKey },
-      ":status": { S: "COMPLETED" },
-    },
-  });
-
-  const response = await dynamodb.send(command);
-  return response.Items || [];
+  return queryJobsByOriginalKey(dynamodb, JOBS_TABLE, originalKey, { status: "COMPLETED" });
 }
 
 /**
@@ -246,124 +241,303 @@ async function cleanupFiles(sourceBucket, jobId, deleteOriginalJobFiles = true)
   }
 }
 
-export const handler = async (event) => {
-  console.log("storeSubtitles event:", JSON.stringify(event, null, 2));
+/**
+ * Extract bucket and key from a Transcribe transcript URI
+ * Handles s3://bucket/key as well as both HTTPS S3 URL styles
+ */
+function parseTranscriptUri(transcriptUri) {
+  // s3:// format: s3://bucket/key
+  const s3UriMatch = transcriptUri.match(/s3:\/\/([^\/]+)\/(.+)/);
+  if (s3UriMatch) {
+    return { sourceBucket: s3UriMatch[1], sourceKey: s3UriMatch[2] };
+  }
 
+  // HTTPS format: https://s3.region.amazonaws.com/bucket/key
+  // Example: https://s3.us-east-1.amazonaws.com/video-subtitles-dev-92ca3b3b/job_xxx.json
+  const httpsUriMatch = transcriptUri.match(/https?:\/\/s3\.[^\/]+\/([^\/]+)\/(.+)/);
+  if (httpsUriMatch) {
+    return { sourceBucket: httpsUriMatch[1], sourceKey: httpsUriMatch[2] };
+  }
+
+  // Try alternative format: https://bucket.s3.region.amazonaws.com/key
+  const altUriMatch = transcriptUri.match(/https?:\/\/([^.]+)\.s3\.[^\/]+\/(.+)/);
+  if (altUriMatch) {
+    return { sourceBucket: altUriMatch[1], sourceKey: altUriMatch[2] };
+  }
+
+  throw new Error(`Invalid transcript URI format: ${transcriptUri}`);
+}
+
+/**
+ * Download the Transcribe output JSON and normalize it into words
+ * Returns null if the Transcribe JSON could not be read
+ */
+async function downloadTranscribeWords(sourceBucket, transcribeJsonKey) {
   try {
-    // Handle both direct object and potentially stringified input (defensive)
-    const eventData = typeof event === 'string' ? JSON.parse(event) : event;
-    const { originalKey, chunkIndex, totalChunks, language, transcriptUri, jobId } = eventData;
+    const transcribeJson = JSON.parse(await downloadSubtitle(sourceBucket, transcribeJsonKey));
+    return parseTranscribeWords(transcribeJson);
+  } catch (error) {
+    console.warn(`Could not read Transcribe output ${sourceBucket}/${transcribeJsonKey}:`, error.message);
+    return null;
+  }
+}
 
-    if (!originalKey) {
-      throw new Error(`Missing required field: originalKey. Event data: ${JSON.stringify(eventData)}`);
+/**
+ * Store the transcript deliverables next to the subtitles
+ * <prefix>/<language>.json is the normalized word transcript (also what mergeSubtitles reads
+ * for chunks); <prefix>/<language>.txt is the readable text and is only written for whole
+ * files, as chunk texts are combined by mergeSubtitles
+ * Returns a map of type -> key, or null if nothing could be written
+ */
+async function storeTranscripts(words, keyPrefix, language, languageCode, { textFile, speakerNames }) {
+  const transcripts = {};
+  try {
+    const jsonKey = `${keyPrefix}/${language}.json`;
+    const document = buildTranscriptDocument(words, { language, languageCode: languageCode || null, speakerNames });
+    await uploadSubtitle(OUTPUT_BUCKET, jsonKey, JSON.stringify(document), "application/json");
+    console.log(`Stored word transcript at ${OUTPUT_BUCKET}/${jsonKey}`);
+    transcripts.json = jsonKey;
+
+    if (textFile) {
+      const textKey = `${keyPrefix}/${language}.txt`;
+      const text = buildTranscriptText(words, { labelSpeakers: Boolean(document.speakers), speakerNames });
+      await uploadSubtitle(OUTPUT_BUCKET, textKey, text, "text/plain; charset=utf-8");
+      console.log(`Stored text transcript at ${OUTPUT_BUCKET}/${textKey}`);
+      transcripts.txt = textKey;
     }
 
-    // Get the base filename without extension
-    const baseFileName = originalKey.replace(/\.mp4$/, "").replace(/^.*\//, "");
+    return transcripts;
+  } catch (error) {
+    console.warn(`Could not store transcripts under ${OUTPUT_BUCKET}/${keyPrefix}:`, error.message);
+    return Object.keys(transcripts).length > 0 ? transcripts : null;
+  }
+}
 
-    // If transcriptUri is provided, use it directly
-    if (transcriptUri) {
-      let sourceBucket, sourceKey;
-      
-      // Handle both s3:// and https:// URLs
-      // s3:// format: s3://bucket/key
-      const s3UriMatch = transcriptUri.match(/s3:\/\/([^\/]+)\/(.+)/);
-      if (s3UriMatch) {
-        [, sourceBucket, sourceKey] = s3UriMatch;
-      } else {
-        // HTTPS format: https://s3.region.amazonaws.com/bucket/key
-        // Example: https://s3.us-east-1.amazonaws.com/video-subtitles-dev-92ca3b3b/job_xxx.json
-        const httpsUriMatch = transcriptUri.match(/https?:\/\/s3\.[^\/]+\/([^\/]+)\/(.+)/);
-        if (httpsUriMatch) {
-          sourceBucket = httpsUriMatch[1];
-          sourceKey = httpsUriMatch[2];
-        } else {
-          // Try alternative format: https://bucket.s3.region.amazonaws.com/key
-          const altUriMatch = transcriptUri.match(/https?:\/\/([^.]+)\.s3\.[^\/]+\/(.+)/);
-          if (altUriMatch) {
-            sourceBucket = altUriMatch[1];
-            sourceKey = altUriMatch[2];
-          } else {
-            throw new Error(`Invalid transcript URI format: ${transcriptUri}`);
-          }
-        }
-      }
+/**
+ * Build the final storage prefix for a file or chunk
+ */
+function buildOutputPrefix(baseFileName, chunkIndex, totalChunks) {
+  return totalChunks > 1
+    ? `${baseFileName}/chunk_${String(chunkIndex).padStart(3, "0")}`
+    : baseFileName;
+}
 
-      console.log(`Extracted bucket: ${sourceBucket}, key: ${sourceKey} from URI: ${transcriptUri}`);
-
-      // The transcriptUri points to the JSON file, but we need the SRT file
-      // Transcribe outputs SRT files with the same base name
-      // If sourceKey is a JSON file, replace extension with .srt
-      let subtitleKey;
-      if (sourceKey.endsWith('.json')) {
-        subtitleKey = sourceKey.replace(/\.json$/, '.srt');
-      } else {
-        // Otherwise, use jobId to construct the SRT filename
-        subtitleKey = `${jobId}.srt`;
-      }
+/**
+ * Build the key of the manifest describing the subtitles stored for a file or chunk
+ */
+function buildManifestKey(baseFileName, chunkIndex, totalChunks) {
+  return `${buildOutputPrefix(baseFileName, chunkIndex, totalChunks)}/manifest.json`;
+}
 
-      console.log(`Looking for subtitle file: ${subtitleKey}`);
+/**
+ * Write (or update) the manifest listing each stored language with its detection details
+ * Entries for languages already in an existing manifest are replaced
+ */
+async function writeManifest(manifestKey, originalKey, chunkIndex, results) {
+  let manifest = { originalKey, languages: [] };
+  try {
+    manifest = JSON.parse(await downloadSubtitle(OUTPUT_BUCKET, manifestKey));
+  } catch (error) {
+    // No manifest yet
+  }
 
-      // Verify the subtitle file exists
-      try {
-        const subtitleContent = await downloadSubtitle(sourceBucket, subtitleKey);
+  for (const result of results) {
+    if (!result.files) continue;
+    const entry = {
+      language: result.language,
+      languageCode: result.languageCode || null,
+      identifiedLanguage: Boolean(result.identifiedLanguage),
+      languageConfidence: result.languageConfidence ?? null,
+      jobId: result.jobId,
+      files: result.files,
+      transcriptKey: result.transcriptKey || null,
+      transcripts: result.transcripts || null,
+    };
+    manifest.languages = manifest.languages.filter((existing) => existing.language !== entry.language);
+    manifest.languages.push(entry);
+  }
 
-        // Determine final storage location
-        const finalKey = totalChunks > 1
-          ? `${baseFileName}/chunk_${String(chunkIndex).padStart(3, "0")}/${language}.srt`
-          : `${baseFileName}/${language}.srt`;
+  manifest.originalKey = originalKey;
+  manifest.chunkIndex = chunkIndex || null;
+  manifest.updatedAt = new Date().toISOString();
 
-        // Upload to final location
-        await uploadSubtitle(OUTPUT_BUCKET, finalKey, subtitleContent);
+  await uploadSubtitle(OUTPUT_BUCKET, manifestKey, JSON.stringify(manifest, null, 2), "application/json");
+  console.log(`Manifest stored at ${OUTPUT_BUCKET}/${manifestKey}`);
+  return manifest;
+}
 
-        console.log(`Stored subtitle at ${OUTPUT_BUCKET}/${finalKey}`);
+/**
+ * Copy the subtitle of one completed Transcribe job to its final location
+ * Auto-language jobs arrive with language set to the detected language
+ * The Transcribe SRT is parsed once and written in every requested format
+ */
+async function storeCompletedJob({ baseFileName, chunkIndex, totalChunks, formats, subtitles, diarization, language, languageCode, identifiedLanguage, languageConfidence, transcriptUri, jobId }) {
+  const { sourceBucket, sourceKey } = parseTranscriptUri(transcriptUri);
+
+  console.log(`Extracted bucket: ${sourceBucket}, key: ${sourceKey} from URI: ${transcriptUri}`);
+
+  // The transcriptUri points to the JSON file, but we need the SRT file
+  // Transcribe outputs SRT files with the same base name
+  // If sourceKey is a JSON file, replace extension with .srt
+  let subtitleKey;
+  if (sourceKey.endsWith('.json')) {
+    subtitleKey = sourceKey.replace(/\.json$/, '.srt');
+  } else {
+    // Otherwise, use jobId to construct the SRT filename
+    subtitleKey = `${jobId}.srt`;
+  }
 
-        // Clean up temp files and original job files after successful copy
-        const deletedFiles = await cleanupFiles(sourceBucket, jobId, true);
+  console.log(`Looking for subtitle file: ${subtitleKey}`);
 
-        // Return object directly for Step Functions compatibility
-        return {
-          message: "Subtitle stored successfully",
-          location: `${OUTPUT_BUCKET}/${finalKey}`,
-          language,
-          cleanedUp: deletedFiles.length,
-        };
-      } catch (downloadError) {
-        // If direct download fails, try to find the subtitle file
-        console.warn(`Direct download failed, trying to find subtitle file: ${downloadError.message}`);
-        const foundSubtitleKey = await findSubtitleFile(sourceBucket, jobId, "srt");
-        
-        if (!foundSubtitleKey) {
-          console.warn(`Subtitle file not found for job ${jobId} in bucket ${sourceBucket}`);
-          return {
-            message: "Subtitle file not found",
-            statusCode: 404,
-          };
-        }
-        
-        // Download subtitle using found key
-        const subtitleContent = await downloadSubtitle(sourceBucket, foundSubtitleKey);
-        
-        // Determine final storage location
-        const finalKey = totalChunks > 1
-          ? `${baseFileName}/chunk_${String(chunkIndex).padStart(3, "0")}/${language}.srt`
-          : `${baseFileName}/${language}.srt`;
+  let subtitleContent;
+  try {
+    subtitleContent = await downloadSubtitle(sourceBucket, subtitleKey);
+  } catch (downloadError) {
+    // If direct download fails, try to find the subtitle file
+    console.warn(`Direct download failed, trying to find subtitle file: ${downloadError.message}`);
+    const foundSubtitleKey = await findSubtitleFile(sourceBucket, jobId, "srt");
+
+    if (!foundSubtitleKey) {
+      console.warn(`Subtitle file not found for job ${jobId} in bucket ${sourceBucket}`);
+      return {
+        message: "Subtitle file not found",
+        language,
+        statusCode: 404,
+      };
+    }
 
-        // Upload to final location
-        await uploadSubtitle(OUTPUT_BUCKET, finalKey, subtitleContent);
+    subtitleContent = await downloadSubtitle(sourceBucket, foundSubtitleKey);
+  }
 
-        console.log(`Stored subtitle at ${OUTPUT_BUCKET}/${finalKey}`);
+  // Words feed the transcripts, speaker labels and, for chunks, the boundary reconciliation
+  // when merging (the Transcribe JSON is deleted by the cleanup below)
+  const transcribeJsonKey = sourceKey.endsWith(".json") ? sourceKey : `${jobId}.json`;
+  const words = await downloadTranscribeWords(sourceBucket, transcribeJsonKey);
 
-        // Clean up temp files and original job files after successful copy
-        const deletedFiles = await cleanupFiles(sourceBucket, jobId, true);
+  // The cues are re-segmented from the words to the subtitle style, and with diarization each
+  // one carries its speaker; the Transcribe SRT has no speaker information
+  const labelSpeakers = Boolean(diarization && words?.some((word) => word.speaker));
+  if (diarization && !labelSpeakers) {
+    console.warn(`No speaker labels in the Transcribe output of ${jobId} - storing unlabelled captions`);
+  }
+  const cues = formatCues(parseSRT(subtitleContent), words, subtitles, {
+    labelSpeakers,
+    speakerNames: diarization?.speakerNames,
+  });
 
-        return {
-          message: "Subtitle stored successfully",
-          location: `${OUTPUT_BUCKET}/${finalKey}`,
-          language,
-          cleanedUp: deletedFiles.length,
-        };
+  // Upload every requested format to the final location
+  const outputPrefix = buildOutputPrefix(baseFileName, chunkIndex, totalChunks);
+  const files = await uploadCues(cues, outputPrefix, language, formats);
+
+  const transcripts = words
+    ? await storeTranscripts(words, outputPrefix, language, languageCode, {
+      textFile: !(totalChunks > 1),
+      speakerNames: diarization?.speakerNames,
+    })
+    : null;
+  const transcriptKey = transcripts?.json || null;
+
+  // Clean up temp files and original job files after successful copy
+  const deletedFiles = await cleanupFiles(sourceBucket, jobId, true);
+
+  return {
+    message: "Subtitle stored successfully",
+    locations: Object.values(files).map((key) => `${OUTPUT_BUCKET}/${key}`),
+    files,
+    transcripts,
+    transcriptKey,
+    language,
+    languageCode,
+    identifiedLanguage,
+    languageConfidence,
+    jobId,
+    cleanedUp: deletedFiles.length,
+  };
+}
+
+/**
+ * Move the parent record once subtitles are stored
+ * An unsplit upload is done; a split one moves to STORING when its last chunk is stored,
+ * and mergeSubtitles.js takes it from there
+ */
+async function advanceVideo(originalKey, chunkIndex, totalChunks) {
+  if (!totalChunks || totalChunks <= 1) {
+    await transitionVideo(dynamodb, JOBS_TABLE, originalKey, VIDEO_STATES.DONE);
+    return;
+  }
+
+  const record = await recordChunkProgress(dynamodb, JOBS_TABLE, originalKey, "chunksStored", chunkIndex);
+  if (chunkCount(record, "chunksStored") >= totalChunks) {
+    await transitionVideo(dynamodb, JOBS_TABLE, originalKey, VIDEO_STATES.STORING);
+  }
+}
+
+export const handler = async (event) => {
+  console.log("storeSubtitles event:", JSON.stringify(event, null, 2));
+
+  try {
+    // Handle both direct object and potentially stringified input (defensive)
+    const eventData = typeof event === 'string' ? JSON.parse(event) : event;
+    const { originalKey, chunkIndex, totalChunks, language, transcriptUri, jobId, completedJobs } = eventData;
+    const { formats, subtitles, diarization, outputPrefix } = configFromEvent(eventData);
+
+    if (!originalKey) {
+      throw new Error(`Missing required field: originalKey. Event data: ${JSON.stringify(eventData)}`);
+    }
+
+    // Outputs go under the configured prefix, by default the file name without extension
+    const baseFileName = outputPrefix;
+
+    // Step Functions passes every completed language job of a file/chunk at once
+    if (Array.isArray(completedJobs) && completedJobs.length > 0) {
+      if (!totalChunks || totalChunks <= 1) {
+        await transitionVideo(dynamodb, JOBS_TABLE, originalKey, VIDEO_STATES.STORING);
+      }
+
+      const results = [];
+      for (const job of completedJobs) {
+        results.push(await storeCompletedJob({
+          baseFileName,
+          chunkIndex,
+          totalChunks,
+          formats,
+          subtitles,
+          diarization,
+          language: job.language,
+          languageCode: job.languageCode,
+          identifiedLanguage: job.identifiedLanguage,
+          languageConfidence: job.languageConfidence,
+          transcriptUri: job.transcriptUri,
+          jobId: job.jobId,
+        }));
       }
+
+      const manifestKey = buildManifestKey(baseFileName, chunkIndex, totalChunks);
+      await writeManifest(manifestKey, originalKey, chunkIndex, results);
+      await advanceVideo(originalKey, chunkIndex, totalChunks);
+
+      return {
+        message: `Stored subtitles for ${results.length} language(s)`,
+        results,
+        manifest: `${OUTPUT_BUCKET}/${manifestKey}`,
+        languages: results.map((result) => result.language),
+        cleanedUp: results.reduce((sum, result) => sum + (result.cleanedUp || 0), 0),
+      };
+    }
+
+    // If transcriptUri is provided, use it directly
+    if (transcriptUri) {
+      return await storeCompletedJob({
+        baseFileName,
+        chunkIndex,
+        totalChunks,
+        formats,
+        subtitles,
+        diarization,
+        language,
+        transcriptUri,
+        jobId,
+      });
     } else {
       // Fallback: query DynamoDB for job info
       const jobs = await getCompletedJobs(originalKey);
@@ -393,9 +567,7 @@ export const handler = async (event) => {
 
         const validContents = subtitleContents.filter((c) => c !== null);
         if (validContents.length > 0) {
-          const mergedContent = mergeSubtitles(validContents);
-          const finalKey = `${baseFileName}/${language}.srt`;
-          await uploadSubtitle(OUTPUT_BUCKET, finalKey, mergedContent);
+          await uploadCues(concatenateSubtitles(validContents), baseFileName, language, formats);
         }
       }
 
@@ -411,7 +583,9 @@ export const handler = async (event) => {
     }
   } catch (error) {
     console.error("Error in storeSubtitles:", error);
+    if (event?.originalKey) {
+      await recordVideoError(dynamodb, JOBS_TABLE, event.originalKey, error);
+    }
     throw error;
   }
 };
-
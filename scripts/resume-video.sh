@@ -0,0 +1,46 @@
+#!/bin/bash
+
+# Resume a failed video from its last good step
+# Usage: scripts/resume-video.sh <original key> [--force] [--dry-run]
+#
+# Invokes the resumeVideo Lambda, which retranscribes only the chunks that were not stored
+# and then merges the video as usual
+
+set -e
+
+ENVIRONMENT="${ENVIRONMENT:-dev}"
+FUNCTION_NAME="resume-video-${ENVIRONMENT}"
+
+if [ -z "$1" ]; then
+    echo "Usage: $0 <original key> [--force] [--dry-run]"
+    exit 1
+fi
+
+ORIGINAL_KEY="$1"
+shift
+
+FORCE=false
+DRY_RUN=false
+for arg in "$@"; do
+    case "$arg" in
+        --force) FORCE=true ;;
+        --dry-run) DRY_RUN=true ;;
+        *)
+            echo "Error: unknown option $arg"
+            exit 1
+            ;;
+    esac
+done
+
+PAYLOAD=$(printf '{"originalKey": %s, "force": %s, "dryRun": %s}' \
+    "$(node -e 'process.stdout.write(JSON.stringify(process.argv[1]))' "${ORIGINAL_KEY}")" \
+    "${FORCE}" "${DRY_RUN}")
+OUTPUT_FILE=$(mktemp)
+
+echo "Resuming ${ORIGINAL_KEY} with ${FUNCTION_NAME}..."
+aws lambda invoke --function-name "${FUNCTION_NAME}" \
+    --payload "${PAYLOAD}" --cli-binary-format raw-in-base64-out "${OUTPUT_FILE}" > /dev/null
+
+cat "${OUTPUT_FILE}"
+echo
+rm -f "${OUTPUT_FILE}"
@@ -0,0 +1,65 @@
+#!/bin/bash
+
+# Send a simulated Transcribe job state change event, as EventBridge would
+# Usage: scripts/simulate-transcribe-event.sh <job name> [COMPLETED|FAILED] [--local]
+#
+# The event resumes the execution waiting on the job's task token (see monitorTranscribe.js).
+# By default it invokes the deployed monitor-transcribe Lambda; --local runs the handler from
+# this checkout with your AWS credentials, against JOBS_TABLE (default transcription-jobs-<env>).
+# The job status is only a label: the handler always asks Transcribe for the real status.
+
+set -e
+
+ENVIRONMENT="${ENVIRONMENT:-dev}"
+FUNCTION_NAME="monitor-transcribe-${ENVIRONMENT}"
+
+if [ -z "$1" ]; then
+    echo "Usage: $0 <job name> [COMPLETED|FAILED] [--local]"
+    exit 1
+fi
+
+JOB_NAME="$1"
+shift
+
+JOB_STATUS=COMPLETED
+LOCAL=false
+for arg in "$@"; do
+    case "$arg" in
+        COMPLETED|FAILED) JOB_STATUS="$arg" ;;
+        --local) LOCAL=true ;;
+        *)
+            echo "Error: unknown option $arg"
+            exit 1
+            ;;
+    esac
+done
+
+EVENT=$(node -e '
+const [jobName, status] = process.argv.slice(1);
+process.stdout.write(JSON.stringify({
+  version: "0",
+  source: "aws.transcribe",
+  "detail-type": "Transcribe Job State Change",
+  time: new Date().toISOString(),
+  detail: { TranscriptionJobName: jobName, TranscriptionJobStatus: status },
+}));
+' "${JOB_NAME}" "${JOB_STATUS}")
+
+echo "Sending ${JOB_STATUS} event for ${JOB_NAME}..."
+
+if [ "${LOCAL}" = true ]; then
+    SCRIPT_DIR="$(cd "$(dirname "$0")" && pwd)"
+    JOBS_TABLE="${JOBS_TABLE:-transcription-jobs-${ENVIRONMENT}}" node --input-type=module -e '
+const { handler } = await import(process.argv[1]);
+console.log(JSON.stringify(await handler(JSON.parse(process.argv[2])), null, 2));
+' "${SCRIPT_DIR}/../functions/monitorTranscribe.js" "${EVENT}"
+    exit 0
+fi
+
+OUTPUT_FILE=$(mktemp)
+aws lambda invoke --function-name "${FUNCTION_NAME}" \
+    --payload "${EVENT}" --cli-binary-format raw-in-base64-out "${OUTPUT_FILE}" > /dev/null
+
+cat "${OUTPUT_FILE}"
+echo
+rm -f "${OUTPUT_FILE}"
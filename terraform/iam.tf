@@ -38,18 +38,139 @@ resource "aws_iam_role_policy" "on_upload_handler_policy" {
           "s3:GetObject",
           "s3:HeadObject",
           "s3:ListBucket",
-          "s3:GetObjectVersion"
+          "s3:GetObjectVersion",
+          "s3:GetObjectTagging"
         ]
         Resource = [
           aws_s3_bucket.video_uploads.arn,
           "${aws_s3_bucket.video_uploads.arn}/*"
         ]
       },
+      {
+        Effect = "Allow"
+        Action = [
+          "dynamodb:PutItem",
+          "dynamodb:UpdateItem"
+        ]
+        Resource = [
+          aws_dynamodb_table.transcription_jobs.arn,
+          "${aws_dynamodb_table.transcription_jobs.arn}/index/*"
+        ]
+      },
+      {
+        # Follows the execution an in-flight duplicate upload attached to
+        Effect = "Allow"
+        Action = [
+          "states:DescribeExecution"
+        ]
+        Resource = "arn:aws:states:${var.aws_region}:${data.aws_caller_identity.current.account_id}:execution:${aws_sfn_state_machine.transcription_workflow.name}:*"
+      },
       # Lambda invoke permissions removed - Step Functions handles orchestration
     ]
   })
 }
 
+# IAM role for extractAudio Lambda
+resource "aws_iam_role" "extract_audio_role" {
+  name = "extract-audio-role-${var.environment}"
+
+  assume_role_policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Action = "sts:AssumeRole"
+        Effect = "Allow"
+        Principal = {
+          Service = "lambda.amazonaws.com"
+        }
+      }
+    ]
+  })
+}
+
+resource "aws_iam_role_policy" "extract_audio_policy" {
+  name = "extract-audio-policy-${var.environment}"
+  role = aws_iam_role.extract_audio_role.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect = "Allow"
+        Action = [
+          "logs:CreateLogGroup",
+          "logs:CreateLogStream",
+          "logs:PutLogEvents"
+        ]
+        Resource = "arn:aws:logs:*:*:*"
+      },
+      {
+        Effect = "Allow"
+        Action = [
+          "s3:GetObject",
+          "s3:PutObject",
+          "s3:HeadObject",
+          "s3:ListBucket"
+        ]
+        Resource = [
+          aws_s3_bucket.video_uploads.arn,
+          "${aws_s3_bucket.video_uploads.arn}/*"
+        ]
+      }
+    ]
+  })
+}
+
+# IAM role for probeMedia Lambda
+resource "aws_iam_role" "probe_media_role" {
+  name = "probe-media-role-${var.environment}"
+
+  assume_role_policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Action = "sts:AssumeRole"
+        Effect = "Allow"
+        Principal = {
+          Service = "lambda.amazonaws.com"
+        }
+      }
+    ]
+  })
+}
+
+resource "aws_iam_role_policy" "probe_media_policy" {
+  name = "probe-media-policy-${var.environment}"
+  role = aws_iam_role.probe_media_role.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect = "Allow"
+        Action = [
+          "logs:CreateLogGroup",
+          "logs:CreateLogStream",
+          "logs:PutLogEvents"
+        ]
+        Resource = "arn:aws:logs:*:*:*"
+      },
+      {
+        # Read-only: the media is only read over presigned URLs
+        Effect = "Allow"
+        Action = [
+          "s3:GetObject",
+          "s3:ListBucket"
+        ]
+        Resource = [
+          aws_s3_bucket.video_uploads.arn,
+          "${aws_s3_bucket.video_uploads.arn}/*"
+        ]
+      }
+    ]
+  })
+}
+
 # IAM role for splitVideo Lambda
 resource "aws_iam_role" "split_video_role" {
   name = "split-video-role-${var.environment}"
@@ -92,13 +213,23 @@ resource "aws_iam_role_policy" "split_video_policy" {
           "s3:DeleteObject",
           "s3:HeadObject",
           "s3:ListBucket",
-          "s3:GetObjectVersion"
+          "s3:GetObjectVersion",
+          "s3:AbortMultipartUpload"
         ]
         Resource = [
           aws_s3_bucket.video_uploads.arn,
           "${aws_s3_bucket.video_uploads.arn}/*"
         ]
       },
+      {
+        Effect = "Allow"
+        Action = [
+          "dynamodb:UpdateItem"
+        ]
+        Resource = [
+          aws_dynamodb_table.transcription_jobs.arn
+        ]
+      },
       # Lambda invoke permissions removed - Step Functions handles orchestration
     ]
   })
@@ -189,7 +320,10 @@ resource "aws_iam_role_policy" "start_transcribe_policy" {
           "dynamodb:GetItem",
           "dynamodb:UpdateItem"
         ]
-        Resource = aws_dynamodb_table.transcription_jobs.arn
+        Resource = [
+          aws_dynamodb_table.transcription_jobs.arn,
+          "${aws_dynamodb_table.transcription_jobs.arn}/index/*"
+        ]
       }
     ]
   })
@@ -236,6 +370,15 @@ resource "aws_iam_role_policy" "monitor_transcribe_policy" {
         ]
         Resource = "*"
       },
+      {
+        # Resumes executions waiting on a task token; these actions have no resource-level scope
+        Effect = "Allow"
+        Action = [
+          "states:SendTaskSuccess",
+          "states:SendTaskFailure"
+        ]
+        Resource = "*"
+      },
       # Lambda invoke permissions removed - Step Functions handles orchestration
       {
         Effect = "Allow"
@@ -245,7 +388,10 @@ resource "aws_iam_role_policy" "monitor_transcribe_policy" {
           "dynamodb:GetItem",
           "dynamodb:UpdateItem"
         ]
-        Resource = aws_dynamodb_table.transcription_jobs.arn
+        Resource = [
+          aws_dynamodb_table.transcription_jobs.arn,
+          "${aws_dynamodb_table.transcription_jobs.arn}/index/*"
+        ]
       }
     ]
   })
@@ -307,9 +453,13 @@ resource "aws_iam_role_policy" "store_subtitles_policy" {
         Action = [
           "dynamodb:Scan",
           "dynamodb:Query",
-          "dynamodb:GetItem"
+          "dynamodb:GetItem",
+          "dynamodb:UpdateItem"
+        ]
+        Resource = [
+          aws_dynamodb_table.transcription_jobs.arn,
+          "${aws_dynamodb_table.transcription_jobs.arn}/index/*"
         ]
-        Resource = aws_dynamodb_table.transcription_jobs.arn
       }
     ]
   })
@@ -363,8 +513,302 @@ resource "aws_iam_role_policy" "merge_subtitles_policy" {
           aws_s3_bucket.video_subtitles.arn,
           "${aws_s3_bucket.video_subtitles.arn}/*"
         ]
+      },
+      {
+        Effect = "Allow"
+        Action = [
+          "dynamodb:UpdateItem"
+        ]
+        Resource = [
+          aws_dynamodb_table.transcription_jobs.arn
+        ]
+      }
+    ]
+  })
+}
+
+# IAM role for manageVocabulary Lambda
+resource "aws_iam_role" "manage_vocabulary_role" {
+  name = "manage-vocabulary-role-${var.environment}"
+
+  assume_role_policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Action = "sts:AssumeRole"
+        Effect = "Allow"
+        Principal = {
+          Service = "lambda.amazonaws.com"
+        }
+      }
+    ]
+  })
+}
+
+resource "aws_iam_role_policy" "manage_vocabulary_policy" {
+  name = "manage-vocabulary-policy-${var.environment}"
+  role = aws_iam_role.manage_vocabulary_role.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect = "Allow"
+        Action = [
+          "logs:CreateLogGroup",
+          "logs:CreateLogStream",
+          "logs:PutLogEvents"
+        ]
+        Resource = "arn:aws:logs:*:*:*"
+      },
+      {
+        Effect = "Allow"
+        Action = [
+          "transcribe:GetVocabulary",
+          "transcribe:CreateVocabulary",
+          "transcribe:UpdateVocabulary",
+          "transcribe:GetVocabularyFilter",
+          "transcribe:CreateVocabularyFilter",
+          "transcribe:UpdateVocabularyFilter"
+        ]
+        Resource = "*"
+      },
+      {
+        Effect = "Allow"
+        Action = [
+          "s3:GetObject"
+        ]
+        Resource = "${aws_s3_bucket.video_uploads.arn}/vocabularies/*"
+      }
+    ]
+  })
+}
+
+# IAM role for notifyWebhook Lambda
+resource "aws_iam_role" "notify_webhook_role" {
+  name = "notify-webhook-role-${var.environment}"
+
+  assume_role_policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Action = "sts:AssumeRole"
+        Effect = "Allow"
+        Principal = {
+          Service = "lambda.amazonaws.com"
+        }
+      }
+    ]
+  })
+}
+
+resource "aws_iam_role_policy" "notify_webhook_policy" {
+  name = "notify-webhook-policy-${var.environment}"
+  role = aws_iam_role.notify_webhook_role.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect = "Allow"
+        Action = [
+          "logs:CreateLogGroup",
+          "logs:CreateLogStream",
+          "logs:PutLogEvents"
+        ]
+        Resource = "arn:aws:logs:*:*:*"
+      },
+      {
+        Effect = "Allow"
+        Action = [
+          "dynamodb:UpdateItem"
+        ]
+        Resource = [
+          aws_dynamodb_table.transcription_jobs.arn
+        ]
+      }
+    ]
+  })
+}
+
+# IAM role for getJobStatus Lambda
+resource "aws_iam_role" "get_job_status_role" {
+  name = "get-job-status-role-${var.environment}"
+
+  assume_role_policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Action = "sts:AssumeRole"
+        Effect = "Allow"
+        Principal = {
+          Service = "lambda.amazonaws.com"
+        }
+      }
+    ]
+  })
+}
+
+resource "aws_iam_role_policy" "get_job_status_policy" {
+  name = "get-job-status-policy-${var.environment}"
+  role = aws_iam_role.get_job_status_role.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect = "Allow"
+        Action = [
+          "logs:CreateLogGroup",
+          "logs:CreateLogStream",
+          "logs:PutLogEvents"
+        ]
+        Resource = "arn:aws:logs:*:*:*"
+      },
+      {
+        Effect = "Allow"
+        Action = [
+          "dynamodb:GetItem",
+          "dynamodb:Scan",
+          "dynamodb:Query"
+        ]
+        Resource = [
+          aws_dynamodb_table.transcription_jobs.arn,
+          "${aws_dynamodb_table.transcription_jobs.arn}/index/*"
+        ]
+      },
+      {
+        # Read manifests and sign the output links handed to callers
+        Effect = "Allow"
+        Action = [
+          "s3:GetObject",
+          "s3:ListBucket"
+        ]
+        Resource = [
+          aws_s3_bucket.video_subtitles.arn,
+          "${aws_s3_bucket.video_subtitles.arn}/*"
+        ]
+      }
+    ]
+  })
+}
+
+# IAM role for backfillJobs Lambda
+resource "aws_iam_role" "backfill_jobs_role" {
+  name = "backfill-jobs-role-${var.environment}"
+
+  assume_role_policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Action = "sts:AssumeRole"
+        Effect = "Allow"
+        Principal = {
+          Service = "lambda.amazonaws.com"
+        }
+      }
+    ]
+  })
+}
+
+resource "aws_iam_role_policy" "backfill_jobs_policy" {
+  name = "backfill-jobs-policy-${var.environment}"
+  role = aws_iam_role.backfill_jobs_role.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect = "Allow"
+        Action = [
+          "logs:CreateLogGroup",
+          "logs:CreateLogStream",
+          "logs:PutLogEvents"
+        ]
+        Resource = "arn:aws:logs:*:*:*"
+      },
+      {
+        Effect = "Allow"
+        Action = [
+          "dynamodb:Scan",
+          "dynamodb:Query",
+          "dynamodb:PutItem",
+          "dynamodb:UpdateItem",
+          "dynamodb:DeleteItem"
+        ]
+        Resource = [
+          aws_dynamodb_table.transcription_jobs.arn,
+          "${aws_dynamodb_table.transcription_jobs.arn}/index/*"
+        ]
       }
     ]
   })
 }
 
+# IAM role for resumeVideo Lambda
+resource "aws_iam_role" "resume_video_role" {
+  name = "resume-video-role-${var.environment}"
+
+  assume_role_policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Action = "sts:AssumeRole"
+        Effect = "Allow"
+        Principal = {
+          Service = "lambda.amazonaws.com"
+        }
+      }
+    ]
+  })
+}
+
+resource "aws_iam_role_policy" "resume_video_policy" {
+  name = "resume-video-policy-${var.environment}"
+  role = aws_iam_role.resume_video_role.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect = "Allow"
+        Action = [
+          "logs:CreateLogGroup",
+          "logs:CreateLogStream",
+          "logs:PutLogEvents"
+        ]
+        Resource = "arn:aws:logs:*:*:*"
+      },
+      {
+        Effect = "Allow"
+        Action = [
+          "dynamodb:GetItem",
+          "dynamodb:UpdateItem"
+        ]
+        Resource = [
+          aws_dynamodb_table.transcription_jobs.arn
+        ]
+      },
+      {
+        Effect = "Allow"
+        Action = [
+          "s3:GetObject",
+          "s3:ListBucket"
+        ]
+        Resource = [
+          aws_s3_bucket.video_subtitles.arn,
+          "${aws_s3_bucket.video_subtitles.arn}/*",
+          aws_s3_bucket.video_uploads.arn,
+          "${aws_s3_bucket.video_uploads.arn}/chunks/*"
+        ]
+      },
+      {
+        Effect = "Allow"
+        Action = [
+          "states:StartExecution"
+        ]
+        Resource = aws_sfn_state_machine.transcription_workflow.arn
+      }
+    ]
+  })
+}
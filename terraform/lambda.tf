@@ -14,6 +14,16 @@ resource "aws_lambda_function" "on_upload_handler" {
       INPUT_BUCKET     = aws_s3_bucket.video_uploads.id
       OUTPUT_BUCKET    = aws_s3_bucket.video_subtitles.id
       MAX_FILE_SIZE_MB = var.max_file_size_mb
+      MAX_DIRECT_DURATION_SECONDS = var.max_direct_duration_seconds
+      SEGMENT_TIME_SECONDS = var.segment_time_seconds
+      DEFAULT_LANGUAGES = var.default_languages
+      DEFAULT_FORMATS  = var.default_formats
+      DEFAULT_SUBTITLE_PRESET = var.default_subtitle_preset
+      DEFAULT_MAX_SPEAKERS = var.default_max_speakers
+      DEFAULT_PARTIAL_MERGE = var.default_partial_merge
+      DEFAULT_GAP_MARKER = var.default_gap_marker
+      JOBS_TABLE       = aws_dynamodb_table.transcription_jobs.name
+      STALE_RUN_HOURS  = var.stale_run_hours
     }
   }
 }
@@ -28,6 +38,58 @@ resource "aws_lambda_function" "on_upload_handler" {
 #   source_arn    = aws_s3_bucket.video_uploads.arn
 # }
 
+# Lambda function: extractAudio
+resource "aws_lambda_function" "extract_audio" {
+  filename         = "../functions.zip"
+  function_name    = "extract-audio-${var.environment}"
+  role            = aws_iam_role.extract_audio_role.arn
+  handler         = "extractAudio.handler"
+  runtime         = var.lambda_runtime
+  timeout         = var.lambda_timeout
+  memory_size     = 2048 # More memory for audio encoding
+  source_code_hash = data.archive_file.lambda_zip.output_base64sha256
+
+  # The extracted audio track is written to /tmp before upload
+  ephemeral_storage {
+    size = 2048
+  }
+
+  environment {
+    variables = {
+      EXTRACT_AUDIO = var.extract_audio
+      AUDIO_FORMAT  = var.audio_format
+    }
+  }
+
+  layers = var.ffmpeg_layer_arn != "" ? [var.ffmpeg_layer_arn] : []
+}
+
+# Lambda function: probeMedia
+resource "aws_lambda_function" "probe_media" {
+  filename         = "../functions.zip"
+  function_name    = "probe-media-${var.environment}"
+  role            = aws_iam_role.probe_media_role.arn
+  handler         = "probeMedia.handler"
+  runtime         = var.lambda_runtime
+  timeout         = var.lambda_timeout
+  memory_size     = var.lambda_memory_size
+  source_code_hash = data.archive_file.lambda_zip.output_base64sha256
+
+  environment {
+    variables = {
+      MEASURE_LOUDNESS = var.measure_loudness
+    }
+  }
+
+  # ffprobe and ffmpeg read the media over presigned URLs; nothing is written to /tmp
+  layers = var.ffmpeg_layer_arn != "" ? [var.ffmpeg_layer_arn] : []
+}
+
+locals {
+  # A local split holds the source and the chunks in flight, at most twice the source size
+  split_video_tmp_mb = min(10240, max(512, ceil(var.distributed_split_threshold_mb * 2)))
+}
+
 # Lambda function: splitVideo
 resource "aws_lambda_function" "split_video" {
   filename         = "../functions.zip"
@@ -43,9 +105,21 @@ resource "aws_lambda_function" "split_video" {
     variables = {
       INPUT_BUCKET     = aws_s3_bucket.video_uploads.id
       OUTPUT_BUCKET    = aws_s3_bucket.video_subtitles.id
+      CHUNK_OVERLAP_SECONDS = var.chunk_overlap_seconds
+      SEGMENT_TIME_SECONDS  = var.segment_time_seconds
+      SPLIT_STRATEGY        = var.split_strategy
+      CHUNK_UPLOAD_CONCURRENCY = var.chunk_upload_concurrency
+      SPLIT_MODE            = var.split_mode
+      DISTRIBUTED_SPLIT_THRESHOLD_MB = var.distributed_split_threshold_mb
+      TMP_STORAGE_MB        = local.split_video_tmp_mb
+      JOBS_TABLE            = aws_dynamodb_table.transcription_jobs.name
     }
   }
 
+  ephemeral_storage {
+    size = local.split_video_tmp_mb
+  }
+
   # Use ffmpeg layer if provided
   # To use a public layer, set ffmpeg_layer_arn in terraform.tfvars or via -var
   # Example: ffmpeg_layer_arn = "arn:aws:lambda:us-east-1:770693421928:layer:Klayers-p320-ffmpeg:1"
@@ -69,6 +143,7 @@ resource "aws_lambda_function" "start_transcribe" {
       INPUT_BUCKET     = aws_s3_bucket.video_uploads.id
       OUTPUT_BUCKET    = aws_s3_bucket.video_subtitles.id
       JOBS_TABLE = aws_dynamodb_table.transcription_jobs.name
+      DEFAULT_LANGUAGES = var.default_languages
     }
   }
 }
@@ -107,6 +182,7 @@ resource "aws_lambda_function" "store_subtitles" {
     variables = {
       OUTPUT_BUCKET = aws_s3_bucket.video_subtitles.id
       JOBS_TABLE = aws_dynamodb_table.transcription_jobs.name
+      DEFAULT_FORMATS = var.default_formats
     }
   }
 }
@@ -125,6 +201,91 @@ resource "aws_lambda_function" "merge_subtitles" {
   environment {
     variables = {
       OUTPUT_BUCKET = aws_s3_bucket.video_subtitles.id
+      DEFAULT_LANGUAGES = var.default_languages
+      DEFAULT_FORMATS = var.default_formats
+      JOBS_TABLE = aws_dynamodb_table.transcription_jobs.name
+    }
+  }
+}
+
+# Lambda function: manageVocabulary (admin, invoked manually)
+resource "aws_lambda_function" "manage_vocabulary" {
+  filename         = "../functions.zip"
+  function_name    = "manage-vocabulary-${var.environment}"
+  role            = aws_iam_role.manage_vocabulary_role.arn
+  handler         = "manageVocabulary.handler"
+  runtime         = var.lambda_runtime
+  timeout         = var.lambda_timeout
+  memory_size     = var.lambda_memory_size
+  source_code_hash = data.archive_file.lambda_zip.output_base64sha256
+
+  environment {
+    variables = {
+      VOCABULARY_BUCKET = aws_s3_bucket.video_uploads.id
+    }
+  }
+}
+
+# Lambda function: notifyWebhook
+resource "aws_lambda_function" "notify_webhook" {
+  filename         = "../functions.zip"
+  function_name    = "notify-webhook-${var.environment}"
+  role            = aws_iam_role.notify_webhook_role.arn
+  handler         = "notifyWebhook.handler"
+  runtime         = var.lambda_runtime
+  timeout         = 30
+  memory_size     = 128
+  source_code_hash = data.archive_file.lambda_zip.output_base64sha256
+
+  environment {
+    variables = {
+      WEBHOOK_URL    = var.webhook_url
+      WEBHOOK_SECRET = var.webhook_secret
+      JOBS_TABLE     = aws_dynamodb_table.transcription_jobs.name
+    }
+  }
+}
+
+# Lambda function: getJobStatus (job status API)
+resource "aws_lambda_function" "get_job_status" {
+  filename         = "../functions.zip"
+  function_name    = "get-job-status-${var.environment}"
+  role            = aws_iam_role.get_job_status_role.arn
+  handler         = "getJobStatus.handler"
+  runtime         = var.lambda_runtime
+  timeout         = 30
+  memory_size     = var.lambda_memory_size
+  source_code_hash = data.archive_file.lambda_zip.output_base64sha256
+
+  environment {
+    variables = {
+      OUTPUT_BUCKET       = aws_s3_bucket.video_subtitles.id
+      JOBS_TABLE          = aws_dynamodb_table.transcription_jobs.name
+      LINK_EXPIRY_SECONDS = var.status_link_expiry_seconds
+    }
+  }
+}
+
+# Callers sign requests with SigV4; put API Gateway in front for other kinds of auth
+resource "aws_lambda_function_url" "get_job_status" {
+  function_name      = aws_lambda_function.get_job_status.function_name
+  authorization_type = "AWS_IAM"
+}
+
+# Lambda function: backfillJobs (admin, invoked manually after adding the table indexes)
+resource "aws_lambda_function" "backfill_jobs" {
+  filename         = "../functions.zip"
+  function_name    = "backfill-jobs-${var.environment}"
+  role            = aws_iam_role.backfill_jobs_role.arn
+  handler         = "backfillJobs.handler"
+  runtime         = var.lambda_runtime
+  timeout         = 900
+  memory_size     = var.lambda_memory_size
+  source_code_hash = data.archive_file.lambda_zip.output_base64sha256
+
+  environment {
+    variables = {
+      JOBS_TABLE = aws_dynamodb_table.transcription_jobs.name
     }
   }
 }
@@ -152,3 +313,22 @@ resource "null_resource" "build_functions" {
 # Step Functions will invoke Lambda functions directly, so we don't need
 # Lambda-to-Lambda invoke permissions anymore
 
+# Lambda function: resumeVideo (admin, invoked manually)
+resource "aws_lambda_function" "resume_video" {
+  filename         = "../functions.zip"
+  function_name    = "resume-video-${var.environment}"
+  role            = aws_iam_role.resume_video_role.arn
+  handler         = "resumeVideo.handler"
+  runtime         = var.lambda_runtime
+  timeout         = 300
+  memory_size     = var.lambda_memory_size
+  source_code_hash = data.archive_file.lambda_zip.output_base64sha256
+
+  environment {
+    variables = {
+      OUTPUT_BUCKET     = aws_s3_bucket.video_subtitles.id
+      JOBS_TABLE        = aws_dynamodb_table.transcription_jobs.name
+      STATE_MACHINE_ARN = aws_sfn_state_machine.transcription_workflow.arn
+    }
+  }
+}
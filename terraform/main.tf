@@ -12,6 +12,37 @@ resource "aws_dynamodb_table" "transcription_jobs" {
     type = "S"
   }
 
+  attribute {
+    name = "originalKey"
+    type = "S"
+  }
+
+  attribute {
+    name = "status"
+    type = "S"
+  }
+
+  attribute {
+    name = "createdAt"
+    type = "S"
+  }
+
+  # Every record of an upload: the parent video record and its Transcribe jobs
+  global_secondary_index {
+    name            = "originalKey-index"
+    hash_key        = "originalKey"
+    range_key       = "createdAt"
+    projection_type = "ALL"
+  }
+
+  # Records in one status, e.g. Transcribe jobs still IN_PROGRESS
+  global_secondary_index {
+    name            = "status-index"
+    hash_key        = "status"
+    range_key       = "createdAt"
+    projection_type = "ALL"
+  }
+
   tags = {
     Environment = var.environment
     Name        = "Transcription Jobs"
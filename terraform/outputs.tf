@@ -13,6 +13,16 @@ output "on_upload_handler_arn" {
   value       = aws_lambda_function.on_upload_handler.arn
 }
 
+output "extract_audio_arn" {
+  description = "ARN of the extractAudio Lambda function"
+  value       = aws_lambda_function.extract_audio.arn
+}
+
+output "probe_media_arn" {
+  description = "ARN of the probeMedia Lambda function"
+  value       = aws_lambda_function.probe_media.arn
+}
+
 output "split_video_arn" {
   description = "ARN of the splitVideo Lambda function"
   value       = aws_lambda_function.split_video.arn
@@ -48,3 +58,32 @@ output "step_functions_state_machine_name" {
   value       = aws_sfn_state_machine.transcription_workflow.name
 }
 
+output "manage_vocabulary_arn" {
+  description = "ARN of the manageVocabulary admin Lambda function"
+  value       = aws_lambda_function.manage_vocabulary.arn
+}
+
+output "notify_webhook_arn" {
+  description = "ARN of the notifyWebhook Lambda function"
+  value       = aws_lambda_function.notify_webhook.arn
+}
+
+output "get_job_status_arn" {
+  description = "ARN of the getJobStatus Lambda function"
+  value       = aws_lambda_function.get_job_status.arn
+}
+
+output "job_status_url" {
+  description = "Function URL of the job status API (IAM-authenticated)"
+  value       = aws_lambda_function_url.get_job_status.function_url
+}
+
+output "backfill_jobs_arn" {
+  description = "ARN of the backfillJobs admin Lambda function"
+  value       = aws_lambda_function.backfill_jobs.arn
+}
+
+output "resume_video_arn" {
+  description = "ARN of the resumeVideo admin Lambda function"
+  value       = aws_lambda_function.resume_video.arn
+}
@@ -134,6 +134,8 @@ resource "aws_s3_bucket_policy" "video_uploads_transcribe_access" {
         Principal = {
           AWS = [
             aws_iam_role.on_upload_handler_role.arn,
+            aws_iam_role.extract_audio_role.arn,
+            aws_iam_role.probe_media_role.arn,
             aws_iam_role.split_video_role.arn,
             aws_iam_role.start_transcribe_role.arn,
             aws_iam_role.store_subtitles_role.arn,
@@ -151,6 +153,8 @@ resource "aws_s3_bucket_policy" "video_uploads_transcribe_access" {
         Principal = {
           AWS = [
             aws_iam_role.on_upload_handler_role.arn,
+            aws_iam_role.extract_audio_role.arn,
+            aws_iam_role.probe_media_role.arn,
             aws_iam_role.split_video_role.arn,
             aws_iam_role.start_transcribe_role.arn,
             aws_iam_role.store_subtitles_role.arn,
@@ -214,6 +218,8 @@ resource "aws_s3_bucket_policy" "video_subtitles_transcribe_access" {
         Principal = {
           AWS = [
             aws_iam_role.on_upload_handler_role.arn,
+            aws_iam_role.extract_audio_role.arn,
+            aws_iam_role.probe_media_role.arn,
             aws_iam_role.split_video_role.arn,
             aws_iam_role.start_transcribe_role.arn,
             aws_iam_role.store_subtitles_role.arn,
@@ -231,6 +237,8 @@ resource "aws_s3_bucket_policy" "video_subtitles_transcribe_access" {
         Principal = {
           AWS = [
             aws_iam_role.on_upload_handler_role.arn,
+            aws_iam_role.extract_audio_role.arn,
+            aws_iam_role.probe_media_role.arn,
             aws_iam_role.split_video_role.arn,
             aws_iam_role.start_transcribe_role.arn,
             aws_iam_role.store_subtitles_role.arn,
@@ -47,12 +47,15 @@ resource "aws_iam_role_policy" "step_functions_policy" {
           "lambda:InvokeFunction"
         ]
         Resource = [
+          aws_lambda_function.extract_audio.arn,
+          aws_lambda_function.probe_media.arn,
           aws_lambda_function.on_upload_handler.arn,
           aws_lambda_function.split_video.arn,
           aws_lambda_function.start_transcribe.arn,
           aws_lambda_function.monitor_transcribe.arn,
           aws_lambda_function.store_subtitles.arn,
-          aws_lambda_function.merge_subtitles.arn
+          aws_lambda_function.merge_subtitles.arn,
+          aws_lambda_function.notify_webhook.arn
         ]
       },
       {
@@ -87,6 +90,236 @@ resource "aws_iam_role_policy" "step_functions_policy" {
   })
 }
 
+# Webhook deliveries are retried with backoff for about 10 minutes; receivers that reject the
+# payload with a 4xx are not retried
+locals {
+  notify_retry = [
+    {
+      ErrorEquals = ["WebhookRejected"]
+      MaxAttempts = 0
+    },
+    {
+      ErrorEquals     = ["WebhookDeliveryFailed"]
+      IntervalSeconds = 10
+      MaxAttempts     = 6
+      BackoffRate     = 2.0
+    },
+    {
+      ErrorEquals     = ["States.ALL"]
+      IntervalSeconds = 2
+      MaxAttempts     = 2
+      BackoffRate     = 2.0
+    }
+  ]
+
+  # Media that ffmpeg cannot read, or a missing ffmpeg layer, fails the same way every time
+  media_retry = [
+    {
+      ErrorEquals = ["CorruptMedia", "NoAudioStream", "UnsupportedCodec", "MediaToolNotFound"]
+      MaxAttempts = 0
+    },
+    {
+      ErrorEquals     = ["States.ALL"]
+      IntervalSeconds = 2
+      MaxAttempts     = 3
+      BackoffRate     = 2.0
+    }
+  ]
+
+  # Only failures to invoke monitorTranscribe are retried; each attempt stores a new task token.
+  # A failed Transcribe job (TranscriptionFailed) or a timeout is not retried
+  wait_for_transcription_retry = [
+    {
+      ErrorEquals     = ["Lambda.ServiceException", "Lambda.AWSLambdaException", "Lambda.SdkClientException", "Lambda.TooManyRequestsException"]
+      IntervalSeconds = 2
+      MaxAttempts     = 3
+      BackoffRate     = 2.0
+    }
+  ]
+
+  # A failed Transcribe job (TranscriptionFailed) fails the same way when polled again
+  monitor_retry = [
+    {
+      ErrorEquals = ["TranscriptionFailed"]
+      MaxAttempts = 0
+    },
+    {
+      ErrorEquals     = ["States.ALL"]
+      IntervalSeconds = 2
+      MaxAttempts     = 2
+      BackoffRate     = 2.0
+    }
+  ]
+
+  # Transcribes, waits for and stores one chunk; shared by ProcessChunks and ResumeChunks
+  chunk_iterator = {
+    StartAt = "StartChunkTranscribe"
+    States = {
+      StartChunkTranscribe = {
+        Type     = "Task"
+        Resource = aws_lambda_function.start_transcribe.arn
+        Parameters = {
+          "bucket.$"      = "$.bucket"
+          "key.$"         = "$.key"
+          "originalKey.$" = "$.originalKey"
+          "chunkIndex.$"  = "$.chunkIndex"
+          "totalChunks.$" = "$.totalChunks"
+          "startTime.$"   = "$.startTime"
+          "duration.$"    = "$.duration"
+          "runId.$"       = "$.runId"
+          "config.$"      = "$.config"
+        }
+        ResultPath = "$.transcribeResult"
+        Next       = "WaitForChunkTranscription"
+        Retry = [
+          {
+            ErrorEquals     = ["Lambda.TooManyRequestsException", "Lambda.ServiceException", "States.TaskFailed"]
+            IntervalSeconds = 5
+            MaxAttempts     = 5
+            BackoffRate     = 2.0
+          },
+          {
+            ErrorEquals     = ["States.ALL"]
+            IntervalSeconds = 2
+            MaxAttempts     = 3
+            BackoffRate     = 2.0
+          }
+        ]
+        Catch = [
+          {
+            ErrorEquals = ["States.ALL"]
+            ResultPath  = "$.error"
+            Next        = "CheckChunkFailureTolerated"
+          }
+        ]
+      }
+      # Resumed by the Transcribe state change events through a task token stored on the job
+      # records; polls with MonitorChunkTranscription when no event arrives in time
+      WaitForChunkTranscription = {
+        Type     = "Task"
+        Resource = "arn:aws:states:::lambda:invoke.waitForTaskToken"
+        Parameters = {
+          FunctionName = aws_lambda_function.monitor_transcribe.arn
+          Payload = {
+            "taskToken.$"        = "$$.Task.Token"
+            "transcribeResult.$" = "$.transcribeResult"
+          }
+        }
+        TimeoutSeconds = var.transcription_event_timeout_seconds
+        ResultPath     = "$.monitorResult"
+        Next           = "CheckChunkComplete"
+        Retry          = local.wait_for_transcription_retry
+        Catch = [
+          {
+            ErrorEquals = ["States.Timeout"]
+            ResultPath  = "$.waitTimeout"
+            Next        = "MonitorChunkTranscription"
+          },
+          {
+            ErrorEquals = ["States.ALL"]
+            ResultPath  = "$.error"
+            Next        = "CheckChunkFailureTolerated"
+          }
+        ]
+      }
+      MonitorChunkTranscription = {
+        Type       = "Task"
+        Resource   = aws_lambda_function.monitor_transcribe.arn
+        InputPath  = "$.transcribeResult"
+        ResultPath = "$.monitorResult"
+        Next       = "CheckChunkComplete"
+        Retry      = local.monitor_retry
+        Catch = [
+          {
+            ErrorEquals = ["States.ALL"]
+            ResultPath  = "$.error"
+            Next        = "CheckChunkFailureTolerated"
+          }
+        ]
+      }
+      CheckChunkComplete = {
+        Type = "Choice"
+        Choices = [
+          {
+            Variable      = "$.monitorResult.allComplete"
+            BooleanEquals = true
+            Next          = "StoreChunkSubtitles"
+          }
+        ]
+        Default = "WaitChunk"
+      }
+      WaitChunk = {
+        Type    = "Wait"
+        Seconds = 30
+        Next    = "MonitorChunkTranscription"
+      }
+      StoreChunkSubtitles = {
+        Type     = "Task"
+        Resource = aws_lambda_function.store_subtitles.arn
+        Parameters = {
+          "originalKey.$"   = "$.monitorResult.originalKey"
+          "chunkIndex.$"    = "$.monitorResult.chunkIndex"
+          "totalChunks.$"   = "$.monitorResult.totalChunks"
+          "completedJobs.$" = "$.monitorResult.completedJobs"
+          "config.$"        = "$.config"
+        }
+        ResultPath = "$.storeResult"
+        End        = true
+        Retry = [
+          {
+            ErrorEquals     = ["States.ALL"]
+            IntervalSeconds = 2
+            MaxAttempts     = 3
+            BackoffRate     = 2.0
+          }
+        ]
+        Catch = [
+          {
+            ErrorEquals = ["States.ALL"]
+            ResultPath  = "$.error"
+            Next        = "CheckChunkFailureTolerated"
+          }
+        ]
+      }
+      # With partialMerge a failed chunk ends its iteration normally so the other chunks are
+      # still merged; mergeSubtitles.js marks the outputs incomplete
+      CheckChunkFailureTolerated = {
+        Type = "Choice"
+        Choices = [
+          {
+            And = [
+              {
+                Variable  = "$.config.partialMerge"
+                IsPresent = true
+              },
+              {
+                Variable      = "$.config.partialMerge"
+                BooleanEquals = true
+              }
+            ]
+            Next = "ChunkSkipped"
+          }
+        ]
+        Default = "ChunkFailureState"
+      }
+      ChunkSkipped = {
+        Type = "Pass"
+        Parameters = {
+          "chunkIndex.$" = "$.chunkIndex"
+          "skipped"      = true
+          "error.$"      = "$.error"
+        }
+        End = true
+      }
+      ChunkFailureState = {
+        Type  = "Fail"
+        Error = "ChunkProcessingFailed"
+        Cause = "$.error"
+      }
+    }
+  }
+}
+
 # Step Functions State Machine Definition
 resource "aws_sfn_state_machine" "transcription_workflow" {
   name     = "transcription-workflow-${var.environment}"
@@ -94,14 +327,197 @@ resource "aws_sfn_state_machine" "transcription_workflow" {
 
   definition = jsonencode({
     Comment = "Video Transcription Workflow using Step Functions"
-    StartAt = "CheckFileSize"
+    StartAt = "CheckResume"
     States = {
-      CheckFileSize = {
+      # resumeVideo.js starts executions that only retranscribe the chunks a failed run lost
+      CheckResume = {
+        Type = "Choice"
+        Choices = [
+          {
+            Variable  = "$.resume"
+            IsPresent = true
+            Next      = "ResumeChunks"
+          }
+        ]
+        Default = "ClaimUpload"
+      }
+      ResumeChunks = {
+        Type           = "Map"
+        ItemsPath      = "$.resume.chunks"
+        MaxConcurrency = 3
+        ResultPath     = "$.chunkResults"
+        Iterator       = local.chunk_iterator
+        Next           = "CheckIfMergeNeeded"
+        Catch = [
+          {
+            ErrorEquals = ["States.ALL"]
+            ResultPath  = "$.error"
+            Next        = "NotifyFailure"
+          }
+        ]
+      }
+      # Claims the parent record before any media work, so duplicate uploads cost no extraction
+      ClaimUpload = {
+        Type     = "Task"
+        Resource = aws_lambda_function.on_upload_handler.arn
+        Parameters = {
+          "phase"         = "claim"
+          "upload.$"      = "$"
+          "executionId.$" = "$$.Execution.Id"
+        }
+        ResultPath = "$.claim"
+        Next       = "CheckClaim"
+        Retry = [
+          {
+            ErrorEquals     = ["States.ALL"]
+            IntervalSeconds = 2
+            MaxAttempts     = 3
+            BackoffRate     = 2.0
+          }
+        ]
+        # Without a claim the record may belong to another run, so it is left alone
+        Catch = [
+          {
+            ErrorEquals = ["States.ALL"]
+            ResultPath  = "$.error"
+            Next        = "FailureState"
+          }
+        ]
+      }
+      CheckClaim = {
+        Type = "Choice"
+        Choices = [
+          {
+            Variable     = "$.claim.action"
+            StringEquals = "skip"
+            Next         = "AlreadyProcessed"
+          },
+          {
+            Variable     = "$.claim.action"
+            StringEquals = "attach"
+            Next         = "AttachToRun"
+          }
+        ]
+        Default = "ExtractAudio"
+      }
+      # Duplicate uploads end here without extracting audio, starting Transcribe jobs or notifying
+      AlreadyProcessed = {
+        Type = "Succeed"
+      }
+      # A duplicate of an unfinished run follows that execution and ends the way it does
+      AttachToRun = {
+        Type     = "Task"
+        Resource = aws_lambda_function.on_upload_handler.arn
+        Parameters = {
+          "phase"         = "attach"
+          "duplicateOf.$" = "$.claim.duplicateOf"
+        }
+        ResultPath = "$.attached"
+        Next       = "CheckAttachedRun"
+        Retry = [
+          {
+            ErrorEquals     = ["States.ALL"]
+            IntervalSeconds = 2
+            MaxAttempts     = 3
+            BackoffRate     = 2.0
+          }
+        ]
+        # The record belongs to the other run, so it is left alone
+        Catch = [
+          {
+            ErrorEquals = ["States.ALL"]
+            ResultPath  = "$.error"
+            Next        = "FailureState"
+          }
+        ]
+      }
+      CheckAttachedRun = {
+        Type = "Choice"
+        Choices = [
+          {
+            Variable      = "$.attached.running"
+            BooleanEquals = true
+            Next          = "WaitForAttachedRun"
+          },
+          {
+            Variable     = "$.attached.status"
+            StringEquals = "SUCCEEDED"
+            Next         = "AlreadyProcessed"
+          }
+        ]
+        Default = "AttachedRunFailed"
+      }
+      WaitForAttachedRun = {
+        Type    = "Wait"
+        Seconds = 60
+        Next    = "AttachToRun"
+      }
+      AttachedRunFailed = {
+        Type  = "Fail"
+        Error = "AttachedRunFailed"
+        Cause = "The execution processing the same upload did not succeed"
+      }
+      ExtractAudio = {
         Type       = "Task"
-        Resource   = aws_lambda_function.on_upload_handler.arn
+        Resource   = aws_lambda_function.extract_audio.arn
+        ResultPath = "$.audio"
+        Next       = "ProbeMedia"
+        Retry      = local.media_retry
+        Catch = [
+          {
+            ErrorEquals = ["States.ALL"]
+            ResultPath  = "$.error"
+            Next        = "NotifyFailure"
+          }
+        ]
+      }
+      # Duration, codecs and loudness for routing and reporting; onUploadHandler rejects media
+      # the probe found unusable
+      ProbeMedia = {
+        Type     = "Task"
+        Resource = aws_lambda_function.probe_media.arn
+        Parameters = {
+          "bucket.$"      = "$.audio.bucket"
+          "key.$"         = "$.audio.key"
+          "originalKey.$" = "$.audio.originalKey"
+        }
+        ResultPath = "$.probe"
+        Next       = "CheckFileSize"
+        Retry = [
+          {
+            ErrorEquals     = ["States.ALL"]
+            IntervalSeconds = 2
+            MaxAttempts     = 2
+            BackoffRate     = 2.0
+          }
+        ]
+        # A failed probe does not stop the upload: CheckFileSize routes it on its size instead
+        Catch = [
+          {
+            ErrorEquals = ["States.ALL"]
+            ResultPath  = "$.probe"
+            Next        = "CheckFileSize"
+          }
+        ]
+      }
+      CheckFileSize = {
+        Type     = "Task"
+        Resource = aws_lambda_function.on_upload_handler.arn
+        Parameters = {
+          "bucket.$"      = "$.audio.bucket"
+          "key.$"         = "$.audio.key"
+          "originalKey.$" = "$.audio.originalKey"
+          "probe.$"       = "$.probe"
+          "claim.$"       = "$.claim"
+        }
         ResultPath = "$.sizeCheck"
         Next       = "CheckSizeDecision"
         Retry = [
+          {
+            # Rejected uploads fail the same way every time
+            ErrorEquals = ["UnsupportedMediaFormat", "InvalidJobConfig", "CorruptMedia", "NoAudioStream", "UnsupportedCodec"]
+            MaxAttempts = 0
+          },
           {
             ErrorEquals     = ["States.ALL"]
             IntervalSeconds = 2
@@ -113,7 +529,7 @@ resource "aws_sfn_state_machine" "transcription_workflow" {
           {
             ErrorEquals = ["States.ALL"]
             ResultPath  = "$.error"
-            Next        = "FailureState"
+            Next        = "NotifyFailure"
           }
         ]
       }
@@ -133,6 +549,65 @@ resource "aws_sfn_state_machine" "transcription_workflow" {
         Resource   = aws_lambda_function.split_video.arn
         ResultPath = "$.splitResult"
         InputPath  = "$.sizeCheck"
+        Next       = "CheckSplitMode"
+        Retry      = local.media_retry
+        Catch = [
+          {
+            ErrorEquals = ["States.ALL"]
+            ResultPath  = "$.error"
+            Next        = "NotifyFailure"
+          }
+        ]
+      }
+      # Sources too large for /tmp are only planned by SplitVideo; one ExtractChunk per range
+      # reads its time range straight from S3
+      CheckSplitMode = {
+        Type = "Choice"
+        Choices = [
+          {
+            Variable     = "$.splitResult.mode"
+            StringEquals = "distributed"
+            Next         = "ExtractChunks"
+          }
+        ]
+        Default = "ProcessChunks"
+      }
+      ExtractChunks = {
+        Type           = "Map"
+        ItemsPath      = "$.splitResult.ranges"
+        MaxConcurrency = var.split_worker_concurrency
+        ResultPath     = "$.extractedChunks"
+        Iterator = {
+          StartAt = "ExtractChunk"
+          States = {
+            ExtractChunk = {
+              Type     = "Task"
+              Resource = aws_lambda_function.split_video.arn
+              End      = true
+              Retry    = local.media_retry
+            }
+          }
+        }
+        Next = "FinishSplit"
+        Catch = [
+          {
+            ErrorEquals = ["States.ALL"]
+            ResultPath  = "$.error"
+            Next        = "NotifyFailure"
+          }
+        ]
+      }
+      FinishSplit = {
+        Type     = "Task"
+        Resource = aws_lambda_function.split_video.arn
+        Parameters = {
+          splitAction     = "finish"
+          "chunks.$"      = "$.extractedChunks"
+          "originalKey.$" = "$.splitResult.originalKey"
+          "runId.$"       = "$.splitResult.runId"
+          "config.$"      = "$.splitResult.config"
+        }
+        ResultPath = "$.splitResult"
         Next       = "ProcessChunks"
         Retry = [
           {
@@ -146,7 +621,7 @@ resource "aws_sfn_state_machine" "transcription_workflow" {
           {
             ErrorEquals = ["States.ALL"]
             ResultPath  = "$.error"
-            Next        = "FailureState"
+            Next        = "NotifyFailure"
           }
         ]
       }
@@ -155,123 +630,13 @@ resource "aws_sfn_state_machine" "transcription_workflow" {
         ItemsPath      = "$.splitResult.chunks"
         MaxConcurrency = 3
         ResultPath     = "$.chunkResults"
-        Iterator = {
-          StartAt = "StartChunkTranscribe"
-          States = {
-            StartChunkTranscribe = {
-              Type     = "Task"
-              Resource = aws_lambda_function.start_transcribe.arn
-              Parameters = {
-                "bucket.$"      = "$.bucket"
-                "key.$"         = "$.key"
-                "originalKey.$" = "$.originalKey"
-                "chunkIndex.$"  = "$.chunkIndex"
-                "totalChunks.$" = "$.totalChunks"
-              }
-              ResultPath = "$.transcribeResult"
-              Next       = "MonitorChunkTranscription"
-              Retry = [
-                {
-                  ErrorEquals     = ["Lambda.TooManyRequestsException", "Lambda.ServiceException", "States.TaskFailed"]
-                  IntervalSeconds = 5
-                  MaxAttempts     = 5
-                  BackoffRate     = 2.0
-                },
-                {
-                  ErrorEquals     = ["States.ALL"]
-                  IntervalSeconds = 2
-                  MaxAttempts     = 3
-                  BackoffRate     = 2.0
-                }
-              ]
-              Catch = [
-                {
-                  ErrorEquals = ["States.ALL"]
-                  ResultPath  = "$.error"
-                  Next        = "ChunkFailureState"
-                }
-              ]
-            }
-            MonitorChunkTranscription = {
-              Type       = "Task"
-              Resource   = aws_lambda_function.monitor_transcribe.arn
-              InputPath  = "$.transcribeResult"
-              ResultPath = "$.monitorResult"
-              Next       = "CheckChunkComplete"
-              Retry = [
-                {
-                  ErrorEquals     = ["States.ALL"]
-                  IntervalSeconds = 2
-                  MaxAttempts     = 2
-                  BackoffRate     = 2.0
-                }
-              ]
-              Catch = [
-                {
-                  ErrorEquals = ["States.ALL"]
-                  ResultPath  = "$.error"
-                  Next        = "ChunkFailureState"
-                }
-              ]
-            }
-            CheckChunkComplete = {
-              Type = "Choice"
-              Choices = [
-                {
-                  Variable      = "$.monitorResult.allComplete"
-                  BooleanEquals = true
-                  Next          = "StoreChunkSubtitles"
-                }
-              ]
-              Default = "WaitChunk"
-            }
-            WaitChunk = {
-              Type    = "Wait"
-              Seconds = 30
-              Next    = "MonitorChunkTranscription"
-            }
-            StoreChunkSubtitles = {
-              Type     = "Task"
-              Resource = aws_lambda_function.store_subtitles.arn
-              Parameters = {
-                "originalKey.$"   = "$.monitorResult.originalKey"
-                "chunkIndex.$"    = "$.monitorResult.chunkIndex"
-                "totalChunks.$"   = "$.monitorResult.totalChunks"
-                "language.$"      = "$.monitorResult.completedJobs[0].language"
-                "transcriptUri.$" = "$.monitorResult.completedJobs[0].transcriptUri"
-                "jobId.$"         = "$.monitorResult.completedJobs[0].jobId"
-              }
-              ResultPath = "$.storeResult"
-              End        = true
-              Retry = [
-                {
-                  ErrorEquals     = ["States.ALL"]
-                  IntervalSeconds = 2
-                  MaxAttempts     = 3
-                  BackoffRate     = 2.0
-                }
-              ]
-              Catch = [
-                {
-                  ErrorEquals = ["States.ALL"]
-                  ResultPath  = "$.error"
-                  Next        = "ChunkFailureState"
-                }
-              ]
-            }
-            ChunkFailureState = {
-              Type  = "Fail"
-              Error = "ChunkProcessingFailed"
-              Cause = "$.error"
-            }
-          }
-        }
-        Next = "CheckIfMergeNeeded"
+        Iterator       = local.chunk_iterator
+        Next           = "CheckIfMergeNeeded"
         Catch = [
           {
             ErrorEquals = ["States.ALL"]
             ResultPath  = "$.error"
-            Next        = "FailureState"
+            Next        = "NotifyFailure"
           }
         ]
       }
@@ -284,7 +649,7 @@ resource "aws_sfn_state_machine" "transcription_workflow" {
             Next          = "MergeSubtitles"
           }
         ]
-        Default = "SuccessState"
+        Default = "NotifySuccess"
       }
       MergeSubtitles = {
         Type     = "Task"
@@ -292,9 +657,17 @@ resource "aws_sfn_state_machine" "transcription_workflow" {
         Parameters = {
           "originalKey.$" = "$.splitResult.originalKey"
           "totalChunks.$" = "$.splitResult.totalChunks"
+          "config.$"      = "$.splitResult.config"
+          "chunks.$"      = "$.splitResult.chunks"
         }
-        Next = "SuccessState"
+        ResultPath = "$.mergeResult"
+        Next       = "NotifySuccess"
         Retry = [
+          {
+            # Missing chunks stay missing
+            ErrorEquals = ["MissingChunks"]
+            MaxAttempts = 0
+          },
           {
             ErrorEquals     = ["States.ALL"]
             IntervalSeconds = 2
@@ -306,7 +679,7 @@ resource "aws_sfn_state_machine" "transcription_workflow" {
           {
             ErrorEquals = ["States.ALL"]
             ResultPath  = "$.error"
-            Next        = "FailureState"
+            Next        = "NotifyFailure"
           }
         ]
       }
@@ -315,7 +688,7 @@ resource "aws_sfn_state_machine" "transcription_workflow" {
         Resource   = aws_lambda_function.start_transcribe.arn
         InputPath  = "$.sizeCheck"
         ResultPath = "$.transcribeResult"
-        Next       = "MonitorTranscription"
+        Next       = "WaitForTranscription"
         Retry = [
           {
             ErrorEquals     = ["States.ALL"]
@@ -328,7 +701,36 @@ resource "aws_sfn_state_machine" "transcription_workflow" {
           {
             ErrorEquals = ["States.ALL"]
             ResultPath  = "$.error"
-            Next        = "FailureState"
+            Next        = "NotifyFailure"
+          }
+        ]
+      }
+      # Same event-driven wait as WaitForChunkTranscription, with MonitorTranscription polling
+      # as the fallback
+      WaitForTranscription = {
+        Type     = "Task"
+        Resource = "arn:aws:states:::lambda:invoke.waitForTaskToken"
+        Parameters = {
+          FunctionName = aws_lambda_function.monitor_transcribe.arn
+          Payload = {
+            "taskToken.$"        = "$$.Task.Token"
+            "transcribeResult.$" = "$.transcribeResult"
+          }
+        }
+        TimeoutSeconds = var.transcription_event_timeout_seconds
+        ResultPath     = "$.monitorResult"
+        Next           = "CheckMonitoringResult"
+        Retry          = local.wait_for_transcription_retry
+        Catch = [
+          {
+            ErrorEquals = ["States.Timeout"]
+            ResultPath  = "$.waitTimeout"
+            Next        = "MonitorTranscription"
+          },
+          {
+            ErrorEquals = ["States.ALL"]
+            ResultPath  = "$.error"
+            Next        = "NotifyFailure"
           }
         ]
       }
@@ -338,19 +740,12 @@ resource "aws_sfn_state_machine" "transcription_workflow" {
         InputPath  = "$.transcribeResult"
         ResultPath = "$.monitorResult"
         Next       = "CheckMonitoringResult"
-        Retry = [
-          {
-            ErrorEquals     = ["States.ALL"]
-            IntervalSeconds = 2
-            MaxAttempts     = 2
-            BackoffRate     = 2.0
-          }
-        ]
+        Retry      = local.monitor_retry
         Catch = [
           {
             ErrorEquals = ["States.ALL"]
             ResultPath  = "$.error"
-            Next        = "FailureState"
+            Next        = "NotifyFailure"
           }
         ]
       }
@@ -377,11 +772,11 @@ resource "aws_sfn_state_machine" "transcription_workflow" {
           "originalKey.$"   = "$.monitorResult.originalKey"
           "chunkIndex.$"    = "$.monitorResult.chunkIndex"
           "totalChunks.$"   = "$.monitorResult.totalChunks"
-          language          = "english"
-          "transcriptUri.$" = "$.monitorResult.completedJobs[0].transcriptUri"
-          "jobId.$"         = "$.monitorResult.completedJobs[0].jobId"
+          "completedJobs.$" = "$.monitorResult.completedJobs"
+          "config.$"        = "$.sizeCheck.config"
         }
-        Next = "SuccessState"
+        ResultPath = "$.storeResult"
+        Next       = "NotifySuccess"
         Retry = [
           {
             ErrorEquals     = ["States.ALL"]
@@ -394,6 +789,45 @@ resource "aws_sfn_state_machine" "transcription_workflow" {
           {
             ErrorEquals = ["States.ALL"]
             ResultPath  = "$.error"
+            Next        = "NotifyFailure"
+          }
+        ]
+      }
+      NotifySuccess = {
+        Type     = "Task"
+        Resource = aws_lambda_function.notify_webhook.arn
+        Parameters = {
+          status        = "SUCCEEDED"
+          "execution.$" = "$$.Execution"
+          "state.$"     = "$"
+        }
+        ResultPath = "$.notifyResult"
+        Next       = "SuccessState"
+        Retry      = local.notify_retry
+        Catch = [
+          {
+            # A webhook that cannot be reached does not fail the transcription
+            ErrorEquals = ["States.ALL"]
+            ResultPath  = "$.notifyError"
+            Next        = "SuccessState"
+          }
+        ]
+      }
+      NotifyFailure = {
+        Type     = "Task"
+        Resource = aws_lambda_function.notify_webhook.arn
+        Parameters = {
+          status        = "FAILED"
+          "execution.$" = "$$.Execution"
+          "state.$"     = "$"
+        }
+        ResultPath = "$.notifyResult"
+        Next       = "FailureState"
+        Retry      = local.notify_retry
+        Catch = [
+          {
+            ErrorEquals = ["States.ALL"]
+            ResultPath  = "$.notifyError"
             Next        = "FailureState"
           }
         ]
@@ -434,7 +868,7 @@ resource "aws_cloudwatch_log_group" "step_functions_logs" {
 # EventBridge Rule to trigger Step Functions from S3 events
 resource "aws_cloudwatch_event_rule" "s3_to_stepfunctions" {
   name        = "s3-to-stepfunctions-${var.environment}"
-  description = "Trigger Step Functions workflow when video is uploaded to S3"
+  description = "Trigger Step Functions workflow when a video or audio file is uploaded to S3"
 
   event_pattern = jsonencode({
     source      = ["aws.s3"]
@@ -444,8 +878,12 @@ resource "aws_cloudwatch_event_rule" "s3_to_stepfunctions" {
         name = [aws_s3_bucket.video_uploads.id]
       }
       object = {
+        # Every upload starts the workflow so unsupported formats are rejected with a status;
+        # files the workflow writes itself, vocabulary phrase lists and per-upload sidecars are excluded
         key = [{
-          suffix = ".mp4"
+          "anything-but" = {
+            wildcard = ["chunks/*", "audio/*", "vocabularies/*", "*.transcribe.json"]
+          }
         }]
       }
     }
@@ -503,3 +941,33 @@ resource "aws_iam_role_policy" "eventbridge_stepfunctions_policy" {
   })
 }
 
+# Transcribe job state changes resume the executions waiting in WaitForTranscription and
+# WaitForChunkTranscription
+resource "aws_cloudwatch_event_rule" "transcribe_job_state_change" {
+  name        = "transcribe-job-state-change-${var.environment}"
+  description = "Resume the transcription workflow when one of its Transcribe jobs finishes"
+
+  event_pattern = jsonencode({
+    source      = ["aws.transcribe"]
+    detail-type = ["Transcribe Job State Change"]
+    detail = {
+      TranscriptionJobStatus = ["COMPLETED", "FAILED"]
+      # Job names written by startTranscribe.js
+      TranscriptionJobName = [{ prefix = "job_" }]
+    }
+  })
+}
+
+resource "aws_cloudwatch_event_target" "transcribe_job_state_change_target" {
+  rule      = aws_cloudwatch_event_rule.transcribe_job_state_change.name
+  target_id = "MonitorTranscribe"
+  arn       = aws_lambda_function.monitor_transcribe.arn
+}
+
+resource "aws_lambda_permission" "transcribe_events_monitor" {
+  statement_id  = "AllowTranscribeEvents"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.monitor_transcribe.function_name
+  principal     = "events.amazonaws.com"
+  source_arn    = aws_cloudwatch_event_rule.transcribe_job_state_change.arn
+}
@@ -35,11 +35,164 @@ variable "lambda_memory_size" {
 }
 
 variable "max_file_size_mb" {
-  description = "Maximum file size in MB before splitting is required"
+  description = "Maximum file size in MB before splitting, for media whose duration could not be probed"
   type        = number
   default     = 100
 }
 
+variable "default_languages" {
+  description = "Comma-separated languages to transcribe when an upload does not specify any (names like english or codes like es-US)"
+  type        = string
+  default     = "english"
+}
+
+variable "default_formats" {
+  description = "Comma-separated subtitle formats to produce when an upload does not specify any (srt, vtt)"
+  type        = string
+  default     = "srt"
+}
+
+variable "default_max_speakers" {
+  description = "Maximum number of speakers to label when an upload does not configure diarization (0 disables speaker diarization)"
+  type        = number
+  default     = 0
+
+  validation {
+    condition     = var.default_max_speakers == 0 || (var.default_max_speakers >= 2 && var.default_max_speakers <= 30)
+    error_message = "default_max_speakers must be 0 or between 2 and 30."
+  }
+}
+
+variable "default_subtitle_preset" {
+  description = "Subtitle style when an upload does not set subtitles: broadcast, social-vertical or raw (Transcribe's own cues)"
+  type        = string
+  default     = "raw"
+
+  validation {
+    condition     = contains(["broadcast", "social-vertical", "raw"], var.default_subtitle_preset)
+    error_message = "default_subtitle_preset must be broadcast, social-vertical or raw."
+  }
+}
+
+variable "default_partial_merge" {
+  description = "Merge the chunks of a split video even when some failed, when an upload does not set partialMerge"
+  type        = bool
+  default     = false
+}
+
+variable "default_gap_marker" {
+  description = "Text of the cue placed where a missing chunk would be in a partial merge (empty leaves the gap blank)"
+  type        = string
+  default     = "[transcription unavailable]"
+}
+
+variable "split_mode" {
+  description = "How splitVideo splits: local (download and split in /tmp), distributed (parallel workers read their time range from S3) or auto (distributed above distributed_split_threshold_mb)"
+  type        = string
+  default     = "auto"
+
+  validation {
+    condition     = contains(["auto", "local", "distributed"], var.split_mode)
+    error_message = "split_mode must be auto, local or distributed."
+  }
+}
+
+variable "distributed_split_threshold_mb" {
+  description = "Source size in MB above which split_mode auto splits with parallel workers; local splitting needs up to twice the source size in /tmp, and split_video gets twice this much ephemeral storage"
+  type        = number
+  default     = 200
+}
+
+variable "split_worker_concurrency" {
+  description = "Number of chunks a distributed split extracts at the same time"
+  type        = number
+  default     = 10
+
+  validation {
+    condition     = var.split_worker_concurrency >= 1 && var.split_worker_concurrency <= 40
+    error_message = "split_worker_concurrency must be between 1 and 40."
+  }
+}
+
+variable "chunk_upload_concurrency" {
+  description = "Number of chunks splitVideo uploads to S3 at the same time"
+  type        = number
+  default     = 3
+
+  validation {
+    condition     = var.chunk_upload_concurrency >= 1 && var.chunk_upload_concurrency <= 10
+    error_message = "chunk_upload_concurrency must be between 1 and 10."
+  }
+}
+
+variable "transcription_event_timeout_seconds" {
+  description = "Seconds to wait for the Transcribe state change event of a job before falling back to polling every 30 seconds"
+  type        = number
+  default     = 1800
+
+  validation {
+    condition     = var.transcription_event_timeout_seconds >= 60
+    error_message = "transcription_event_timeout_seconds must be at least 60."
+  }
+}
+
+variable "chunk_overlap_seconds" {
+  description = "Seconds each video chunk overlaps the next one so words crossing a cut can be reconciled when merging (0 disables)"
+  type        = number
+  default     = 3
+}
+
+variable "max_direct_duration_seconds" {
+  description = "Media longer than this many seconds is split so its chunks are transcribed in parallel"
+  type        = number
+  default     = 1800
+
+  validation {
+    condition     = var.max_direct_duration_seconds > 0 && var.max_direct_duration_seconds <= 14400
+    error_message = "max_direct_duration_seconds must be between 1 and 14400 (Transcribe's 4 hour limit)."
+  }
+}
+
+variable "measure_loudness" {
+  description = "Measure the EBU R128 loudness of each upload in the ProbeMedia step (decodes all of the audio)"
+  type        = bool
+  default     = true
+}
+
+variable "segment_time_seconds" {
+  description = "Target length in seconds of each video chunk when splitting"
+  type        = number
+  default     = 300
+}
+
+variable "split_strategy" {
+  description = "How videos are split: silence (cut at the pause closest to each target length) or fixed (cut every segment_time_seconds)"
+  type        = string
+  default     = "silence"
+
+  validation {
+    condition     = contains(["silence", "fixed"], var.split_strategy)
+    error_message = "split_strategy must be either \"silence\" or \"fixed\"."
+  }
+}
+
+variable "extract_audio" {
+  description = "Extract a mono audio track from each upload and transcribe that instead of the video"
+  type        = bool
+  default     = true
+}
+
+variable "audio_format" {
+  description = "Format of the extracted audio track (flac, mp3, ogg)"
+  type        = string
+  default     = "flac"
+
+  validation {
+    condition     = contains(["flac", "mp3", "ogg"], var.audio_format)
+    error_message = "audio_format must be one of \"flac\", \"mp3\" or \"ogg\"."
+  }
+}
+
 variable "environment" {
   description = "Environment name (dev, staging, prod)"
   type        = string
@@ -52,3 +205,43 @@ variable "ffmpeg_layer_arn" {
   default     = ""
 }
 
+
+variable "webhook_url" {
+  description = "Webhook notified when a workflow run succeeds or fails, for uploads without a callbackUrl (empty disables)"
+  type        = string
+  default     = ""
+
+  validation {
+    condition     = var.webhook_url == "" || startswith(var.webhook_url, "https://")
+    error_message = "webhook_url must be an https:// URL."
+  }
+}
+
+variable "webhook_secret" {
+  description = "Shared secret used to HMAC-sign webhook payloads (empty sends them unsigned)"
+  type        = string
+  default     = ""
+  sensitive   = true
+}
+
+variable "status_link_expiry_seconds" {
+  description = "Lifetime in seconds of the presigned output links returned by the job status API"
+  type        = number
+  default     = 3600
+
+  validation {
+    condition     = var.status_link_expiry_seconds >= 60 && var.status_link_expiry_seconds <= 604800
+    error_message = "status_link_expiry_seconds must be between 60 and 604800 (7 days)."
+  }
+}
+
+variable "stale_run_hours" {
+  description = "Hours after which an unfinished run that stopped updating its record no longer blocks a duplicate upload"
+  type        = number
+  default     = 24
+
+  validation {
+    condition     = var.stale_run_hours > 0
+    error_message = "stale_run_hours must be greater than 0."
+  }
+}
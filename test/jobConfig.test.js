@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveJobConfig, InvalidJobConfigError } from "../functions/lib/jobConfig.js";
+
+/**
+ * S3 client stub serving an optional sidecar and the tags of the upload
+ */
+function s3Stub({ sidecar = null, tags = {} } = {}) {
+  return {
+    send: async (command) => {
+      if (command.constructor.name === "GetObjectTaggingCommand") {
+        return { TagSet: Object.entries(tags).map(([Key, Value]) => ({ Key, Value })) };
+      }
+      if (sidecar === null) {
+        throw Object.assign(new Error("The specified key does not exist."), { name: "NoSuchKey" });
+      }
+      return { Body: { transformToString: async () => (typeof sidecar === "string" ? sidecar : JSON.stringify(sidecar)) } };
+    },
+  };
+}
+
+const resolve = (sources = {}, metadata = {}) =>
+  resolveJobConfig(s3Stub(sources), "video-uploads-dev", "talks/intro.mp4", metadata);
+
+test("falls back to the defaults", async () => {
+  const config = await resolve();
+
+  assert.deepEqual(config.languages, [{ language: "english", languageCode: "en-US" }]);
+  assert.deepEqual(config.formats, ["srt"]);
+  assert.deepEqual(config.subtitles, { preset: "raw" });
+  assert.equal(config.outputPrefix, "intro");
+  assert.equal(config.diarization, null);
+});
+
+test("reads subtitle settings from metadata", async () => {
+  const config = await resolve({}, {
+    "subtitle-preset": "social-vertical",
+    "max-chars-per-line": "30",
+    "max-cue-duration": "5",
+  });
+
+  assert.equal(config.subtitles.preset, "social-vertical");
+  assert.equal(config.subtitles.maxCharsPerLine, 30);
+  assert.equal(config.subtitles.maxDurationSeconds, 5);
+  assert.equal(config.subtitles.maxLines, 2);
+});
+
+test("takes each field group from the highest source that sets it", async () => {
+  const config = await resolve(
+    { sidecar: { languages: ["spanish"], subtitles: "broadcast" }, tags: { "subtitle-preset": "social-vertical", formats: "srt+vtt" } },
+    { "language-options": "en-US,es-US", "max-lines": "1" }
+  );
+
+  assert.deepEqual(config.languages.map((l) => l.language), ["spanish"]);
+  assert.equal(config.subtitles.preset, "broadcast");
+  assert.equal(config.subtitles.maxLines, 2);
+  assert.deepEqual(config.formats, ["srt", "vtt"]);
+});
+
+test("rejects values outside the schema", async () => {
+  await assert.rejects(resolve({ sidecar: { subtitles: { maxLines: 9 } } }), (error) => {
+    assert.ok(error instanceof InvalidJobConfigError);
+    assert.equal(error.name, "InvalidJobConfig");
+    assert.deepEqual(error.errors, ["subtitles.maxLines must be between 1 and 4, got 9"]);
+    return true;
+  });
+  await assert.rejects(resolve({ sidecar: { subtitle: "broadcast" } }), /unknown field subtitle/);
+  await assert.rejects(resolve({}, { "max-chars-per-second": "fast" }), /subtitles.maxCharsPerSecond must be a number/);
+});
+
+test("rejects settings that only fail when resolved", async () => {
+  await assert.rejects(resolve({ sidecar: { subtitles: "cinema" } }), /Unknown subtitle preset: cinema/);
+  await assert.rejects(resolve({ tags: { "subtitle-preset": "raw", "max-lines": "1" } }), /does not take maxLines/);
+  await assert.rejects(resolve({ sidecar: "{ not json" }), /invalid JSON/);
+});
@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.AWS_REGION ||= "us-east-1";
+const { buildChunkOffsets, mergeSubtitles, reconcileBoundary } = await import("../functions/mergeSubtitles.js");
+
+/**
+ * Words of a sentence on the absolute timeline, 300 ms each with 20 ms between them
+ */
+function wordsOf(text, start) {
+  return text.split(" ").map((token, i) => {
+    const [, word, punctuation] = token.match(/^(.*?)([.,;:?!]*)$/);
+    const startTime = start + i * 320;
+    return { text: word, punctuation, startTime, endTime: startTime + 300, confidence: 0.99, speaker: null };
+  });
+}
+
+const cueOf = (words) => ({
+  index: 1,
+  startTime: words[0].startTime,
+  endTime: words.at(-1).endTime,
+  text: words.map((word) => word.text + word.punctuation).join(" "),
+});
+
+const chunks = [
+  { chunkIndex: 1, cues: [{ index: 1, startTime: 0, endTime: 1000, text: "First chunk" }] },
+  { chunkIndex: 2, cues: [{ index: 1, startTime: 500, endTime: 1500, text: "Second chunk" }] },
+];
+
+test("buildChunkOffsets maps chunks to their media start in ms", () => {
+  assert.deepEqual(
+    buildChunkOffsets([{ chunkIndex: 1, startTime: 0 }, { chunkIndex: 2, startTime: 298.76 }]),
+    { 1: 0, 2: 298760 }
+  );
+  // Output of an older split without start times
+  assert.equal(buildChunkOffsets([{ chunkIndex: 1, startTime: 0 }, { chunkIndex: 2 }]), null);
+});
+
+test("mergeSubtitles shifts each chunk by its real start time", () => {
+  const { cues } = mergeSubtitles(chunks, { 1: 0, 2: 298760 });
+
+  assert.deepEqual(cues, [
+    { index: 1, startTime: 0, endTime: 1000, text: "First chunk" },
+    { index: 2, startTime: 299260, endTime: 300260, text: "Second chunk" },
+  ]);
+});
+
+test("mergeSubtitles estimates the offset of chunks without a start time", () => {
+  const { cues } = mergeSubtitles(chunks);
+
+  // 100 ms after the last cue of the previous chunk
+  assert.equal(cues[1].startTime, 1100 + 500);
+});
+
+test("reconcileBoundary drops repeated words and rebuilds the sentence cut at the boundary", () => {
+  // The next chunk starts at 700 ms, during "brown", and hears the whole word 10 ms later
+  const prevWords = wordsOf("The quick brown fox jumps", 0);
+  const nextWords = wordsOf("brown fox jumps over the lazy dog.", 710);
+  const prev = { start: 0, cues: [cueOf(prevWords)], words: prevWords };
+  const next = { start: 700, cues: [cueOf(nextWords)], words: nextWords };
+
+  reconcileBoundary(prev, next);
+
+  assert.deepEqual(
+    [...prev.cues, ...next.cues].map((cue) => cue.text.replace(/\n/g, " ")),
+    ["The quick brown fox jumps over the lazy dog."]
+  );
+  assert.deepEqual(
+    [...prev.words, ...next.words].map((word) => word.text),
+    ["The", "quick", "brown", "fox", "jumps", "over", "the", "lazy", "dog"]
+  );
+});
+
+test("reconcileBoundary de-duplicates cues by time without word timings", () => {
+  const prev = { start: 0, cues: [{ index: 1, startTime: 0, endTime: 1200, text: "Kept" }], words: null };
+  const next = {
+    start: 1000,
+    cues: [
+      { index: 1, startTime: 1000, endTime: 1300, text: "Repeated" },
+      { index: 2, startTime: 1400, endTime: 2000, text: "New" },
+    ],
+    words: null,
+  };
+
+  reconcileBoundary(prev, next);
+
+  assert.deepEqual(prev.cues.map((cue) => cue.text), ["Kept"]);
+  assert.deepEqual(next.cues.map((cue) => cue.text), ["New"]);
+});
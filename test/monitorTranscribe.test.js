@@ -0,0 +1,70 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { TranscribeClient } from "@aws-sdk/client-transcribe";
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { SFNClient } from "@aws-sdk/client-sfn";
+
+process.env.AWS_REGION ||= "us-east-1";
+const { handler } = await import("../functions/monitorTranscribe.js");
+
+const JOB_NAME = "job_talk_mp4_english_run1";
+const waitInput = {
+  originalKey: "talk.mp4",
+  jobs: { english: { jobName: JOB_NAME } },
+  chunkIndex: null,
+  totalChunks: 1,
+};
+
+let sfnCommands;
+let transcriptionJob;
+
+beforeEach(() => {
+  sfnCommands = [];
+  DynamoDBClient.prototype.send = async (command) => {
+    if (command.constructor.name === "GetItemCommand") {
+      return { Item: { taskToken: { S: "token-1" }, waitInput: { S: JSON.stringify(waitInput) } } };
+    }
+    return {};
+  };
+  TranscribeClient.prototype.send = async () => ({ TranscriptionJob: transcriptionJob });
+  SFNClient.prototype.send = async (command) => {
+    sfnCommands.push(command);
+    return {};
+  };
+});
+
+const stateChange = (status) => ({
+  source: "aws.transcribe",
+  "detail-type": "Transcribe Job State Change",
+  detail: { TranscriptionJobName: JOB_NAME, TranscriptionJobStatus: status },
+});
+
+test("a FAILED job event fails the waiting task token", async () => {
+  transcriptionJob = { TranscriptionJobName: JOB_NAME, TranscriptionJobStatus: "FAILED", FailureReason: "Unsupported media" };
+
+  const result = await handler(stateChange("FAILED"));
+
+  assert.equal(result.resumed, true);
+  assert.equal(sfnCommands.length, 1);
+  assert.equal(sfnCommands[0].constructor.name, "SendTaskFailureCommand");
+  assert.equal(sfnCommands[0].input.taskToken, "token-1");
+  assert.equal(sfnCommands[0].input.error, "TranscriptionFailed");
+  assert.match(sfnCommands[0].input.cause, /Unsupported media/);
+});
+
+test("a COMPLETED job event resumes the task with the completed jobs", async () => {
+  transcriptionJob = {
+    TranscriptionJobName: JOB_NAME,
+    TranscriptionJobStatus: "COMPLETED",
+    LanguageCode: "en-US",
+    Transcript: { TranscriptFileUri: "https://s3.amazonaws.com/out/job.json" },
+  };
+
+  const result = await handler(stateChange("COMPLETED"));
+
+  assert.equal(result.resumed, true);
+  assert.equal(sfnCommands[0].constructor.name, "SendTaskSuccessCommand");
+  const output = JSON.parse(sfnCommands[0].input.output);
+  assert.equal(output.allComplete, true);
+  assert.deepEqual(output.completedJobs.map((job) => job.jobId), [JOB_NAME]);
+});
@@ -0,0 +1,55 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+
+process.env.AWS_REGION ||= "us-east-1";
+process.env.WEBHOOK_URL = "https://hooks.example.com/transcriptions";
+process.env.WEBHOOK_SECRET = "s3cret";
+const { handler } = await import("../functions/notifyWebhook.js");
+
+const event = {
+  status: "SUCCEEDED",
+  execution: { Id: "arn:aws:states:us-east-1:123456789012:execution:wf:run-1" },
+  state: { bucket: "video-uploads-dev", key: "talks/intro.mp4" },
+};
+
+let requests;
+let responseStatus;
+
+beforeEach(() => {
+  requests = [];
+  responseStatus = 200;
+  DynamoDBClient.prototype.send = async () => ({});
+  globalThis.fetch = async (url, init) => {
+    requests.push({ url, ...init });
+    return { ok: responseStatus < 300, status: responseStatus };
+  };
+});
+
+test("signs the timestamp and raw body with the secret", async () => {
+  const result = await handler(event);
+
+  assert.equal(result.delivered, true);
+  const [{ url, headers, body }] = requests;
+  assert.equal(url, "https://hooks.example.com/transcriptions");
+  assert.match(headers["X-Webhook-Timestamp"], /^\d+$/);
+  const expected = createHmac("sha256", "s3cret").update(`${headers["X-Webhook-Timestamp"]}.${body}`).digest("hex");
+  assert.equal(headers["X-Webhook-Signature"], `sha256=${expected}`);
+});
+
+test("uses the same delivery id for every attempt of a notification", async () => {
+  await handler(event);
+  await handler(event);
+
+  assert.equal(requests[0].headers["X-Webhook-Id"], `${event.execution.Id}:SUCCEEDED`);
+  assert.equal(requests[1].headers["X-Webhook-Id"], requests[0].headers["X-Webhook-Id"]);
+});
+
+test("only server errors, timeouts and throttling are retryable", async () => {
+  responseStatus = 503;
+  await assert.rejects(handler(event), { name: "WebhookDeliveryFailed" });
+
+  responseStatus = 404;
+  await assert.rejects(handler(event), { name: "WebhookRejected" });
+});
@@ -0,0 +1,109 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { S3Client } from "@aws-sdk/client-s3";
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { SFNClient } from "@aws-sdk/client-sfn";
+
+process.env.AWS_REGION ||= "us-east-1";
+const { handler } = await import("../functions/onUploadHandler.js");
+
+const upload = { Records: [{ s3: { bucket: { name: "video-uploads-dev" }, object: { key: "talks/intro.mp4" } } }] };
+const executionId = "arn:aws:states:us-east-1:123456789012:execution:wf:run-2";
+
+let putItem;
+
+beforeEach(() => {
+  putItem = async () => ({});
+  S3Client.prototype.send = async (command) => command.constructor.name === "GetObjectCommand"
+    ? { Body: { transformToByteArray: async () => new Uint8Array() } }
+    : { ETag: "\"etag-1\"", ContentLength: 1024 };
+  DynamoDBClient.prototype.send = async (command) => putItem(command);
+});
+
+test("claims a new upload before any media work", async () => {
+  const result = await handler({ phase: "claim", upload, executionId });
+
+  assert.equal(result.action, "process");
+  assert.equal(result.originalKey, "talks/intro.mp4");
+  assert.match(result.idempotencyKey, /^[0-9a-f]{64}$/);
+  assert.equal(result.runId.length, 12);
+});
+
+const duplicateOf = (status) => async () => {
+  throw Object.assign(new Error("The conditional request failed"), {
+    name: "ConditionalCheckFailedException",
+    Item: { status: { S: status }, executionId: { S: "arn:other-run" } },
+  });
+};
+
+test("skips an upload another run already processed", async () => {
+  putItem = duplicateOf("DONE");
+
+  const result = await handler({ phase: "claim", upload, executionId });
+
+  assert.equal(result.action, "skip");
+  assert.equal(result.duplicateOf.executionId, "arn:other-run");
+  assert.equal(result.duplicateOf.state, "DONE");
+});
+
+test("attaches to an upload another run is processing", async () => {
+  putItem = duplicateOf("TRANSCRIBING");
+
+  const result = await handler({ phase: "claim", upload, executionId });
+
+  assert.equal(result.action, "attach");
+  assert.equal(result.duplicateOf.executionId, "arn:other-run");
+  assert.equal(result.duplicateOf.state, "TRANSCRIBING");
+});
+
+test("reports on the execution a duplicate attached to until it stops", async () => {
+  const described = [];
+  let execution = { status: "RUNNING" };
+  SFNClient.prototype.send = async (command) => {
+    described.push(command.input.executionArn);
+    return execution;
+  };
+
+  const running = await handler({ phase: "attach", duplicateOf: { executionId: "arn:other-run" } });
+  assert.equal(running.running, true);
+
+  execution = { status: "FAILED", stopDate: new Date("2026-01-01T00:00:00Z"), error: "WorkflowFailed", cause: "No audio" };
+  const failed = await handler({ phase: "attach", duplicateOf: { executionId: "arn:other-run" } });
+
+  assert.deepEqual(described, ["arn:other-run", "arn:other-run"]);
+  assert.equal(failed.running, false);
+  assert.equal(failed.status, "FAILED");
+  assert.equal(failed.error, "WorkflowFailed");
+  assert.equal(failed.stopDate, "2026-01-01T00:00:00.000Z");
+});
+
+test("routing refuses to run without a claim", async () => {
+  await assert.rejects(
+    handler({ bucket: "video-uploads-dev", key: "talks/intro.mp4" }),
+    /Missing claim/
+  );
+});
+
+test("a rejected upload marks its claimed record FAILED", async () => {
+  const commands = [];
+  putItem = async (command) => {
+    commands.push(command);
+    return {};
+  };
+
+  await assert.rejects(
+    handler({
+      bucket: "video-uploads-dev",
+      key: "talks/intro.mp4",
+      claim: { idempotencyKey: "a".repeat(64), runId: "run-1" },
+      probe: { available: true, mediaError: { type: "NoAudioStream", message: "talks/intro.mp4 has no audio stream" } },
+    }),
+    { name: "NoAudioStream" }
+  );
+
+  const update = commands.find((command) => command.constructor.name === "UpdateItemCommand");
+  assert.ok(update, "expected an UpdateItem on the parent record");
+  assert.equal(update.input.ExpressionAttributeValues[":state"].S, "FAILED");
+  assert.equal(update.input.ExpressionAttributeValues[":rejection"].S, "NO_AUDIO_STREAM");
+  assert.match(update.input.ExpressionAttributeValues[":lastError"].S, /no audio stream/);
+});
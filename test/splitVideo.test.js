@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.AWS_REGION ||= "us-east-1";
+process.env.CHUNK_OVERLAP_SECONDS = "3";
+const { planRanges } = await import("../functions/splitVideo.js");
+
+test("planRanges cuts every segmentTime seconds and overlaps all but the last chunk", async () => {
+  const ranges = await planRanges("unused.m4a", 700.5, 300, "fixed");
+
+  assert.deepEqual(ranges, [
+    { chunkIndex: 1, startTime: 0, duration: 300, overlap: 3 },
+    { chunkIndex: 2, startTime: 300, duration: 300, overlap: 3 },
+    { chunkIndex: 3, startTime: 600, duration: 100.5, overlap: 0 },
+  ]);
+});
+
+test("planRanges adds no empty chunk when the duration is a multiple of segmentTime", async () => {
+  const ranges = await planRanges("unused.m4a", 600, 300, "fixed");
+
+  assert.deepEqual(ranges.map(({ startTime, duration }) => [startTime, duration]), [[0, 300], [300, 300]]);
+});
+
+test("planRanges keeps a source shorter than segmentTime whole", async () => {
+  assert.deepEqual(await planRanges("unused.m4a", 42.25, 300, "fixed"), [
+    { chunkIndex: 1, startTime: 0, duration: 42.25, overlap: 0 },
+  ]);
+});
+
+test("planRanges falls back to fixed cuts for an unknown strategy", async () => {
+  const ranges = await planRanges("unused.m4a", 400, 300, "scenes");
+
+  assert.deepEqual(ranges.map(({ startTime }) => startTime), [0, 300]);
+});
@@ -0,0 +1,71 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { TranscribeClient } from "@aws-sdk/client-transcribe";
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+
+process.env.AWS_REGION ||= "us-east-1";
+process.env.INPUT_BUCKET = "input-bucket";
+process.env.OUTPUT_BUCKET = "output-bucket";
+const { handler } = await import("../functions/startTranscribe.js");
+
+const event = { bucket: "input-bucket", key: "talk.mp4", originalKey: "talk.mp4", runId: "run1" };
+
+let transcribeCommands;
+let dynamodbCommands;
+
+beforeEach(() => {
+  transcribeCommands = [];
+  dynamodbCommands = [];
+  DynamoDBClient.prototype.send = async (command) => {
+    dynamodbCommands.push(command);
+    return {};
+  };
+});
+
+test("returns the job Transcribe started", async () => {
+  TranscribeClient.prototype.send = async (command) => {
+    transcribeCommands.push(command);
+    return {
+      TranscriptionJob: {
+        TranscriptionJobName: command.input.TranscriptionJobName,
+        TranscriptionJobStatus: "IN_PROGRESS",
+      },
+    };
+  };
+
+  const result = await handler(event);
+
+  const jobs = Object.values(result.jobs);
+  assert.ok(jobs.length > 0);
+  for (const job of jobs) {
+    assert.match(job.jobName, /^job_talk_mp4_.+_run1$/);
+    assert.equal(job.status, "IN_PROGRESS");
+  }
+  assert.ok(transcribeCommands.every((command) => command.constructor.name === "StartTranscriptionJobCommand"));
+
+  const jobRecords = dynamodbCommands.filter((command) => command.constructor.name === "PutItemCommand");
+  assert.equal(jobRecords.length, jobs.length);
+  assert.equal(jobRecords[0].input.Item.status.S, "IN_PROGRESS");
+});
+
+test("reuses the job an earlier attempt already started", async () => {
+  TranscribeClient.prototype.send = async (command) => {
+    transcribeCommands.push(command);
+    if (command.constructor.name === "StartTranscriptionJobCommand") {
+      throw Object.assign(new Error("The requested job name already exists"), { name: "ConflictException" });
+    }
+    return {
+      TranscriptionJob: {
+        TranscriptionJobName: command.input.TranscriptionJobName,
+        TranscriptionJobStatus: "COMPLETED",
+      },
+    };
+  };
+
+  const result = await handler(event);
+
+  for (const job of Object.values(result.jobs)) {
+    assert.equal(job.status, "COMPLETED");
+  }
+  assert.ok(transcribeCommands.some((command) => command.constructor.name === "GetTranscriptionJobCommand"));
+});
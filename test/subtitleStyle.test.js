@@ -0,0 +1,112 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  SUBTITLE_PRESETS,
+  resolveSubtitleStyle,
+  cueOptionsForStyle,
+  applyTimingRules,
+  formatCues,
+} from "../functions/lib/subtitleStyle.js";
+
+const broadcast = resolveSubtitleStyle("broadcast", "raw");
+
+test("resolves a preset by name", () => {
+  assert.deepEqual(broadcast, { preset: "broadcast", ...SUBTITLE_PRESETS.broadcast });
+  assert.equal(resolveSubtitleStyle("social-vertical", "raw").maxCharsPerLine, 24);
+});
+
+test("uses the default preset when none is named", () => {
+  assert.deepEqual(resolveSubtitleStyle(undefined, "raw"), { preset: "raw" });
+  assert.equal(resolveSubtitleStyle({ maxLines: 1 }, "broadcast").maxLines, 1);
+});
+
+test("overrides the limits of a preset", () => {
+  const style = resolveSubtitleStyle({ preset: "social-vertical", maxCharsPerLine: 30 }, "raw");
+  assert.equal(style.maxCharsPerLine, 30);
+  assert.equal(style.maxCharsPerSecond, SUBTITLE_PRESETS["social-vertical"].maxCharsPerSecond);
+});
+
+test("rejects unknown presets, limits on raw and inverted durations", () => {
+  assert.throws(() => resolveSubtitleStyle("cinema", "raw"), /Unknown subtitle preset: cinema/);
+  assert.throws(() => resolveSubtitleStyle({ preset: "raw", maxLines: 1 }, "raw"), /does not take maxLines/);
+  assert.throws(() => resolveSubtitleStyle({ preset: "broadcast", minDurationSeconds: 9, maxDurationSeconds: 2 }, "raw"), /must not exceed/);
+});
+
+test("raw and missing styles leave cues as they are", () => {
+  const cues = [{ index: 1, startTime: 0, endTime: 100, text: "Hi" }];
+  assert.deepEqual(cueOptionsForStyle({ preset: "raw" }), {});
+  assert.equal(formatCues(cues, null, { preset: "raw" }), cues);
+  assert.equal(formatCues(cues, null, undefined), cues);
+  assert.equal(applyTimingRules(cues, undefined), cues);
+});
+
+test("extends short cues into the silence before the next cue", () => {
+  const cues = [
+    { index: 1, startTime: 0, endTime: 300, text: "Yes." },
+    { index: 2, startTime: 600, endTime: 700, text: "No." },
+    { index: 3, startTime: 5000, endTime: 5200, text: "Maybe." },
+  ];
+  const timed = applyTimingRules(cues, broadcast);
+
+  assert.equal(timed[0].endTime, 600);
+  assert.equal(timed[1].endTime, 1600);
+  assert.equal(timed[2].endTime, 6000);
+});
+
+test("stretches cues to the reading speed and cuts them to the maximum duration", () => {
+  const text = "This sentence has exactly fifty-one characters in it";
+  const cues = [
+    { index: 1, startTime: 0, endTime: 1000, text },
+    { index: 2, startTime: 10000, endTime: 20000, text: "Long." },
+  ];
+  const timed = applyTimingRules(cues, broadcast);
+
+  assert.equal(timed[0].endTime, Math.round((text.length / 17) * 1000));
+  assert.equal(timed[1].endTime, 17000);
+});
+
+test("segments cues to the reading speed of the style", () => {
+  assert.deepEqual(cueOptionsForStyle(broadcast), {
+    maxCharsPerLine: 42,
+    maxLines: 2,
+    maxDurationMs: 7000,
+    maxCharsPerSecond: 17,
+  });
+});
+
+test("formatted cues can be read at the reading speed of the style", () => {
+  const words = ["Absolutely,", "unquestionably.", "Yes."].map((token, i) => ({
+    text: token.replace(/[.,]$/, ""),
+    punctuation: token.match(/[.,]?$/)[0],
+    startTime: i * 320,
+    endTime: i * 320 + 300,
+    confidence: 0.99,
+    speaker: null,
+  }));
+  const cues = formatCues([], words, broadcast);
+
+  assert.equal(cues.length, 1);
+  for (const cue of cues) {
+    assert.ok(cue.text.replace(/\n/g, " ").length / ((cue.endTime - cue.startTime) / 1000) <= broadcast.maxCharsPerSecond);
+  }
+});
+
+test("re-segments cues without word timings to the style", () => {
+  const cues = [{
+    index: 1,
+    startTime: 0,
+    endTime: 9000,
+    text: "So today, we are going to talk about subtitles. They need to be readable, short, and well timed.",
+  }];
+  const style = resolveSubtitleStyle("social-vertical", "raw");
+  const formatted = formatCues(cues, null, style);
+
+  assert.ok(formatted.length > 1);
+  for (const cue of formatted) {
+    const lines = cue.text.split("\n");
+    assert.ok(lines.length <= style.maxLines);
+    assert.ok(lines.every((line) => line.length <= style.maxCharsPerLine));
+    assert.ok(cue.endTime - cue.startTime <= style.maxDurationSeconds * 1000);
+  }
+  assert.equal(formatted.map((cue) => cue.text.replace(/\n/g, " ")).join(" "), cues[0].text);
+});
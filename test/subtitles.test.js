@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseSubtitles, serializeSubtitles, resolveFormats } from "../functions/lib/subtitles.js";
+
+const cues = [
+  { index: 1, startTime: 0, endTime: 1500, text: "Hello there." },
+  { index: 2, startTime: 1620, endTime: 3725, text: "Two lines\nof text" },
+  { index: 3, startTime: 3661001, endTime: 3662000, text: "After an hour" },
+];
+
+for (const format of ["srt", "vtt"]) {
+  test(`${format} survives a round trip`, () => {
+    assert.deepEqual(parseSubtitles(serializeSubtitles(cues, format), format), cues);
+  });
+}
+
+test("serializes the timestamps of each format", () => {
+  assert.match(serializeSubtitles(cues, "srt"), /^1\n00:00:00,000 --> 00:00:01,500\nHello there\.\n/);
+  assert.match(serializeSubtitles(cues, "vtt"), /^WEBVTT\n\n1\n00:00:00\.000 --> 00:00:01\.500\n/);
+  assert.match(serializeSubtitles(cues, "srt"), /01:01:01,001 --> 01:01:02,000/);
+});
+
+test("converts SRT into VTT through the shared cues", () => {
+  const srt = serializeSubtitles(cues, "srt");
+  assert.equal(serializeSubtitles(parseSubtitles(srt, "srt"), "vtt"), serializeSubtitles(cues, "vtt"));
+});
+
+test("rejects unknown formats", () => {
+  assert.throws(() => parseSubtitles("", "ass"), /Unsupported subtitle format/);
+  assert.throws(() => resolveFormats("srt,ass"));
+});
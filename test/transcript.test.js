@@ -0,0 +1,113 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { breakLines, buildCuesFromWords, alignSpeakers } from "../functions/lib/transcript.js";
+
+/**
+ * Words of a sentence, 300 ms each with 20 ms between them unless a gap is given
+ * "word," attaches the punctuation to the word as parseTranscribeWords does
+ */
+function wordsOf(text, { start = 0, gaps = {}, speaker = null } = {}) {
+  let time = start;
+  return text.split(" ").map((token, i) => {
+    time += gaps[i] || 0;
+    const [, word, punctuation] = token.match(/^(.*?)([.,;:?!]*)$/);
+    const entry = { text: word, punctuation, startTime: time, endTime: time + 300, confidence: 0.99, speaker };
+    time += 320;
+    return entry;
+  });
+}
+
+test("breakLines keeps text that fits on one line", () => {
+  assert.equal(breakLines("Short   and sweet", 42, 2), "Short and sweet");
+});
+
+test("breakLines balances two lines and prefers to break after punctuation", () => {
+  const text = "Well, I think we should go to the market today before it closes";
+  assert.equal(breakLines(text, 42, 2), "Well, I think we should go to\nthe market today before it closes");
+  assert.equal(
+    breakLines("I went to the shops yesterday, and bought some bread", 42, 2),
+    "I went to the shops yesterday,\nand bought some bread"
+  );
+});
+
+test("breakLines uses the fewest lines and never exceeds the line length", () => {
+  const text = "one two three four five six seven eight nine ten eleven twelve";
+  const lines = breakLines(text, 20, 4).split("\n");
+  assert.equal(lines.length, 4);
+  assert.ok(lines.every((line) => line.length <= 20));
+  assert.equal(lines.join(" "), text);
+});
+
+test("breakLines returns null when the text does not fit", () => {
+  assert.equal(breakLines("one two three four five six seven eight", 10, 2), null);
+  assert.equal(breakLines("an extraordinarilylongword", 10, 2), null);
+});
+
+test("buildCuesFromWords closes cues at sentence ends and long pauses", () => {
+  const words = wordsOf("Hello there. How are you doing today", { gaps: { 4: 2000 } });
+  const cues = buildCuesFromWords(words);
+
+  assert.deepEqual(cues.map((cue) => cue.text), ["Hello there.", "How are", "you doing today"]);
+  assert.deepEqual(cues.map((cue) => cue.index), [1, 2, 3]);
+  assert.equal(cues[2].startTime, words[4].startTime);
+});
+
+test("buildCuesFromWords cuts a full cue after its last clause", () => {
+  const words = wordsOf("We tried the first approach, which worked well enough for the small files we had at hand");
+  const cues = buildCuesFromWords(words, { maxCharsPerLine: 20, maxLines: 2 });
+
+  assert.equal(cues[0].text, "We tried the\nfirst approach,");
+  assert.ok(cues.every((cue) => cue.text.split("\n").every((line) => line.length <= 20)));
+  assert.equal(cues.map((cue) => cue.text.replace(/\n/g, " ")).join(" "), words.map((w) => `${w.text}${w.punctuation}`).join(" "));
+});
+
+test("buildCuesFromWords keeps cues within maxDurationMs", () => {
+  const words = wordsOf("a b c d e f g h i j");
+  const cues = buildCuesFromWords(words, { maxDurationMs: 1000 });
+
+  assert.ok(cues.length > 1);
+  assert.ok(cues.every((cue) => cue.endTime - cue.startTime <= 1000));
+  assert.equal(cues.at(-1).endTime, words.at(-1).endTime);
+});
+
+test("buildCuesFromWords merges a cue too fast to read into its neighbour", () => {
+  // 27 characters before the next cue starts 640 ms later is 42 characters a second
+  const words = wordsOf("Absolutely, unquestionably. Yes.");
+  const limits = { maxDurationMs: 7000, maxCharsPerSecond: 17 };
+
+  assert.deepEqual(buildCuesFromWords(words).map((cue) => cue.text), ["Absolutely, unquestionably.", "Yes."]);
+  assert.deepEqual(buildCuesFromWords(words, limits).map((cue) => cue.text), ["Absolutely, unquestionably. Yes."]);
+  // Only when the merged cue still fits
+  assert.equal(buildCuesFromWords(words, { ...limits, maxCharsPerLine: 30, maxLines: 1 }).length, 2);
+});
+
+test("buildCuesFromWords starts a labelled cue when the speaker changes", () => {
+  const words = [
+    ...wordsOf("Welcome back", { speaker: "spk_0" }),
+    ...wordsOf("Thanks for having me", { start: 700, speaker: "spk_1" }),
+  ];
+  const cues = buildCuesFromWords(words, { labelSpeakers: true, speakerNames: { "Speaker 1": "Host" } });
+
+  assert.deepEqual(cues.map((cue) => cue.text), ["Host: Welcome back", "Speaker 2: Thanks for having me"]);
+});
+
+test("buildCuesFromWords wraps a single word that is longer than a line", () => {
+  const cues = buildCuesFromWords(wordsOf("supercalifragilistic"), { maxCharsPerLine: 10, maxLines: 1 });
+  assert.deepEqual(cues.map((cue) => cue.text), ["supercalifragilistic"]);
+});
+
+test("alignSpeakers matches speakers through the overlap and labels the others as new", () => {
+  const earlier = [
+    ...wordsOf("Welcome back", { speaker: "spk_0" }),
+    ...wordsOf("Thanks for having me", { start: 700, speaker: "spk_1" }),
+  ];
+  // The chunk starts during "having me" and numbers its speakers from spk_0 again
+  const chunk = [
+    ...wordsOf("having me", { start: 1340, speaker: "spk_0" }),
+    ...wordsOf("Great question", { start: 2400, speaker: "spk_1" }),
+  ];
+
+  const aligned = alignSpeakers(earlier, chunk);
+
+  assert.deepEqual(aligned.map((word) => word.speaker), ["spk_1", "spk_1", "spk_2", "spk_2"]);
+});
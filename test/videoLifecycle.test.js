@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { claimVideoRecord, transitionVideo, VIDEO_STATES } from "../functions/lib/videoLifecycle.js";
+
+const claimInput = {
+  originalKey: "talks/intro.mp4",
+  bucket: "video-uploads-dev",
+  idempotencyKey: "abc123",
+  executionId: "arn:aws:states:us-east-1:123456789012:execution:wf:run-1",
+  staleBefore: "2026-01-01T00:00:00.000Z",
+};
+
+/**
+ * DynamoDB client stub that answers every command with the given function
+ */
+function dynamodbStub(respond) {
+  const commands = [];
+  return {
+    commands,
+    send: async (command) => {
+      commands.push(command);
+      return respond(command);
+    },
+  };
+}
+
+test("claims the record with a conditional put", async () => {
+  const dynamodb = dynamodbStub(() => ({}));
+
+  const claim = await claimVideoRecord(dynamodb, "jobs", claimInput);
+
+  assert.deepEqual(claim, { claimed: true, existing: null });
+  const { input } = dynamodb.commands[0];
+  assert.equal(input.Item.status.S, VIDEO_STATES.RECEIVED);
+  assert.equal(input.Item.idempotencyKey.S, "abc123");
+  assert.match(input.ConditionExpression, /executionId = :executionId/);
+});
+
+test("returns the other run when the condition fails", async () => {
+  const existing = { status: { S: VIDEO_STATES.DONE }, idempotencyKey: { S: "abc123" } };
+  const dynamodb = dynamodbStub(() => {
+    throw Object.assign(new Error("The conditional request failed"), { name: "ConditionalCheckFailedException", Item: existing });
+  });
+
+  const claim = await claimVideoRecord(dynamodb, "jobs", claimInput);
+
+  assert.deepEqual(claim, { claimed: false, existing });
+});
+
+test("throws other database errors instead of claiming", async () => {
+  const dynamodb = dynamodbStub(() => {
+    throw Object.assign(new Error("Rate exceeded"), { name: "ProvisionedThroughputExceededException" });
+  });
+
+  await assert.rejects(claimVideoRecord(dynamodb, "jobs", claimInput), { name: "ProvisionedThroughputExceededException" });
+});
+
+test("force replaces the record without a condition", async () => {
+  const dynamodb = dynamodbStub(() => ({}));
+
+  await claimVideoRecord(dynamodb, "jobs", { ...claimInput, force: true });
+
+  assert.equal(dynamodb.commands[0].input.ConditionExpression, undefined);
+});
+
+test("writes arrays as lists when claiming and when updating", async () => {
+  const dynamodb = dynamodbStub(() => ({}));
+  const set = { languages: ["en-US", "es-ES"], missingChunks: [2, 5] };
+  const expected = {
+    languages: { L: [{ S: "en-US" }, { S: "es-ES" }] },
+    missingChunks: { L: [{ N: "2" }, { N: "5" }] },
+  };
+
+  await claimVideoRecord(dynamodb, "jobs", { ...claimInput, set });
+  await transitionVideo(dynamodb, "jobs", claimInput.originalKey, VIDEO_STATES.RECEIVED, { set });
+
+  const [put, update] = dynamodb.commands.map((command) => command.input);
+  assert.deepEqual(put.Item.languages, expected.languages);
+  assert.deepEqual(put.Item.missingChunks, expected.missingChunks);
+  assert.deepEqual(update.ExpressionAttributeValues[":languages"], expected.languages);
+  assert.deepEqual(update.ExpressionAttributeValues[":missingChunks"], expected.missingChunks);
+});